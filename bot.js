@@ -14,13 +14,18 @@
 require('dotenv').config();
 
 // Importar módulos necesarios
-const { Telegraf } = require('telegraf');        // Framework del bot de Telegram
+const { Telegraf, Markup } = require('telegraf'); // Framework del bot de Telegram (y teclados inline)
 const { OpenAI } = require('openai');          // Cliente oficial de OpenAI
+const { getEncoding, encodingForModel } = require('js-tiktoken'); // Tokenizador (para medir el historial GPT)
 const axios = require('axios');                // Para realizar solicitudes HTTP (API ElevenLabs, descarga de archivos)
 const fs = require('fs');                      // Módulo File System (para manejar archivos temporales)
 const path = require('path');                  // Módulo Path (para construir rutas de archivos)
 const os = require('os');                      // Módulo OS (para obtener directorio temporal del sistema)
 const FormData = require('form-data');         // Para construir requests multipart/form-data (necesario para V2V)
+const { spawn } = require('child_process');    // Para ejecutar herramientas locales (motores TTS offline)
+const http = require('http');                  // Servidor HTTP integrado (webhook de Telegram)
+const crypto = require('crypto');              // Comparación segura del secret token del webhook y hash de las claves de la caché de voz
+const zlib = require('zlib');                  // Compresión de los ZIP de la voz por lotes
 
 // -----------------------------------------------------------------------------
 // -- 2. Logger Personalizado                                                 --
@@ -69,6 +74,30 @@ class Logger {
 // -- 3. Configuración Global                                                 --
 // -----------------------------------------------------------------------------
 
+/**
+ * Lee un bloque de límites de uso desde variables de entorno con un prefijo común
+ * (ej. QUOTA_TTS_CHARS_PER_DAY). Un límite no definido o 0 significa "sin límite".
+ */
+const quotaLimitsFromEnv = (prefix) => ({
+  TTS_CHARS_PER_DAY: parseInt(process.env[`${prefix}TTS_CHARS_PER_DAY`], 10) || 0,     // Caracteres enviados a TTS
+  STS_SECONDS_PER_DAY: parseInt(process.env[`${prefix}STS_SECONDS_PER_DAY`], 10) || 0, // Segundos de audio enviados a STS (V2V)
+  GPT_TOKENS_PER_DAY: parseInt(process.env[`${prefix}GPT_TOKENS_PER_DAY`], 10) || 0,   // Tokens de chat (prompt + respuesta)
+  REQUESTS_PER_MINUTE: parseInt(process.env[`${prefix}REQUESTS_PER_MINUTE`], 10) || 0, // Peticiones a APIs externas
+});
+
+/**
+ * Lee los límites de concurrencia por proveedor de QUEUE_CONCURRENCY (ej. "elevenlabs=3,openai=5")
+ * sobre los valores por defecto.
+ */
+const concurrencyFromEnv = (defaults) => {
+  const limits = { ...defaults };
+  for (const pair of (process.env.QUEUE_CONCURRENCY || '').split(',')) {
+    const [provider, value] = pair.split('=').map(part => part?.trim());
+    if (provider && parseInt(value, 10) > 0) limits[provider.toLowerCase()] = parseInt(value, 10);
+  }
+  return limits;
+};
+
 const CONFIG = {
   /** Configuraciones del Bot de Telegram y timeouts */
   BOT: {
@@ -76,11 +105,52 @@ const CONFIG = {
     TELEGRAM_TIMEOUT: 60000, // Timeout para llamadas a la API de Telegram (ms)
     MAX_RETRIES: 3,          // Máximo de reintentos para operaciones fallidas (APIs)
     RETRY_DELAY: 5000,       // Delay base antes del primer reintento (ms)
+    MODE: (process.env.BOT_MODE || 'polling').toLowerCase(), // 'polling' (por defecto) o 'webhook' (ver CONFIG.WEBHOOK)
+    MAX_MESSAGE_LENGTH: 4096, // Límite de Telegram por mensaje (los textos más largos se envían en varios mensajes)
+    MAX_UPLOAD_SIZE: 50 * 1024 * 1024, // Límite de Telegram para los archivos que envían los bots
+  },
+  /** Servidor HTTP integrado (usado por el modo webhook) */
+  HTTP: {
+    PORT: parseInt(process.env.PORT, 10) || 8080,
+    HOST: process.env.HOST || '0.0.0.0',
+    MAX_BODY_SIZE: 1024 * 1024, // Tamaño máximo aceptado para el cuerpo de una petición (bytes)
+    // Con long polling el servidor (health checks y /metrics) solo arranca si se activa; en modo webhook siempre
+    ENABLED: process.env.HTTP_ENABLED === 'true',
+    // Cada cuánto repetir las verificaciones de APIs que determinan /health/ready (segundos, 0 = solo al arrancar)
+    READINESS_RECHECK_INTERVAL: parseInt(process.env.HEALTH_RECHECK_INTERVAL, 10) || 0,
   },
-  /** Configuraciones para OpenAI GPT */
+  /** Modo webhook: Telegram envía los updates por HTTPS al servidor integrado */
+  WEBHOOK: {
+    // URL pública del bot (ej. https://mi-bot.example.com); sin ella no se registra el webhook (pruebas locales)
+    DOMAIN: process.env.WEBHOOK_DOMAIN ? process.env.WEBHOOK_DOMAIN.replace(/\/+$/, '') : null,
+    PATH: process.env.WEBHOOK_PATH || '/telegram/webhook',
+    SECRET_TOKEN: process.env.WEBHOOK_SECRET || null, // Si no se define, se genera uno aleatorio en cada arranque
+    DELETE_ON_STOP: process.env.WEBHOOK_DELETE_ON_STOP !== 'false', // Desactivar en despliegues con solapamiento de instancias
+  },
+  /** Configuraciones del modelo de chat (OpenAI GPT o un servidor compatible) */
   GPT: {
-    MODEL: "gpt-4-turbo-preview", // Modelo a usar (asegúrate de tener acceso)
-    MAX_TOKENS: 500              // Límite de tokens en la respuesta generada
+    // 'openai' (usa OPENAI_API_KEY), 'openai-compatible' (Ollama, llama.cpp server, vLLM...) o 'mock' (offline, para tests)
+    PROVIDER: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    MODEL: process.env.LLM_MODEL || "gpt-4-turbo-preview", // Modelo a usar (asegúrate de tener acceso)
+    BASE_URL: process.env.LLM_BASE_URL || null,  // URL base para 'openai-compatible' (ej. http://localhost:11434/v1)
+    API_KEY: process.env.LLM_API_KEY || null,    // API key para 'openai-compatible' (muchos servidores locales no la piden)
+    MAX_TOKENS: 500,             // Límite de tokens en la respuesta generada
+    TEMPERATURE: 0.8,            // Un punto medio entre determinismo y creatividad
+    STREAM: process.env.LLM_STREAM !== 'false', // Mostrar la respuesta en "Pensando..." a medida que se genera
+    STREAM_EDIT_INTERVAL: 1500,  // Mínimo entre ediciones del mensaje durante el streaming (límites de Telegram, ms)
+    // Ventana de contexto por modelo (tokens); los modelos no listados usan DEFAULT_CONTEXT_WINDOW
+    CONTEXT_WINDOWS: {
+      "gpt-4-turbo-preview": 128000,
+      "gpt-4-turbo": 128000,
+      "gpt-4o": 128000,
+      "gpt-4o-mini": 128000,
+      "gpt-4": 8192,
+      "gpt-3.5-turbo": 16385
+    },
+    DEFAULT_CONTEXT_WINDOW: parseInt(process.env.LLM_CONTEXT_WINDOW, 10) || 8192, // Conservador para modelos locales
+    HISTORY_TOKEN_BUDGET: parseInt(process.env.LLM_HISTORY_BUDGET, 10) || 6000, // Máximo de tokens de historial por petición (controla el coste)
+    HISTORY_COMPACT_TARGET: 0.75, // Al compactar, dejar el historial en esta fracción del presupuesto (evita resumir en cada mensaje)
+    SUMMARY_MAX_TOKENS: 400       // Longitud máxima del resumen de los turnos antiguos
   },
   /** Configuraciones para ElevenLabs */
   ELEVEN_LABS: {
@@ -88,13 +158,145 @@ const CONFIG = {
     VOICE_ID: process.env.ELEVEN_VOICE_ID || "D7SBnF4n4o91eIeXkdar", // Voz de Javier Soto HQ
     MODEL: "eleven_multilingual_v2",       // Modelo TTS (Text-to-Speech)
     STS_MODEL: "eleven_multilingual_sts_v2", // Modelo STS (Speech-to-Speech) para V2V
+    STS_MODELS: {                            // Modelos STS que se pueden elegir con /vv -m (alias -> modelo)
+      multilingual: "eleven_multilingual_sts_v2",
+      english: "eleven_english_sts_v2"
+    },
     // Parámetros por defecto para la generación de voz (TTS y STS)
     STABILITY: 0.30,        // Rango: 0.0 (más estable) a 1.0 (más variable)
     SIMILARITY_BOOST: 1.0,  // Rango: 0.0 a 1.0 (fuerza la similitud con la voz original)
     STYLE: 0.7,             // Rango: >= 0.0 (intensidad del estilo/exageración)
-    SPEED: 1.0,             // Rango: 0.5 (lento) a 2.0 (rápido)
+    SPEED: 1.0,             // Rango: MIN_SPEED (lento) a MAX_SPEED (rápido)
+    MIN_SPEED: 0.7,         // Límites de voice_settings.speed que acepta ElevenLabs (fuera de ellos rechaza la petición)
+    MAX_SPEED: 1.2,
     USE_SPEAKER_BOOST: true,// Mejora la claridad y estabilidad de la voz generada
-    OUTPUT_FORMAT: "mp3_44100_128" // Formato de salida de audio (codec_samplerate_bitrate)
+    OUTPUT_FORMAT: "mp3_44100_128", // Formato de salida de audio (codec_samplerate_bitrate)
+    LOSSLESS_OUTPUT_FORMAT: "pcm_44100" // Formato pedido para la entrega en WAV (PCM sin comprimir, se empaqueta en WAV)
+  },
+  /** Configuraciones del almacenamiento persistente del estado (conversaciones, sesiones, autorizaciones) */
+  STORAGE: {
+    BACKEND: (process.env.STORAGE_BACKEND || 'json').toLowerCase(), // 'json', 'sqlite' o 'memory' (sin persistencia, para tests)
+    // Ruta del archivo de datos; si no se define se usa ./data/javier-state.(json|db) según el backend
+    PATH: process.env.STORAGE_PATH || null,
+    SAVE_DEBOUNCE: 1000,     // Agrupa los cambios de estado y guarda como mucho una vez por intervalo (ms)
+  },
+  /** Proveedores de voz: ElevenLabs o local (offline, para desarrollo) */
+  VOICE: {
+    TTS_PROVIDER: (process.env.TTS_PROVIDER || 'elevenlabs').toLowerCase(), // 'elevenlabs' o 'local' (espeak-ng/piper)
+    STS_PROVIDER: (process.env.STS_PROVIDER || 'elevenlabs').toLowerCase(), // 'elevenlabs' o 'local' (pass-through)
+    LOCAL_TTS_ENGINE: (process.env.LOCAL_TTS_ENGINE || 'espeak-ng').toLowerCase(), // 'espeak-ng' o 'piper'
+    LOCAL_TTS_VOICE: process.env.LOCAL_TTS_VOICE || 'es', // Voz de espeak-ng
+    PIPER_MODEL: process.env.PIPER_MODEL || null,         // Ruta al modelo .onnx de piper
+    COMMAND_TIMEOUT: 60000,  // Timeout para los motores locales (ms)
+    TTS_MAX_CHARS: parseInt(process.env.TTS_MAX_CHARS, 10) || 2500, // Caracteres por petición TTS; los textos más largos se generan por partes
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg', // Para convertir los audios al formato de entrega elegido (/format)
+    FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe', // Para analizar los audios de entrada de /vv (ver CONFIG.V2V)
+  },
+  /** Validación y normalización del audio de entrada de /vv (V2V) antes de enviarlo al proveedor */
+  V2V: {
+    MAX_SECONDS: parseInt(process.env.V2V_MAX_SECONDS, 10) || 600,                  // Duración máxima aceptada (s)
+    MAX_FILE_SIZE: (parseInt(process.env.V2V_MAX_FILE_MB, 10) || 20) * 1024 * 1024, // Tamaño máximo (Telegram no deja a los bots descargar más de 20 MB)
+    SEGMENT_SECONDS: parseInt(process.env.V2V_SEGMENT_SECONDS, 10) || 300,          // Duración máxima de cada petición al proveedor (s)
+    SPLIT_LONG: process.env.V2V_SPLIT_LONG === 'true',     // Dividir los audios más largos que SEGMENT_SECONDS (si no, se rechazan)
+    TRIM_SILENCE: process.env.V2V_TRIM_SILENCE === 'true', // Recortar el silencio del principio y del final
+    SILENCE_THRESHOLD: process.env.V2V_SILENCE_THRESHOLD || '-50dB', // Volumen por debajo del cual se considera silencio
+    ACCEPTED_CODECS: ['mp3', 'pcm_s16le'],                 // Se envían tal cual; el resto se convierte a WAV
+    MIN_SAMPLE_RATE: 16000,                                // Fuera de este rango se remuestrea...
+    MAX_SAMPLE_RATE: 48000,
+    SAMPLE_RATE: 44100,                                    // ...a esta frecuencia (Hz)
+    // Solo un 0 explícito desactiva la caducidad; un valor no válido usa el de por defecto (ver validateEnvVars)
+    WAIT_TIMEOUT: process.env.V2V_WAIT_TIMEOUT_SECONDS?.trim() === '0' ? 0 : Math.max(0, parseInt(process.env.V2V_WAIT_TIMEOUT_SECONDS, 10)) || 300, // Caducidad de la espera de audio de /vv (s, 0 = no caduca; en lote, desde el último audio)
+  },
+  /** Caché en disco del audio generado (TTS): mismo texto, voz, modelo, formato y ajustes = mismo audio */
+  TTS_CACHE: {
+    ENABLED: process.env.TTS_CACHE_ENABLED !== 'false',
+    DIR: process.env.TTS_CACHE_DIR || null, // Por defecto data/tts-cache (en el directorio temporal con STORAGE_BACKEND=memory)
+    MAX_BYTES: (parseInt(process.env.TTS_CACHE_MAX_MB, 10) || 200) * 1024 * 1024, // Al superarlo se borran los audios usados hace más tiempo
+  },
+  /** Voz por lotes a partir de un guion subido como documento (.txt, .csv o .srt, ver ScriptParser) */
+  BATCH_TTS: {
+    MAX_FILE_SIZE: 1024 * 1024,                                          // Tamaño máximo del guion
+    MAX_ENTRIES: parseInt(process.env.BATCH_TTS_MAX_ENTRIES, 10) || 200, // Líneas máximas por guion
+    PROGRESS_INTERVAL: 3000,                                             // Mínimo entre actualizaciones del progreso (ms)
+  },
+  /** Doblaje con /dub: una pista continua con cada subtítulo de un .srt en su tiempo */
+  DUB: {
+    SAMPLE_RATE: 44100,                                             // Frecuencia de la pista (Hz, mono)
+    MAX_SECONDS: parseInt(process.env.DUB_MAX_SECONDS, 10) || 900,  // Duración máxima de la pista (s)
+  },
+  /** Configuraciones de la transcripción de voz (Speech-to-Text) para notas de voz y /transcribe */
+  STT: {
+    PROVIDER: (process.env.STT_PROVIDER || 'openai').toLowerCase(), // 'openai' (Whisper) o 'stub' (local, sin API)
+    MODEL: process.env.STT_MODEL || "whisper-1",
+    LANGUAGE: process.env.STT_LANGUAGE || "es",          // Idioma esperado (ISO-639-1); vacío = autodetección
+    MAX_FILE_SIZE: 25 * 1024 * 1024,                     // Tamaño máximo aceptado por Whisper (bytes)
+    STUB_TEXT: process.env.STT_STUB_TEXT || "Hola Javier, esto es una transcripción de prueba.",
+  },
+  /** Modos de respuesta a los mensajes de chat (preferencia por usuario, comandos /text, /voice, /both) */
+  OUTPUT_MODES: {
+    text: 'Texto',                       // Solo texto
+    voice: 'Voz',                        // Solo audio generado con ElevenLabs
+    both: 'Voz + texto'                  // Audio con el texto como pie (caption)
+  },
+  DEFAULT_OUTPUT_MODE: 'text',
+  /** Formatos de entrega de los audios generados (/tv, /vv y respuestas en voz), preferencia por usuario (/format) */
+  AUDIO_FORMATS: {
+    voice: { label: 'Nota de voz (OGG/Opus)', extension: '.ogg' },      // Se reproduce en el chat como una nota de voz
+    mp3: { label: 'Archivo de audio (MP3)', extension: '.mp3' },        // Con el reproductor de música de Telegram
+    wav: { label: 'WAV sin pérdida (para edición)', extension: '.wav' }, // Se pide sin comprimir al proveedor; llega como documento
+    document: { label: 'Documento (archivo original)', extension: null } // Tal cual lo genera el proveedor, para descargarlo
+  },
+  DEFAULT_AUDIO_FORMAT: (process.env.DEFAULT_AUDIO_FORMAT || 'voice').toLowerCase(),
+  /** Solicitudes de acceso de usuarios no autorizados (botón "Solicitar acceso") */
+  ACCESS_REQUESTS: {
+    COOLDOWN: 6 * 60 * 60 * 1000,             // Tiempo mínimo entre solicitudes del mismo usuario (ms)
+    DENIED_COOLDOWN: 7 * 24 * 60 * 60 * 1000, // Tras una denegación, tiempo antes de poder volver a pedir acceso (ms)
+  },
+  /** Personalidades del bot (prompt, voz y saludo), una por archivo JSON (comando /persona) */
+  PERSONAS: {
+    DIR: process.env.PERSONAS_DIR || path.join(__dirname, 'personas'), // Directorio con los archivos <id>.json
+    DEFAULT: (process.env.DEFAULT_PERSONA || 'javier').toLowerCase(),  // Personalidad de los usuarios que no eligieron otra
+  },
+  /** Cuotas de uso diarias (se renuevan a las 00:00 UTC) y límites de peticiones por minuto */
+  QUOTAS: {
+    USER: quotaLimitsFromEnv('QUOTA_'),          // Límites por usuario (ajustables por usuario con /quota)
+    ADMIN: quotaLimitsFromEnv('QUOTA_ADMIN_'),   // Límites de los administradores si no están exentos
+    ADMIN_EXEMPT: process.env.QUOTA_ADMIN_EXEMPT !== 'false', // Los administradores no tienen límites (salvo los fijados con /quota)
+    GLOBAL: quotaLimitsFromEnv('QUOTA_GLOBAL_'), // Límites para la suma de todos los usuarios
+  },
+  /** Registro de uso de las APIs (una entrada por llamada) y coste estimado (comando /usage) */
+  USAGE: {
+    // Archivo JSONL del registro; si no se define se usa ./data/usage-ledger.jsonl (con STORAGE_BACKEND=memory no se persiste)
+    LEDGER_PATH: process.env.USAGE_LEDGER_PATH || null,
+    CURRENCY: process.env.USAGE_CURRENCY || 'USD',
+    // Archivo JSON opcional con precios que sustituyen o amplían la tabla PRICES (mismo formato, por modelo)
+    PRICES_FILE: process.env.USAGE_PRICES_FILE || null,
+    // Precios por modelo: tokens de chat por millón, caracteres de TTS por millar y audio por minuto.
+    // Los modelos que no aparecen (proveedores locales, mock) se registran sin coste estimado.
+    PRICES: {
+      "gpt-4-turbo-preview": { promptPerMillion: 10, completionPerMillion: 30 },
+      "gpt-4-turbo": { promptPerMillion: 10, completionPerMillion: 30 },
+      "gpt-4o": { promptPerMillion: 2.5, completionPerMillion: 10 },
+      "gpt-4o-mini": { promptPerMillion: 0.15, completionPerMillion: 0.6 },
+      "gpt-4": { promptPerMillion: 30, completionPerMillion: 60 },
+      "gpt-3.5-turbo": { promptPerMillion: 0.5, completionPerMillion: 1.5 },
+      "whisper-1": { perMinute: 0.006 },
+      "eleven_multilingual_v2": { perThousandChars: 0.3 },
+      "eleven_multilingual_sts_v2": { perMinute: 0.3 }
+    },
+    REPORT_MAX_USERS: 20,    // Usuarios detallados en el mensaje de /usage all (el CSV los incluye todos)
+  },
+  /** Cola de trabajos (GPT, TTS, V2V, STT): orden por usuario y concurrencia global por proveedor */
+  QUEUE: {
+    // Trabajos simultáneos por proveedor (la clave es el nombre del proveedor: CONFIG.GPT.PROVIDER, CONFIG.VOICE.*, CONFIG.STT.PROVIDER)
+    CONCURRENCY: concurrencyFromEnv({ openai: 4, 'openai-compatible': 1, elevenlabs: 2, local: 1 }),
+    DEFAULT_CONCURRENCY: 2,  // Para proveedores sin límite propio (mock, stub...)
+    MAX_JOBS_PER_USER: parseInt(process.env.QUEUE_MAX_JOBS_PER_USER, 10) || 5, // Trabajos en espera por usuario (sin contar el que está en curso)
+    SHUTDOWN_TIMEOUT: 30000, // Al cerrar, tiempo máximo de espera a que terminen los trabajos en curso (ms)
+  },
+  /** Presets de voz guardados por cada usuario con /preset (se aplican a /tv y /vv) */
+  VOICE_PRESETS: {
+    MAX_PER_USER: 20,        // Máximo de presets guardados por usuario
   },
   /** Directorio para archivos temporales (audio descargado/generado) */
   TMP_DIR: path.join(os.tmpdir(), 'javier-bot')
@@ -139,8 +341,8 @@ try {
     });
     Logger.log("Cliente OpenAI inicializado correctamente.");
   } else {
-    // Si no hay clave, la funcionalidad GPT estará deshabilitada
-    Logger.warn("OPENAI_API_KEY no encontrada en .env. Funcionalidad de chat GPT estará deshabilitada.");
+    // Si no hay clave, el chat con el proveedor 'openai' y la transcripción con Whisper estarán deshabilitados
+    Logger.warn("OPENAI_API_KEY no encontrada en .env. El chat con OpenAI y la transcripción con Whisper estarán deshabilitados.");
   }
 } catch (error) {
   Logger.error("Error durante la inicialización del cliente OpenAI", error);
@@ -160,25 +362,30 @@ class Utils {
   /**
    * Reintenta una función asíncrona en caso de fallo.
    * @param {Function} fn - La función asíncrona a ejecutar.
-   * @param {number} maxRetries - Número máximo de reintentos.
-   * @param {number} delay - Delay base antes del primer reintento (ms). Usa backoff exponencial.
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - Número máximo de intentos.
+   * @param {number} [options.delay] - Delay base antes del primer reintento (ms). Usa backoff exponencial.
+   * @param {AbortSignal|null} [options.signal] - Si se aborta (ej. /cancel), no se reintenta y la espera se interrumpe.
    * @returns {Promise<any>} - La promesa resuelta por la función `fn`.
-   * @throws {Error} - El último error ocurrido si todos los reintentos fallan.
+   * @throws {Error} - El último error ocurrido si todos los reintentos fallan, o el de cancelación.
    */
-  static async retry(fn, maxRetries = CONFIG.BOT.MAX_RETRIES, delay = CONFIG.BOT.RETRY_DELAY) {
+  static async retry(fn, { maxRetries = CONFIG.BOT.MAX_RETRIES, delay = CONFIG.BOT.RETRY_DELAY, signal = null } = {}) {
     let lastError;
     for (let i = 0; i < maxRetries; i++) {
+      Utils.throwIfCancelled(signal);
       try {
         // Logger.log(`Utils.retry: Intento ${i + 1}/${maxRetries}...`); // Puede ser muy verboso
         return await fn(); // Ejecutar la función
       } catch (error) {
+        if (signal?.aborted) throw Utils.cancelledError(); // Cancelado: no tiene sentido reintentar
         lastError = error;
         Logger.warn(`Utils.retry: Intento ${i + 1} fallido: ${error.message}`);
         if (i < maxRetries - 1) {
+          Metrics.inc('javier_retries_total');
           // Calcular delay con backoff exponencial
           const waitTime = delay * Math.pow(2, i);
           // Logger.log(`Utils.retry: Esperando ${waitTime}ms antes de reintentar...`); // Verboso
-          await new Promise(resolve => setTimeout(resolve, waitTime)); // Esperar
+          await Utils.sleep(waitTime, signal); // Esperar (se interrumpe si se cancela)
         }
       }
     }
@@ -187,12 +394,48 @@ class Utils {
     throw lastError;
   }
 
+  /**
+   * Espera `ms` milisegundos; si la señal se aborta antes, rechaza con el error de cancelación.
+   * @param {number} ms - Tiempo de espera.
+   * @param {AbortSignal|null} [signal] - Señal de cancelación.
+   */
+  static sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(Utils.cancelledError());
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(Utils.cancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /** Error que se lanza cuando el usuario cancela una operación (`error.cancelled === true`). */
+  static cancelledError() {
+    const error = new Error('Operación cancelada por el usuario.');
+    error.cancelled = true;
+    return error;
+  }
+
+  /** Lanza el error de cancelación si la señal ya se abortó. */
+  static throwIfCancelled(signal) {
+    if (signal?.aborted) throw Utils.cancelledError();
+  }
+
   /**
    * Valida la presencia de variables de entorno esenciales.
    * @returns {boolean} - `true` si todas las variables requeridas están presentes, `false` si falta alguna.
    */
   static validateEnvVars() {
-    const required = ['BOT_TOKEN', 'ELEVEN_API_KEY', 'AUTHORIZED_USERS'];
+    const required = ['BOT_TOKEN', 'AUTHORIZED_USERS'];
+    // ElevenLabs solo es obligatorio si se usa como proveedor de TTS o STS
+    if (CONFIG.VOICE.TTS_PROVIDER === 'elevenlabs' || CONFIG.VOICE.STS_PROVIDER === 'elevenlabs') {
+      required.push('ELEVEN_API_KEY');
+    }
     const missing = [];
 
     // Verificar variables requeridas
@@ -203,12 +446,36 @@ class Utils {
     }
 
     // Avisar sobre opcionales faltantes pero no marcar como error
-    if (!process.env.OPENAI_API_KEY) {
+    if (!process.env.OPENAI_API_KEY && CONFIG.GPT.PROVIDER === 'openai') {
         Logger.warn("Utils.validateEnvVars: OPENAI_API_KEY no definida (GPT deshabilitado).");
     }
+    if (CONFIG.GPT.PROVIDER === 'openai-compatible' && !CONFIG.GPT.BASE_URL) {
+        missing.push('LLM_BASE_URL');
+    }
     if (!process.env.ELEVEN_VOICE_ID) {
         Logger.warn(`Utils.validateEnvVars: ELEVEN_VOICE_ID no definida (usando default: ${CONFIG.ELEVEN_LABS.VOICE_ID}).`);
     }
+    const waitTimeout = process.env.V2V_WAIT_TIMEOUT_SECONDS?.trim();
+    if (waitTimeout && !/^\d+$/.test(waitTimeout)) {
+      Logger.warn(`Utils.validateEnvVars: V2V_WAIT_TIMEOUT_SECONDS inválida: '${waitTimeout}' (usando ${CONFIG.V2V.WAIT_TIMEOUT} s; 0 = no caduca).`);
+    }
+    if (!['polling', 'webhook'].includes(CONFIG.BOT.MODE)) {
+      Logger.error(`Utils.validateEnvVars: BOT_MODE inválido: '${CONFIG.BOT.MODE}' (usa 'polling' o 'webhook').`);
+      return false;
+    }
+    if (CONFIG.BOT.MODE === 'webhook') {
+      if (CONFIG.WEBHOOK.DOMAIN && !CONFIG.WEBHOOK.DOMAIN.startsWith('https://')) {
+        Logger.error("Utils.validateEnvVars: WEBHOOK_DOMAIN debe empezar por https:// (Telegram solo envía webhooks por HTTPS).");
+        return false;
+      }
+      if (CONFIG.WEBHOOK.SECRET_TOKEN && !/^[A-Za-z0-9_-]{1,256}$/.test(CONFIG.WEBHOOK.SECRET_TOKEN)) {
+        Logger.error("Utils.validateEnvVars: WEBHOOK_SECRET solo puede tener letras, números, '_' y '-' (máx. 256).");
+        return false;
+      }
+      if (!CONFIG.WEBHOOK.DOMAIN) {
+        Logger.warn("Utils.validateEnvVars: WEBHOOK_DOMAIN no definida; el webhook no se registrará en Telegram (modo de pruebas local).");
+      }
+    }
 
     // Si faltan variables requeridas, loguear error y devolver false
     if (missing.length > 0) {
@@ -219,1015 +486,5965 @@ class Utils {
     Logger.log("Utils.validateEnvVars: Variables de entorno requeridas verificadas.");
     return true;
   }
-}
 
-// -----------------------------------------------------------------------------
-// -- 6. Gestor de Estado del Bot                                             --
-// -----------------------------------------------------------------------------
+  /**
+   * Ejecuta un programa externo (ej. espeak-ng, ffmpeg) y espera a que termine.
+   * @param {string} command - Ejecutable a lanzar.
+   * @param {string[]} args - Argumentos.
+   * @param {{input?: string|Buffer, timeout?: number, signal?: AbortSignal}} options - Datos para stdin, timeout (ms) y señal de cancelación.
+   * @returns {Promise<{stdout: string, stderr: string}>}
+   * @throws {Error} - Si el programa no está instalado, excede el timeout o termina con código distinto de 0.
+   */
+  static runCommand(command, args = [], { input = null, timeout = CONFIG.VOICE.COMMAND_TIMEOUT, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(Utils.cancelledError());
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`'${command}' excedió el tiempo máximo de ${timeout} ms.`));
+      }, timeout);
+      const onAbort = () => {
+        clearTimeout(timer);
+        child.kill('SIGKILL');
+        reject(Utils.cancelledError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      child.on('exit', () => signal?.removeEventListener('abort', onAbort));
+
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT'
+          ? new Error(`'${command}' no está instalado o no está en el PATH.`)
+          : error);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) resolve({ stdout, stderr });
+        else reject(new Error(`'${command}' terminó con código ${code}: ${stderr.trim().split('\n').pop() || 'sin detalles'}`));
+      });
 
-/**
- * Gestiona el estado de las interacciones de los usuarios, autorizaciones,
- * conversaciones y operaciones pendientes.
- */
-class StateManager {
-  constructor() {
-    this.initializeState();
+      child.stdin.on('error', () => {}); // El proceso puede cerrar stdin antes de leerlo todo
+      child.stdin.end(input ?? undefined);
+    });
   }
 
-  /** Inicializa las estructuras de datos del estado */
-  initializeState() {
-    Logger.log("StateManager: Inicializando estado...");
-
-    // --- Usuarios Autorizados y Administradores ---
-    try {
-      // Cargar IDs desde .env, convertir a números y filtrar NaN
-      const parseIds = (envVar) => envVar
-        ? envVar.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
-        : [];
+  /**
+   * Extrae las opciones de voz (-s, -x, -v, -b, -sb) de una lista de palabras, como en `/tv -s 0.4 "Hola"`.
+   * Los rangos no se validan aquí: ApiService.generateVoice/transformVoice aplican los límites.
+   * @param {string[]} parts - Palabras del mensaje (sin el comando).
+   * @returns {{options: object, textParts: string[], error: string|null}} - Opciones encontradas, resto del texto y primer error.
+   */
+  static parseVoiceFlags(parts) {
+    const flags = {
+      '-s': 'stability',          // Estabilidad (0.0 a 1.0)
+      '-x': 'style',              // Exageración del estilo (>= 0.0)
+      '-v': 'speed',              // Velocidad (0.7 a 1.2, solo TTS)
+      '-b': 'similarity_boost',   // Similitud con la voz original (0.0 a 1.0)
+      '-sb': 'use_speaker_boost'  // Speaker boost (on/off)
+    };
+    const booleans = { on: true, off: false, true: true, false: false, si: true, 'sí': true, no: false, '1': true, '0': false };
 
-      this.authorizedUsers = new Set(parseIds(process.env.AUTHORIZED_USERS));
-      this.adminUsers = new Set(parseIds(process.env.ADMIN_USERS)); // Para futuras funciones de admin
+    const options = {};
+    const textParts = [];
+    let currentFlag = null; // Último flag encontrado, esperando su valor
+    for (const part of parts) {
+      if (flags[part]) { currentFlag = part; continue; }
+      if (!currentFlag) {
+        textParts.push(part); // Sin flag pendiente, la palabra es parte del texto
+        continue;
+      }
 
-      // Loguear información importante sobre usuarios
-      if (this.authorizedUsers.size === 0) {
-          Logger.warn("StateManager: ¡ATENCIÓN! No se definieron usuarios autorizados en AUTHORIZED_USERS. Nadie podrá usar el bot.");
+      const key = flags[currentFlag];
+      if (key === 'use_speaker_boost') {
+        const value = booleans[part.toLowerCase()];
+        if (value === undefined) {
+          return { options, textParts, error: `Se esperaba on u off después de ${currentFlag}, pero se recibió '${part}'.` };
+        }
+        options[key] = value;
       } else {
-          Logger.log(`StateManager: Usuarios autorizados cargados: ${Array.from(this.authorizedUsers).join(', ')}`);
+        const value = parseFloat(part);
+        if (isNaN(value)) {
+          return { options, textParts, error: `Se esperaba un número después de ${currentFlag}, pero se recibió '${part}'.` };
+        }
+        options[key] = value;
       }
-      Logger.log(`StateManager: Usuarios administradores cargados: ${Array.from(this.adminUsers).join(', ')}`);
-
-    } catch (error) {
-      Logger.error("StateManager: Error crítico procesando usuarios autorizados/admin desde .env", error);
-      // Inicializar vacíos para evitar errores posteriores
-      this.authorizedUsers = new Set();
-      this.adminUsers = new Set();
+      currentFlag = null; // El valor ya se consumió
     }
 
-    // --- Estructuras de Datos Principales ---
-    /** @type {Map<number, {lastAction: number, currentOperation: string|null, preferences: object}>} */
-    this.userSessions = new Map();          // Información de sesión por User ID
-    /** @type {Map<number, string>} */
-    this.pendingOperations = new Map();     // Marca si un usuario tiene una operación larga en curso (GPT, TTS, V2V)
-    /** @type {Map<number, Array<{role: string, content: string}>>} */
-    this.conversations = new Map();         // Historial de conversación GPT por User ID
-    /** @type {Map<number, number>} */
-    this.pendingVoiceTransformations = new Map(); // User ID -> message_id que inició el comando /v2v
+    if (currentFlag) {
+      return { options, textParts, error: `La opción ${currentFlag} se especificó al final sin un valor.` };
+    }
+    return { options, textParts, error: null };
   }
 
-  // --- Métodos de Autorización ---
-  /** Verifica si un User ID está autorizado. */
-  isAuthorized(userId) {
-    return userId && this.authorizedUsers.has(userId);
+  /**
+   * Describe unas opciones de voz en una línea legible (ej. "estabilidad 0.6 · estilo 0.2").
+   * @param {object} options - Opciones de voz (stability, style, speed, similarity_boost, use_speaker_boost).
+   * @returns {string}
+   */
+  static describeVoiceOptions(options) {
+    const labels = {
+      stability: 'estabilidad',
+      style: 'estilo',
+      speed: 'velocidad',
+      similarity_boost: 'similitud',
+      use_speaker_boost: 'speaker boost',
+      modelId: 'modelo'
+    };
+    const described = Object.entries(labels)
+      .filter(([key]) => options[key] !== undefined)
+      .map(([key, label]) => `${label} ${typeof options[key] === 'boolean' ? (options[key] ? 'on' : 'off') : options[key]}`);
+    return described.length > 0 ? described.join(' · ') : 'valores por defecto';
   }
-  /** Verifica si un User ID es administrador. */
-  isAdmin(userId) {
-    return userId && this.adminUsers.has(userId);
+
+  /**
+   * Compara dos secretos en tiempo constante (evita ataques de temporización).
+   * @param {string} expected - Valor esperado.
+   * @param {string} received - Valor recibido (puede faltar).
+   * @returns {boolean}
+   */
+  static safeEqual(expected, received) {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
   }
 
-  // --- Métodos de Sesión ---
-  /** Crea o actualiza la entrada de sesión para un usuario. */
-  createUserSession(userId) {
-    Logger.log(`StateManager: Creando/Actualizando sesión para usuario ${userId}`);
-    this.userSessions.set(userId, {
-      lastAction: Date.now(),
-      currentOperation: null, // Podría usarse para tipos de operación más finos
-      preferences: {
-        // Ejemplo: outputType: 'text' // Se podría añadir en el futuro
-      }
-    });
+  /**
+   * Escapa los caracteres especiales de HTML para enviar texto de usuario con parse_mode 'HTML'.
+   * @param {string} text - Texto a escapar.
+   * @returns {string}
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
-  // --- Métodos de Conversación GPT ---
-  /** Obtiene el historial de conversación GPT para un usuario, creándolo si no existe. */
-  getConversation(userId) {
-    if (!this.conversations.has(userId)) {
-      // Logger.log(`StateManager: Creando nueva conversación GPT para usuario ${userId}`); // Un poco verboso
-      this.conversations.set(userId, [{
-        role: "system",
-        content: this.getSystemPrompt() // Añadir el prompt del sistema al inicio
-      }]);
-    }
-    return this.conversations.get(userId);
+  /**
+   * Describe cuánto tiempo ha pasado desde un timestamp, en español ("hace 5 min").
+   * @param {number} timestamp - Momento en ms (epoch).
+   * @returns {string}
+   */
+  static formatTimeAgo(timestamp) {
+    if (!timestamp) return 'nunca';
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return 'hace unos segundos';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `hace ${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `hace ${hours} h`;
+    return `hace ${Math.floor(hours / 24)} días`;
   }
 
-  /** Añade un mensaje al historial GPT de un usuario y limita la longitud del historial. */
-  addMessageToConversation(userId, role, content) {
-    // No hacer nada si GPT está deshabilitado
-    if (!openai) return;
+  /**
+   * Describe una duración en español de forma compacta ("3 h 20 min", "45 s").
+   * @param {number} ms - Duración en milisegundos.
+   * @returns {string}
+   */
+  static formatDuration(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds} s`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 > 0 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
 
-    // Logger.log(`StateManager: Añadiendo mensaje (${role}) a conv GPT de ${userId}`); // Verboso
-    const conversation = this.getConversation(userId);
-    conversation.push({ role, content });
+  /** Acorta un texto a `maxLength` caracteres (con "…" si se recorta), en una sola línea. */
+  static truncate(text, maxLength) {
+    const singleLine = String(text).replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+  }
 
-    // Limitar el historial para controlar el uso de tokens
-    const maxHistoryPairs = 10; // Guardar las últimas N interacciones (user + assistant)
-    const maxMessages = 1 + (maxHistoryPairs * 2); // 1 (system) + N*2 (user/assistant)
-    if (conversation.length > maxMessages) {
-      // Logger.log(`StateManager: Conv GPT de ${userId} excede ${maxMessages} mensajes. Eliminando ${conversation.length - maxMessages} antiguos.`);
-      // Elimina los mensajes más antiguos después del mensaje del sistema (índice 1)
-      conversation.splice(1, conversation.length - maxMessages);
-    }
-  }
-
-  /** Devuelve el prompt del sistema para GPT. */
-  getSystemPrompt() {
-    // Mismo prompt detallado que antes
-    return `
-    You are Javier Soto, a highly experienced Assistant Director in the film industry.
-    You have worked on prestigious projects such as "La sociedad de la nieve" directed by J.A. Bayona, "7 días en la Habana" with Elia Suleiman, and have collaborated with renowned directors like Oliver Stone and Jonathan Glazer.
-    As an Assistant Director, you are deeply knowledgeable about all aspects of film production, particularly the coordination between departments, scheduling, and managing the set.
-    Your perspective is that of someone who has seen how major international productions work from the inside, managing the complex logistics of filmmaking.
-    You have a practical understanding of how to translate a director's vision into actionable plans for the crew.
-    Your responses should be concise, insightful, and occasionally reveal interesting behind-the-scenes anecdotes from your career.
-    Your tone is professional but approachable, with a touch of dry humor that comes from years of dealing with the unexpected challenges of film production.
-    When asked about filmmaking, you provide practical, experience-based answers rather than theoretical ones.
-    You have a particular interest in how different directors work and manage their sets.
-    Please ensure to always complete your sentences.
-    Your responses should be concise and infused with technical filmmaking knowledge when relevant.
-    Finish sentences ALWAYS and be concise.
-    Respond in Spanish unless explicitly asked to use another language.
-    `;
+  /**
+   * Divide un texto largo en partes de como mucho `maxLength` caracteres, cortando por el límite más
+   * natural disponible: párrafo, línea, fin de frase, pausa `<break/>`, coma y, en último caso, espacio.
+   * Nunca corta dentro de un tag (ej. `<break time="1s"/>`).
+   * @param {string} text - Texto a dividir.
+   * @param {number} maxLength - Longitud máxima de cada parte.
+   * @returns {string[]} - Partes sin espacios sobrantes (una sola si el texto ya cabe).
+   */
+  static splitText(text, maxLength) {
+    const chunks = [];
+    let rest = String(text).trim();
+    while (rest.length > maxLength) {
+      const cut = Utils.findSplitPoint(rest, maxLength);
+      chunks.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
   }
 
-  // --- Métodos para Operación V2V (Voice-to-Voice) ---
-  /** Marca que un usuario ha iniciado /v2v y está esperando un audio. */
-  setPendingVoiceTransformation(userId, initiatingMessageId) {
-    Logger.log(`StateManager: Configurando V2V pendiente para ${userId}, iniciado por msg ${initiatingMessageId}`);
-    this.pendingVoiceTransformations.set(userId, initiatingMessageId);
+  /** Posición donde cortar `text` para que la primera parte no supere `maxLength` (ver splitText). */
+  static findSplitPoint(text, maxLength) {
+    const tags = [...text.matchAll(/<[a-z/][^<>]*>/gi)].map(match => [match.index, match.index + match[0].length]);
+    const insideTag = (position) => tags.some(([start, end]) => position > start && position < end);
+    const window = text.slice(0, maxLength + 1);
+    const boundaries = [/\n\s*\n/g, /\n/g, /[.!?…]["'»)\]]*\s+/g, /<break[^>]*>\s*/gi, /[,;:]\s+/g, /\s+/g];
+
+    let fallback = 0;
+    for (const pattern of boundaries) {
+      let best = 0;
+      for (const match of window.matchAll(pattern)) {
+        const end = match.index + match[0].length;
+        if (match.index > 0 && end <= maxLength && !insideTag(match.index)) best = end;
+      }
+      // Evitar partes diminutas: un límite "mejor" solo vale si aprovecha al menos media parte
+      if (best >= maxLength / 2) return best;
+      fallback = Math.max(fallback, best);
+    }
+    if (fallback > 0) return fallback;
+
+    // Sin ningún límite (ej. una palabra enorme): cortar a mano, pero nunca dentro de un tag
+    const tag = tags.find(([start, end]) => maxLength > start && maxLength < end);
+    return tag && tag[0] > 0 ? tag[0] : maxLength;
   }
-  /** Obtiene el ID del mensaje que inició la solicitud V2V pendiente, o undefined si no hay. */
-  getPendingVoiceTransformation(userId) {
-    return this.pendingVoiceTransformations.get(userId);
+
+  /**
+   * Une varios audios WAV (mismo formato, ej. de un motor TTS local) en uno solo.
+   * Reutiliza la cabecera del primero y corrige los tamaños de RIFF y de los datos.
+   * @param {Buffer[]} buffers - Archivos WAV completos.
+   * @returns {Buffer}
+   * @throws {Error} - Si alguno no es un WAV con bloque 'data'.
+   */
+  static concatWav(buffers) {
+    const parts = buffers.map((buffer) => {
+      const dataIndex = buffer.indexOf('data', 12, 'ascii');
+      if (buffer.toString('ascii', 0, 4) !== 'RIFF' || dataIndex < 0) throw new Error('El audio no es un WAV válido.');
+      return { header: buffer.subarray(0, dataIndex + 8), data: buffer.subarray(dataIndex + 8) };
+    });
+    const header = Buffer.from(parts[0].header);
+    const data = Buffer.concat(parts.map(part => part.data));
+    header.writeUInt32LE(header.length - 8 + data.length, 4); // Tamaño del bloque RIFF
+    header.writeUInt32LE(data.length, header.length - 4);     // Tamaño del bloque 'data'
+    return Buffer.concat([header, data]);
   }
-  /** Limpia el estado V2V pendiente para un usuario. */
-  clearPendingVoiceTransformation(userId) {
-    if (this.pendingVoiceTransformations.has(userId)) {
-      // Logger.log(`StateManager: Limpiando estado V2V pendiente para usuario ${userId}`); // Verboso
-      this.pendingVoiceTransformations.delete(userId);
+
+  /**
+   * Empaqueta archivos en un ZIP (cada uno comprimido con deflate, o sin comprimir si no compensa, como los MP3).
+   * @param {Array<{name: string, data: Buffer}>} files - Nombres (UTF-8) y contenidos.
+   * @returns {Buffer}
+   */
+  static createZip(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = Buffer.from(file.name, 'utf8');
+      const deflated = zlib.deflateRawSync(file.data);
+      const method = deflated.length < file.data.length ? 8 : 0; // 8 = deflate, 0 = sin comprimir
+      const body = method === 8 ? deflated : file.data;
+      const crc = Utils.crc32(file.data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);   // Firma de la cabecera local
+      local.writeUInt16LE(20, 4);           // Versión necesaria (2.0)
+      local.writeUInt16LE(0x0800, 6);       // Nombres en UTF-8
+      local.writeUInt16LE(method, 8);
+      local.writeUInt16LE(dosTime, 10);
+      local.writeUInt16LE(dosDate, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(file.data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // Firma del directorio central
+      central.writeUInt16LE(20, 4);         // Versión que lo crea
+      central.writeUInt16LE(20, 6);         // Versión necesaria
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(method, 10);
+      central.writeUInt16LE(dosTime, 12);
+      central.writeUInt16LE(dosDate, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(body.length, 20);
+      central.writeUInt32LE(file.data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);    // Posición de la cabecera local
+
+      localParts.push(local, name, body);
+      centralParts.push(central, name);
+      offset += local.length + name.length + body.length;
     }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);       // Firma del final del directorio central
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, ...centralParts, end]);
   }
 
-  // --- Métodos para Operaciones Pendientes Generales ---
-  /** Marca que un usuario ha iniciado una operación larga. */
-  setPendingOperation(userId, operationType) {
-    // Logger.log(`StateManager: Marcando operación pendiente (${operationType}) para ${userId}`); // Verboso
-    this.pendingOperations.set(userId, operationType);
+  /** CRC-32 de un buffer (el que usan ZIP y PNG). */
+  static crc32(buffer) {
+    Utils.crc32Table ??= Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = Utils.crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
   }
-  /** Verifica si un usuario tiene una operación larga en curso. */
-  hasPendingOperation(userId) {
-    return this.pendingOperations.has(userId);
+
+  /**
+   * Empaqueta audio PCM sin cabecera (ej. `pcm_44100` de ElevenLabs: 16 bits, mono) en un WAV.
+   * @param {Buffer} pcm - Muestras PCM de 16 bits little-endian.
+   * @param {number} sampleRate - Frecuencia de muestreo (Hz).
+   * @param {number} [channels] - Número de canales.
+   * @returns {Buffer}
+   */
+  static pcmToWav(pcm, sampleRate, channels = 1) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVEfmt ', 8, 'ascii');
+    header.writeUInt32LE(16, 16);                        // Tamaño del bloque 'fmt '
+    header.writeUInt16LE(1, 20);                         // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28); // Bytes por segundo
+    header.writeUInt16LE(channels * 2, 32);              // Bytes por muestra (todos los canales)
+    header.writeUInt16LE(16, 34);                        // Bits por muestra
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
   }
-  /** Limpia la marca de operación pendiente para un usuario. */
-  clearPendingOperation(userId) {
-    if (this.pendingOperations.has(userId)) {
-      // Logger.log(`StateManager: Limpiando operación pendiente para ${userId}`); // Verboso
-      this.pendingOperations.delete(userId);
+
+  /**
+   * Convierte un audio a otro formato con ffmpeg (CONFIG.VOICE.FFMPEG_PATH).
+   * @param {string} inputPath - Audio de entrada.
+   * @param {string} extension - Formato de salida: '.ogg' (Opus), '.mp3' o '.wav' (PCM 16 bits).
+   * @param {{signal?: AbortSignal}} [options] - Señal de cancelación (/cancel).
+   * @returns {Promise<string>} - Ruta al audio convertido (archivo temporal que el llamador debe borrar).
+   * @throws {Error} - Si ffmpeg no está instalado o la conversión falla.
+   */
+  static async convertAudio(inputPath, extension, { signal = null } = {}) {
+    const codecs = {
+      '.ogg': ['-c:a', 'libopus', '-b:a', '64k'],
+      '.mp3': ['-c:a', 'libmp3lame', '-q:a', '2'],
+      '.wav': ['-c:a', 'pcm_s16le']
+    };
+    if (!codecs[extension]) throw new Error(`Formato de conversión no soportado: ${extension}`);
+    const outputPath = path.join(CONFIG.TMP_DIR, `${path.parse(inputPath).name}_${Date.now()}${extension}`);
+    try {
+      await Utils.runCommand(CONFIG.VOICE.FFMPEG_PATH, ['-y', '-loglevel', 'error', '-i', inputPath, '-vn', ...codecs[extension], outputPath], { signal });
+      return outputPath;
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true }); // No dejar conversiones a medias
+      throw error;
     }
   }
 }
 
-// -----------------------------------------------------------------------------
-// -- 7. Servicios de API (OpenAI y ElevenLabs)                               --
-// -----------------------------------------------------------------------------
-
 /**
- * Clase que encapsula las llamadas a las APIs externas.
+ * Edita un mensaje de Telegram de forma progresiva (ej. respuesta en streaming) respetando
+ * los límites de Telegram: como mucho una edición por intervalo, nunca dos a la vez,
+ * y sin ediciones cuando el texto no ha cambiado.
  */
-class ApiService {
+class ThrottledMessageEditor {
   /**
-   * Genera una respuesta de texto usando la API de OpenAI GPT.
-   * @param {Array<{role: string, content: string}>} messages - Historial de mensajes.
-   * @returns {Promise<string>} - La respuesta generada por GPT.
-   * @throws {Error} - Si la API de OpenAI no está disponible o falla.
+   * @param {import('telegraf').Telegram} telegram - Cliente de Telegram (ctx.telegram).
+   * @param {number} chatId - Chat del mensaje.
+   * @param {number} messageId - Mensaje a editar.
+   * @param {number} interval - Tiempo mínimo entre ediciones (ms).
    */
-  static async generateGPTResponse(messages) {
-    if (!openai) { // Verificar si el cliente OpenAI fue inicializado
-      Logger.error("ApiService.generateGPTResponse: Intento de uso sin cliente OpenAI inicializado.");
-      throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
-    }
-
-    Logger.log("ApiService.generateGPTResponse: Generando respuesta GPT...");
-    // Logger.debug("ApiService.generateGPTResponse: Mensajes enviados a GPT", messages); // Puede ser muy largo
-
-    try {
-      // Llamada a la API con reintentos usando Utils.retry
-      const completion = await Utils.retry(async () =>
-        await openai.chat.completions.create({
-          model: CONFIG.GPT.MODEL,
-          messages: messages,
-          max_tokens: CONFIG.GPT.MAX_TOKENS,
-          temperature: 0.8, // Un punto medio entre determinismo y creatividad
-          // Otros parámetros opcionales: top_p, frequency_penalty, presence_penalty
-        })
-      );
+  constructor(telegram, chatId, messageId, interval = CONFIG.GPT.STREAM_EDIT_INTERVAL) {
+    this.telegram = telegram;
+    this.chatId = chatId;
+    this.messageId = messageId;
+    this.interval = interval;
+    this.maxLength = CONFIG.BOT.MAX_MESSAGE_LENGTH;
+    this.lastSentText = null;   // Último texto que Telegram tiene en el mensaje
+    this.pendingText = null;    // Último texto pedido, aún sin enviar
+    this.nextEditAt = 0;        // No editar antes de este momento (ms epoch)
+    this.timer = null;
+    this.inFlight = null;       // Promesa de la edición en curso
+  }
 
-      // Validar la respuesta de la API
-      const responseText = completion?.choices?.[0]?.message?.content;
-      if (!responseText) {
-        Logger.warn("ApiService.generateGPTResponse: Respuesta inesperada o vacía de OpenAI.", completion);
-        throw new Error("Respuesta inesperada de la API de IA.");
-      }
+  /** Pide mostrar un texto; se enviará en cuanto el intervalo lo permita. */
+  update(text) {
+    this.pendingText = text.length > this.maxLength ? text.substring(0, this.maxLength - 1) + '…' : text;
+    this.schedule();
+  }
 
-      Logger.log("ApiService.generateGPTResponse: Respuesta GPT generada exitosamente.");
-      return responseText.trim(); // Devolver el texto limpio
+  /** Programa la siguiente edición si no hay ya una programada o en curso. */
+  schedule() {
+    if (this.timer || this.inFlight || this.pendingText === null) return;
+    const wait = Math.max(0, this.nextEditAt - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.inFlight = this.sendPending().finally(() => {
+        this.inFlight = null;
+        this.schedule(); // Puede haber llegado texto nuevo durante la edición
+      });
+    }, wait);
+  }
 
+  /** Envía el texto pendiente si es distinto del último enviado. */
+  async sendPending() {
+    const text = this.pendingText;
+    this.pendingText = null;
+    if (!text || text === this.lastSentText) return true;
+    this.nextEditAt = Date.now() + this.interval;
+    try {
+      await this.telegram.editMessageText(this.chatId, this.messageId, undefined, text);
+      this.lastSentText = text;
+      return true;
     } catch (error) {
-      Logger.error('ApiService.generateGPTResponse: Error generando respuesta GPT', error);
-      // Intentar extraer un mensaje de error más específico de la respuesta de la API si existe
-      const apiErrorMessage = error.response?.data?.error?.message || error.message;
-      throw new Error('No pude generar una respuesta de la IA: ' + apiErrorMessage);
+      const retryAfter = error.parameters?.retry_after;
+      if (retryAfter) {
+        // 429 Too Many Requests: esperar lo que indique Telegram antes de la siguiente edición
+        this.nextEditAt = Date.now() + retryAfter * 1000;
+        if (this.pendingText === null) this.pendingText = text;
+      } else if (!/message is not modified/i.test(error.description || error.message)) {
+        Logger.warn(`ThrottledMessageEditor: Falló la edición del mensaje ${this.messageId}: ${error.message}`);
+      }
+      return false;
     }
   }
 
   /**
-   * Genera audio (Text-to-Speech) usando la API de ElevenLabs.
-   * @param {string} text - El texto a convertir en voz.
-   * @param {object} options - Opciones para sobreescribir los defaults (stability, similarity_boost, style, speed, use_speaker_boost).
-   * @returns {Promise<string>} - La ruta al archivo de audio temporal generado.
-   * @throws {Error} - Si la API Key no está configurada o la llamada falla.
+   * Detiene las ediciones programadas y espera a que termine la que esté en curso.
+   * Llamar antes de la edición final para que no se pise con una edición intermedia.
    */
-  static async generateVoice(text, options = {}) {
-    if (!process.env.ELEVEN_API_KEY) {
-      Logger.error("ApiService.generateVoice: ELEVEN_API_KEY no definida.");
-      throw new Error("El servicio de generación de voz no está configurado.");
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
     }
+    this.pendingText = null;
+    if (this.inFlight) await this.inFlight;
+  }
 
-    Logger.log("ApiService.generateVoice: Generando voz (TTS)...");
-    const voiceId = CONFIG.ELEVEN_LABS.VOICE_ID;
-    Logger.log(`ApiService.generateVoice: Usando Voice ID (TTS): ${voiceId}`);
-    // Logger.log(`ApiService.generateVoice: Longitud texto: ${text.length}`);
-
-    // --- Construir Voice Settings Finales ---
-    // Fusionar opciones pasadas con defaults de CONFIG, aplicando clamping
-    const finalSettings = {
-      stability: options.stability !== undefined
-        ? Math.max(0.0, Math.min(1.0, options.stability)) // Clamp 0.0 - 1.0
-        : CONFIG.ELEVEN_LABS.STABILITY,
-      similarity_boost: options.similarity_boost !== undefined
-        ? Math.max(0.0, Math.min(1.0, options.similarity_boost)) // Clamp 0.0 - 1.0
-        : CONFIG.ELEVEN_LABS.SIMILARITY_BOOST,
-      style: options.style !== undefined
-        ? Math.max(0.0, options.style) // Permitir >= 0.0
-        : CONFIG.ELEVEN_LABS.STYLE,
-      speed: options.speed !== undefined
-        ? Math.max(0.5, Math.min(2.0, options.speed)) // Clamp 0.5 - 2.0
-        : CONFIG.ELEVEN_LABS.SPEED,
-      use_speaker_boost: options.use_speaker_boost !== undefined
-        ? options.use_speaker_boost
-        : CONFIG.ELEVEN_LABS.USE_SPEAKER_BOOST
-    };
-    // Logger.debug("ApiService.generateVoice: Voice Settings finales para TTS:", finalSettings);
+  /**
+   * Muestra el texto final inmediatamente (tras detener las ediciones intermedias).
+   * @returns {Promise<boolean>} - `true` si el mensaje quedó con el texto final.
+   */
+  async finish(finalText) {
+    await this.stop();
+    if (finalText === this.lastSentText) return true;
+    if (finalText.length > this.maxLength) return false; // El llamador decide cómo enviarlo
+    this.pendingText = finalText;
+    return this.sendPending();
+  }
+}
 
-    try {
-      // --- Preparar Llamada API ---
-      const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
-      const queryParams = {
-        output_format: CONFIG.ELEVEN_LABS.OUTPUT_FORMAT,
-        // optimize_streaming_latency: 0 // Opcional para streaming
-      };
-      const payload = {
-        text: text,
-        model_id: CONFIG.ELEVEN_LABS.MODEL, // Modelo TTS especificado
-        voice_settings: finalSettings      // Settings calculados
-      };
-      const headers = {
-        'Accept': 'audio/mpeg', // Esperamos este formato de respuesta
-        'xi-api-key': process.env.ELEVEN_API_KEY,
-        'Content-Type': 'application/json' // El payload es JSON
-      };
+// -----------------------------------------------------------------------------
+// -- 6. Métricas (Prometheus)                                                --
+// -----------------------------------------------------------------------------
 
-      Logger.log("ApiService.generateVoice: Enviando solicitud TTS a ElevenLabs...");
-      // Logger.debug("ApiService.generateVoice: Payload TTS:", payload);
+/**
+ * Registro de métricas en memoria (contadores, histogramas y gauges) expuesto en
+ * formato de texto de Prometheus en GET /metrics.
+ */
+class Metrics {
+  /** @type {Map<string, {type: string, help: string, buckets?: number[], collect?: Function, values: Map<string, object>}>} */
+  static registry = new Map();
 
-      // --- Ejecutar Llamada con Reintentos ---
-      const response = await Utils.retry(async () =>
-        await axios({
-          method: 'post',
-          url: url,
-          headers: headers,
-          data: payload,
-          params: queryParams,
-          responseType: 'arraybuffer' // Esperamos datos binarios (audio)
-        })
-      );
+  /** Registra un contador (solo sube). */
+  static counter(name, help) {
+    this.registry.set(name, { type: 'counter', help, values: new Map() });
+  }
 
-      // --- Procesar Respuesta ---
-      Logger.log("ApiService.generateVoice: Respuesta TTS de ElevenLabs recibida.");
-      // Logger.debug("ApiService.generateVoice: Headers respuesta TTS", response.headers);
+  /** Registra un histograma con los límites superiores de sus buckets. */
+  static histogram(name, help, buckets) {
+    this.registry.set(name, { type: 'histogram', help, buckets, values: new Map() });
+  }
 
-      // Validar respuesta exitosa y con contenido
-      if (response.status !== 200 || !response.data || response.data.length === 0) {
-        throw new Error(`Respuesta inválida o vacía de ElevenLabs API (TTS): Status ${response.status}`);
-      }
+  /** Registra un gauge cuyo valor se calcula en cada lectura con `collect()`. */
+  static gauge(name, help, collect) {
+    this.registry.set(name, { type: 'gauge', help, collect, values: new Map() });
+  }
 
-      // Guardar el audio recibido en un archivo temporal
-      const tempFilePath = path.join(CONFIG.TMP_DIR, `tts_output_${Date.now()}.mp3`);
-      Logger.log(`ApiService.generateVoice: Guardando audio TTS en: ${tempFilePath}`);
-      fs.writeFileSync(tempFilePath, response.data);
-      Logger.log(`ApiService.generateVoice: Audio TTS guardado correctamente (${response.data.length} bytes)`);
+  /** Devuelve la serie de una métrica para unas etiquetas, creándola si no existe. */
+  static series(name, labels, init) {
+    const metric = this.registry.get(name);
+    if (!metric) throw new Error(`Métrica no registrada: ${name}`);
+    const key = JSON.stringify(labels);
+    if (!metric.values.has(key)) metric.values.set(key, { labels, ...init(metric) });
+    return metric.values.get(key);
+  }
 
-      return tempFilePath; // Devolver la ruta al archivo generado
+  /** Incrementa un contador. */
+  static inc(name, labels = {}, value = 1) {
+    this.series(name, labels, () => ({ value: 0 })).value += value;
+  }
 
-    } catch (error) {
-      Logger.error('ApiService.generateVoice: Error generando voz (TTS)', error);
-      // Extraer mensaje de error más útil
-      let errorMessage = 'Error desconocido al generar audio';
-      if (error.response?.data) {
-        try {
-          const errorData = Buffer.isBuffer(error.response.data) ? JSON.parse(error.response.data.toString()) : error.response.data;
-          errorMessage = errorData.detail?.message || (typeof errorData.detail === 'string' ? errorData.detail : error.response.statusText) || error.message;
-        } catch (parseError) { errorMessage = error.message; }
-      } else { errorMessage = error.message; }
-      throw new Error(`Error al generar audio (TTS): ${errorMessage}`);
-    }
+  /** Añade una observación a un histograma. */
+  static observe(name, labels, value) {
+    const series = this.series(name, labels, metric => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    const buckets = this.registry.get(name).buckets;
+    buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
   }
 
   /**
-   * Transforma audio (Speech-to-Speech / V2V) usando la API de ElevenLabs.
-   * @param {string} audioFilePath - Ruta al archivo de audio de entrada.
-   * @returns {Promise<string>} - La ruta al archivo de audio temporal transformado.
-   * @throws {Error} - Si la API Key no está configurada o la llamada falla.
+   * Empieza a medir una llamada a una API externa. Llamar a `end('success'|'error')` al terminar
+   * para contarla y registrar su duración.
+   * @param {string} operation - Nombre de la operación (ej. 'generateVoice').
+   * @returns {{end: (status: string) => void}}
    */
-  static async transformVoice(audioFilePath) {
-    if (!process.env.ELEVEN_API_KEY) {
-      Logger.error("ApiService.transformVoice: ELEVEN_API_KEY no definida.");
-      throw new Error("El servicio de transformación de voz no está configurado.");
-    }
+  static startTimer(operation) {
+    const startedAt = process.hrtime.bigint();
+    return {
+      end: (status) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        this.inc('javier_api_requests_total', { operation, status });
+        this.observe('javier_api_request_duration_seconds', { operation }, seconds);
+      }
+    };
+  }
+
+  /** Formatea las etiquetas de una serie (`{a="b",c="d"}`). */
+  static formatLabels(labels) {
+    const pairs = Object.entries(labels)
+      .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /** Genera el texto de todas las métricas en el formato de exposición de Prometheus. */
+  static render() {
+    const lines = [];
+    for (const [name, metric] of this.registry) {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      if (metric.type === 'gauge') {
+        let value;
+        try { value = metric.collect(); }
+        catch (error) { Logger.warn(`Metrics: No se pudo calcular ${name}: ${error.message}`); continue; }
+        lines.push(`${name} ${value}`);
+        continue;
+      }
+      for (const series of metric.values.values()) {
+        if (metric.type === 'counter') {
+          lines.push(`${name}${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// --- Métricas del bot (el gauge de operaciones pendientes lo registra JavierBot) ---
+Metrics.counter('javier_api_requests_total', 'Llamadas a las APIs externas (GPT, TTS, STS, STT) por operación y resultado.');
+Metrics.histogram('javier_api_request_duration_seconds', 'Duración de las llamadas a las APIs externas, reintentos incluidos.',
+  [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]);
+Metrics.counter('javier_retries_total', 'Reintentos hechos por Utils.retry tras un intento fallido.');
+Metrics.counter('javier_tts_cache_lookups_total', 'Consultas a la caché de voz (TTS) por resultado (hit o miss).');
+Metrics.counter('javier_errors_total', 'Errores no controlados capturados por el manejador global de Telegraf.');
+Metrics.counter('javier_messages_handled_total', 'Updates de usuarios autorizados por comando o tipo de mensaje.');
+Metrics.gauge('javier_uptime_seconds', 'Segundos desde que arrancó el proceso.', () => Math.round(process.uptime()));
+
+// -----------------------------------------------------------------------------
+// -- 7. Almacenamiento Persistente del Estado                                --
+// -----------------------------------------------------------------------------
+
+/**
+ * Interfaz base para los backends de almacenamiento del estado.
+ * Cada backend guarda y recupera un "snapshot" completo del estado (objeto JSON serializable).
+ * Los métodos son síncronos a propósito: permiten guardar también durante el cierre del proceso.
+ */
+class StateStorage {
+  /** Nombre legible del backend (para logs). */
+  get name() { return 'base'; }
+
+  /**
+   * Carga el último snapshot guardado.
+   * @returns {object|null} - El snapshot, o `null` si todavía no hay nada guardado.
+   */
+  load() { throw new Error(`${this.constructor.name}.load() no implementado.`); }
+
+  /**
+   * Guarda un snapshot completo de forma atómica (o todo o nada).
+   * @param {object} snapshot - Estado serializable a guardar.
+   */
+  save(snapshot) { throw new Error(`${this.constructor.name}.save() no implementado.`); }
+
+  /** Libera los recursos del backend (conexiones, descriptores). */
+  close() {}
+
+  /**
+   * Crea el backend indicado en la configuración.
+   * @param {string} backend - 'json', 'sqlite' o 'memory'.
+   * @param {string|null} filePath - Ruta del archivo de datos (opcional).
+   * @returns {StateStorage}
+   */
+  static create(backend = CONFIG.STORAGE.BACKEND, filePath = CONFIG.STORAGE.PATH) {
+    const dataDir = path.join(__dirname, 'data');
+    switch (backend) {
+      case 'memory':
+        return new MemoryStateStorage();
+      case 'sqlite':
+        return new SqliteStateStorage(filePath || path.join(dataDir, 'javier-state.db'));
+      case 'json':
+        return new JsonFileStateStorage(filePath || path.join(dataDir, 'javier-state.json'));
+      default:
+        throw new Error(`Backend de almacenamiento desconocido: '${backend}' (usa 'json', 'sqlite' o 'memory').`);
+    }
+  }
+}
+
+/**
+ * Backend en memoria: no persiste nada entre reinicios. Pensado para tests y desarrollo.
+ */
+class MemoryStateStorage extends StateStorage {
+  constructor() {
+    super();
+    this.snapshot = null;
+  }
+  get name() { return 'memory'; }
+  load() {
+    // Devolver una copia para que el llamador no pueda mutar el "almacenamiento"
+    return this.snapshot ? JSON.parse(JSON.stringify(this.snapshot)) : null;
+  }
+  save(snapshot) {
+    this.snapshot = JSON.parse(JSON.stringify(snapshot));
+  }
+}
+
+/**
+ * Backend en archivo JSON. Escribe primero en un archivo temporal, lo sincroniza a disco
+ * y después lo renombra sobre el original, de modo que un crash a mitad de escritura
+ * nunca deja el archivo de estado corrupto.
+ */
+class JsonFileStateStorage extends StateStorage {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  get name() { return `json (${this.filePath})`; }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    if (!raw.trim()) return null;
+    return JSON.parse(raw);
+  }
+
+  save(snapshot) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(snapshot));
+      fs.fsyncSync(fd); // Asegurar que los datos llegan al disco antes del rename
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath); // rename es atómico dentro del mismo sistema de archivos
+  }
+}
+
+/**
+ * Backend SQLite (requiere el paquete opcional `better-sqlite3`).
+ * Guarda cada sección del snapshot en una fila de una tabla clave/valor dentro de una transacción.
+ */
+class SqliteStateStorage extends StateStorage {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error("El backend 'sqlite' requiere el paquete 'better-sqlite3' (npm install better-sqlite3).");
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL'); // Escrituras atómicas y resistentes a crashes
+    this.db.exec('CREATE TABLE IF NOT EXISTS bot_state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)');
+    this.upsertStmt = this.db.prepare(
+      'INSERT INTO bot_state (key, value, updated_at) VALUES (?, ?, ?) ' +
+      'ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+    );
+    this.saveTransaction = this.db.transaction((snapshot) => {
+      const now = Date.now();
+      for (const [key, value] of Object.entries(snapshot)) {
+        this.upsertStmt.run(key, JSON.stringify(value), now);
+      }
+    });
+  }
+  get name() { return `sqlite (${this.filePath})`; }
+
+  load() {
+    const rows = this.db.prepare('SELECT key, value FROM bot_state').all();
+    if (rows.length === 0) return null;
+    const snapshot = {};
+    for (const row of rows) snapshot[row.key] = JSON.parse(row.value);
+    return snapshot;
+  }
+
+  save(snapshot) {
+    this.saveTransaction(snapshot);
+  }
+
+  close() {
+    if (this.db?.open) this.db.close();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 8. Registro de Uso y Costes                                             --
+// -----------------------------------------------------------------------------
+
+/**
+ * Registro de uso de las APIs externas: una entrada por llamada (usuario, operación, modelo,
+ * tokens, caracteres, segundos de audio, duración y coste estimado). Se guarda como JSONL
+ * (una línea por entrada, solo se añade) y se mantiene en memoria para las consultas de /usage.
+ */
+class UsageLedger {
+  /** Campos de cada entrada, en el orden de la exportación CSV. */
+  static FIELDS = ['timestamp', 'userId', 'operation', 'provider', 'model', 'status', 'promptTokens',
+    'completionTokens', 'ttsCharacters', 'audioSeconds', 'durationMs', 'cost'];
+
+  /** Nombres legibles de las operaciones registradas (para /usage). */
+  static OPERATION_LABELS = {
+    generateGPTResponse: 'Chat',
+    streamGPTResponse: 'Chat (streaming)',
+    summarizeConversation: 'Resúmenes del historial',
+    generateVoice: 'Voz (TTS)',
+    transformVoice: 'Transformación de voz (V2V)',
+    transcribeAudio: 'Transcripción (STT)'
+  };
+
+  /**
+   * @param {string|null} filePath - Archivo JSONL del registro (`null` = solo en memoria).
+   * @param {object} prices - Tabla de precios por modelo (ver CONFIG.USAGE.PRICES).
+   */
+  constructor(filePath = null, prices = UsageLedger.loadPrices()) {
+    this.filePath = filePath;
+    this.prices = prices;
+    /** @type {Array<object>} */
+    this.entries = [];
+    if (filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      this.load();
+    }
+  }
+
+  /**
+   * Crea el registro según la configuración (en memoria si el estado tampoco se persiste).
+   * @param {string} backend - Backend de almacenamiento del estado ('memory' desactiva el archivo).
+   * @param {string|null} filePath - Ruta del archivo JSONL (opcional).
+   * @returns {UsageLedger}
+   */
+  static create(backend = CONFIG.STORAGE.BACKEND, filePath = CONFIG.USAGE.LEDGER_PATH) {
+    if (backend === 'memory') return new UsageLedger(null);
+    return new UsageLedger(filePath || path.join(__dirname, 'data', 'usage-ledger.jsonl'));
+  }
+
+  /** Tabla de precios de CONFIG con los del archivo USAGE_PRICES_FILE encima (si se configuró). */
+  static loadPrices() {
+    if (!CONFIG.USAGE.PRICES_FILE) return { ...CONFIG.USAGE.PRICES };
+    try {
+      const custom = JSON.parse(fs.readFileSync(CONFIG.USAGE.PRICES_FILE, 'utf8'));
+      Logger.log(`UsageLedger: Precios cargados de ${CONFIG.USAGE.PRICES_FILE} (${Object.keys(custom).length} modelos).`);
+      return { ...CONFIG.USAGE.PRICES, ...custom };
+    } catch (error) {
+      Logger.error(`UsageLedger: No se pudo leer ${CONFIG.USAGE.PRICES_FILE}; se usan los precios por defecto.`, error);
+      return { ...CONFIG.USAGE.PRICES };
+    }
+  }
+
+  /** Carga las entradas del archivo, ignorando las líneas dañadas (ej. un corte a mitad de escritura). */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    let invalidLines = 0;
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { this.entries.push(JSON.parse(line)); }
+      catch (error) { invalidLines++; }
+    }
+    Logger.log(`UsageLedger: ${this.entries.length} entradas cargadas de ${this.filePath}.`);
+    if (invalidLines > 0) Logger.warn(`UsageLedger: ${invalidLines} líneas inválidas ignoradas en ${this.filePath}.`);
+  }
+
+  /**
+   * Coste estimado de una llamada según la tabla de precios.
+   * @returns {number|null} - Coste en CONFIG.USAGE.CURRENCY, o `null` si el modelo no tiene precio.
+   */
+  estimateCost(entry) {
+    const price = this.prices[entry.model];
+    if (!price) return null;
+    const cost = (entry.promptTokens * (price.promptPerMillion || 0) + entry.completionTokens * (price.completionPerMillion || 0)) / 1e6
+      + entry.ttsCharacters / 1000 * (price.perThousandChars || 0)
+      + entry.audioSeconds / 60 * (price.perMinute || 0);
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Añade una entrada al registro (y al archivo, si lo hay) con su coste estimado.
+   * @param {{userId?: number|null, operation: string, provider?: string, model?: string, status: string,
+   *   promptTokens?: number, completionTokens?: number, ttsCharacters?: number, audioSeconds?: number, durationMs?: number}} data
+   * @returns {object} - La entrada guardada.
+   */
+  append(data) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      userId: data.userId ?? null, // null = llamada del sistema (ej. verificaciones)
+      operation: data.operation,
+      provider: data.provider || null,
+      model: data.model || null,
+      status: data.status,
+      promptTokens: data.promptTokens || 0,
+      completionTokens: data.completionTokens || 0,
+      ttsCharacters: data.ttsCharacters || 0,
+      audioSeconds: data.audioSeconds || 0,
+      durationMs: data.durationMs || 0
+    };
+    entry.cost = this.estimateCost(entry);
+    this.entries.push(entry);
+    if (this.filePath) fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Entradas de un periodo, opcionalmente de un solo usuario.
+   * @param {{since?: Date|null, until?: Date|null, userId?: number}} filter
+   * @returns {Array<object>}
+   */
+  query({ since = null, until = null, userId } = {}) {
+    return this.entries.filter(entry => {
+      const time = new Date(entry.timestamp);
+      if (since && time < since) return false;
+      if (until && time >= until) return false;
+      return userId === undefined || entry.userId === userId;
+    });
+  }
+
+  /**
+   * Agrupa entradas y suma su consumo.
+   * @param {Array<object>} entries - Entradas a agrupar.
+   * @param {(entry: object) => string} keyFn - Clave del grupo de cada entrada.
+   * @returns {Map<string, {calls: number, errors: number, promptTokens: number, completionTokens: number,
+   *   ttsCharacters: number, audioSeconds: number, durationMs: number, cost: number, unpriced: number}>}
+   */
+  static summarize(entries, keyFn) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyFn(entry);
+      if (!groups.has(key)) {
+        groups.set(key, { calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, ttsCharacters: 0, audioSeconds: 0, durationMs: 0, cost: 0, unpriced: 0 });
+      }
+      const totals = groups.get(key);
+      totals.calls++;
+      if (entry.status === 'error') totals.errors++;
+      for (const field of ['promptTokens', 'completionTokens', 'ttsCharacters', 'audioSeconds', 'durationMs']) totals[field] += entry[field] || 0;
+      if (entry.cost === null) totals.unpriced++;
+      else totals.cost += entry.cost;
+    }
+    return groups;
+  }
+
+  /**
+   * Interpreta el periodo de /usage (en UTC, como las cuotas diarias).
+   * @param {string} [arg] - 'today', 'week', 'month' (por defecto), 'all', 'Nd' (últimos N días) o 'AAAA-MM'.
+   * @param {Date} [now] - Fecha de referencia.
+   * @returns {{since: Date|null, until: Date|null, label: string}|null} - `null` si el periodo no es válido.
+   */
+  static parsePeriod(arg, now = new Date()) {
+    const period = (arg || 'month').toLowerCase();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (period === 'today') return { since: dayStart, until: null, label: 'hoy' };
+    if (period === 'week') return { since: new Date(now.getTime() - 7 * 86400000), until: null, label: 'últimos 7 días' };
+    if (period === 'month') return { since: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), until: null, label: 'este mes' };
+    if (period === 'all') return { since: null, until: null, label: 'todo el historial' };
+    const days = period.match(/^(\d{1,4})d$/);
+    if (days && parseInt(days[1], 10) > 0) {
+      return { since: new Date(now.getTime() - parseInt(days[1], 10) * 86400000), until: null, label: `últimos ${parseInt(days[1], 10)} días` };
+    }
+    const month = period.match(/^(\d{4})-(\d{2})$/);
+    if (month && month[2] >= '01' && month[2] <= '12') {
+      const year = parseInt(month[1], 10);
+      const monthIndex = parseInt(month[2], 10) - 1;
+      return { since: new Date(Date.UTC(year, monthIndex, 1)), until: new Date(Date.UTC(year, monthIndex + 1, 1)), label: period };
+    }
+    return null;
+  }
+
+  /**
+   * Convierte filas a CSV (RFC 4180: comillas solo donde hacen falta).
+   * @param {Array<Array<any>>} rows - Filas, la primera con las cabeceras.
+   * @returns {string}
+   */
+  static toCsv(rows) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 9. Registro de Personalidades                                           --
+// -----------------------------------------------------------------------------
+
+/**
+ * Carga las personalidades disponibles desde CONFIG.PERSONAS.DIR.
+ * Cada archivo `<id>.json` define: `name`, `description`, `systemPrompt` (texto o lista de líneas),
+ * `greeting`, y opcionalmente `voiceId` y `voiceSettings` (mismas claves que las opciones de /tv).
+ */
+class PersonaRegistry {
+  /**
+   * @param {string} [dir] - Directorio con los archivos de personalidad.
+   * @param {string} [defaultId] - ID de la personalidad por defecto.
+   * @throws {Error} - Si no se encuentra ninguna personalidad válida.
+   */
+  constructor(dir = CONFIG.PERSONAS.DIR, defaultId = CONFIG.PERSONAS.DEFAULT) {
+    this.dir = dir;
+    /** @type {Map<string, {id: string, name: string, description: string, systemPrompt: string, greeting: string, voiceId: string|null, voiceSettings: object}>} */
+    this.personas = new Map();
+    this.load();
+
+    if (this.personas.size === 0) {
+      throw new Error(`No se encontró ninguna personalidad válida en ${this.dir}.`);
+    }
+    if (this.personas.has(defaultId)) {
+      this.defaultId = defaultId;
+    } else {
+      this.defaultId = this.personas.keys().next().value;
+      Logger.warn(`PersonaRegistry: La personalidad por defecto '${defaultId}' no existe; se usará '${this.defaultId}'.`);
+    }
+  }
+
+  /** Lee todos los archivos `.json` del directorio. Los archivos inválidos se ignoran con un aviso. */
+  load() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      Logger.error(`PersonaRegistry: No se pudo leer el directorio de personalidades ${this.dir}`, error);
+      return;
+    }
+
+    for (const file of files) {
+      const id = path.basename(file, '.json').toLowerCase();
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const systemPrompt = Array.isArray(data.systemPrompt) ? data.systemPrompt.join('\n') : data.systemPrompt;
+        if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+          throw new Error("Falta 'systemPrompt'.");
+        }
+        this.personas.set(id, {
+          id,
+          name: data.name || id,
+          description: data.description || '',
+          systemPrompt: systemPrompt.trim(),
+          greeting: data.greeting || `Hola, soy ${data.name || id}.`,
+          voiceId: data.voiceId || null,          // Sin voiceId se usa CONFIG.ELEVEN_LABS.VOICE_ID
+          voiceSettings: data.voiceSettings || {} // Se aplican antes que las opciones de cada mensaje
+        });
+      } catch (error) {
+        Logger.error(`PersonaRegistry: Personalidad inválida en ${file}, se ignora`, error);
+      }
+    }
+    Logger.log(`PersonaRegistry: ${this.personas.size} personalidades cargadas (${Array.from(this.personas.keys()).join(', ')}).`);
+  }
+
+  /** Devuelve la personalidad con ese ID (sin distinguir mayúsculas), o `null` si no existe. */
+  get(id) {
+    return this.personas.get(String(id || '').toLowerCase()) || null;
+  }
+
+  /** Devuelve la personalidad con ese ID o, si no existe, la personalidad por defecto. */
+  resolve(id) {
+    return this.get(id) || this.personas.get(this.defaultId);
+  }
+
+  /** Lista todas las personalidades disponibles. */
+  list() {
+    return Array.from(this.personas.values());
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 10. Gestor de Estado del Bot                                            --
+// -----------------------------------------------------------------------------
+
+/**
+ * Gestiona el estado de las interacciones de los usuarios, autorizaciones,
+ * conversaciones y operaciones pendientes.
+ */
+class StateManager {
+  /**
+   * @param {StateStorage} [storage] - Backend de persistencia. Por defecto, el indicado en CONFIG.STORAGE.
+   * @param {PersonaRegistry} [personas] - Personalidades disponibles. Por defecto, las de CONFIG.PERSONAS.DIR.
+   */
+  constructor(storage = StateStorage.create(), personas = new PersonaRegistry()) {
+    this.storage = storage;
+    this.personas = personas;
+    this.saveTimer = null; // Timer del guardado diferido (debounce)
+    this.loadFailed = false; // true si el estado guardado no se pudo leer (entonces no se sobrescribe)
+    this.initializeState();
+    this.loadPersistedState();
+  }
+
+  /** Inicializa las estructuras de datos del estado */
+  initializeState() {
+    Logger.log("StateManager: Inicializando estado...");
+
+    // --- Usuarios Autorizados y Administradores ---
+    try {
+      // Cargar IDs desde .env, convertir a números y filtrar NaN
+      const parseIds = (envVar) => envVar
+        ? envVar.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
+        : [];
+
+      this.authorizedUsers = new Set(parseIds(process.env.AUTHORIZED_USERS));
+      this.adminUsers = new Set(parseIds(process.env.ADMIN_USERS)); // Pueden gestionar usuarios con /allow, /revoke, etc.
+
+      // Loguear información importante sobre usuarios
+      if (this.authorizedUsers.size === 0) {
+          Logger.warn("StateManager: ¡ATENCIÓN! No se definieron usuarios autorizados en AUTHORIZED_USERS. Nadie podrá usar el bot.");
+      } else {
+          Logger.log(`StateManager: Usuarios autorizados cargados: ${Array.from(this.authorizedUsers).join(', ')}`);
+      }
+      Logger.log(`StateManager: Usuarios administradores cargados: ${Array.from(this.adminUsers).join(', ')}`);
+
+    } catch (error) {
+      Logger.error("StateManager: Error crítico procesando usuarios autorizados/admin desde .env", error);
+      // Inicializar vacíos para evitar errores posteriores
+      this.authorizedUsers = new Set();
+      this.adminUsers = new Set();
+    }
+    // Revocaciones hechas en tiempo de ejecución: prevalecen sobre lo definido en .env tras un reinicio
+    /** @type {Set<number>} */
+    this.revokedUsers = new Set();
+    /** @type {Set<number>} */
+    this.demotedAdmins = new Set();
+
+    // --- Estructuras de Datos Principales ---
+    /** @type {Map<number, {lastAction: number, currentOperation: string|null, profile: object, preferences: object}>} */
+    this.userSessions = new Map();          // Información de sesión por User ID
+    /** @type {Map<number, Array<{role: string, content: string}>>} */
+    this.conversations = new Map();         // Historial de conversación GPT por User ID
+    /** @type {Map<number, {text: string, foldedMessages: number}>} */
+    this.conversationSummaries = new Map(); // Resumen de los turnos antiguos que ya no caben en el contexto
+    /** @type {Map<number, string>} */
+    this.conversationPersonas = new Map();  // Personalidad con la que empezó cada conversación
+    /** @type {Map<number, {messageId: number, chatId: number, options: object, batch: boolean, remux: boolean, count: number, expiresAt: number|null}>} */
+    this.pendingVoiceTransformations = new Map(); // Esperas de audio de /vv (ver setPendingVoiceTransformation)
+    /** @type {Map<number, {status: string, requestedAt: number, resolvedAt: number|null, resolvedBy: number|null, profile: object, adminMessages: Array<{chatId: number, messageId: number}>}>} */
+    this.accessRequests = new Map();        // Solicitudes de acceso de usuarios no autorizados (para throttling y resolución)
+    /** @type {Set<number>} */
+    this.pendingTranscriptions = new Set(); // Usuarios que usaron /transcribe y esperan enviar un audio (no se persiste)
+    /** @type {Map<number, {options: object, format: string}>} */
+    this.pendingDubs = new Map();           // Usuarios que usaron /dub y esperan enviar un .srt (no se persiste)
+    /** @type {Map<number, {day: string, ttsChars: number, stsSeconds: number, gptTokens: number}>} */
+    this.dailyUsage = new Map();            // Consumo del día por usuario (para las cuotas, ver QuotaManager)
+    this.globalDailyUsage = StateManager.emptyDailyUsage(); // Consumo del día de todos los usuarios
+    /** @type {Map<number, object>} */
+    this.quotaOverrides = new Map();        // Límites ajustados por un admin con /quota (clave de límite -> valor)
+  }
+
+  // --- Métodos de Persistencia ---
+  /** Carga el estado guardado por el backend de almacenamiento y lo fusiona con el estado inicial. */
+  loadPersistedState() {
+    Logger.log(`StateManager: Cargando estado persistido (backend: ${this.storage.name})...`);
+    let snapshot;
+    try {
+      snapshot = this.storage.load();
+    } catch (error) {
+      // No sobrescribir un archivo que no se pudo leer: mejor arrancar con estado vacío y avisar
+      Logger.error("StateManager: Error leyendo el estado persistido. Se arranca con estado vacío y no se guardarán cambios hasta reiniciar con el estado reparado.", error);
+      this.loadFailed = true;
+      return;
+    }
+    if (!snapshot) {
+      Logger.log("StateManager: No hay estado persistido previo.");
+      return;
+    }
+
+    // Autorizaciones: se añaden las guardadas a las de .env y se aplican las revocaciones hechas con /revoke y /demote
+    for (const id of snapshot.authorizedUsers || []) this.authorizedUsers.add(id);
+    for (const id of snapshot.adminUsers || []) this.adminUsers.add(id);
+    for (const id of snapshot.revokedUsers || []) {
+      this.revokedUsers.add(id);
+      this.authorizedUsers.delete(id);
+      this.adminUsers.delete(id);
+    }
+    for (const id of snapshot.demotedAdmins || []) {
+      this.demotedAdmins.add(id);
+      this.adminUsers.delete(id);
+    }
+
+    for (const [userId, session] of Object.entries(snapshot.userSessions || {})) {
+      this.userSessions.set(Number(userId), {
+        lastAction: session.lastAction || 0,
+        currentOperation: null, // Las operaciones en curso no sobreviven a un reinicio
+        profile: session.profile || {},
+        preferences: session.preferences || {}
+      });
+    }
+    for (const [userId, messages] of Object.entries(snapshot.conversations || {})) {
+      if (Array.isArray(messages) && messages.length > 0) this.conversations.set(Number(userId), messages);
+    }
+    for (const [userId, pending] of Object.entries(snapshot.pendingVoiceTransformations || {})) {
+      // Los snapshots antiguos solo guardaban el message_id (esperas sin opciones ni caducidad)
+      this.pendingVoiceTransformations.set(Number(userId), typeof pending === 'object'
+        ? pending
+        : StateManager.newPendingVoiceTransformation(Number(userId), { messageId: pending }));
+    }
+    for (const [userId, summary] of Object.entries(snapshot.conversationSummaries || {})) {
+      this.conversationSummaries.set(Number(userId), summary);
+    }
+    for (const [userId, personaId] of Object.entries(snapshot.conversationPersonas || {})) {
+      this.conversationPersonas.set(Number(userId), personaId);
+    }
+    for (const [userId, request] of Object.entries(snapshot.accessRequests || {})) {
+      this.accessRequests.set(Number(userId), request);
+    }
+    for (const [userId, usage] of Object.entries(snapshot.dailyUsage || {})) {
+      this.dailyUsage.set(Number(userId), usage);
+    }
+    if (snapshot.globalDailyUsage) this.globalDailyUsage = snapshot.globalDailyUsage;
+    for (const [userId, overrides] of Object.entries(snapshot.quotaOverrides || {})) {
+      this.quotaOverrides.set(Number(userId), overrides);
+    }
+
+    Logger.log(`StateManager: Estado restaurado (${this.userSessions.size} sesiones, ${this.conversations.size} conversaciones, guardado ${snapshot.savedAt || 'en fecha desconocida'}).`);
+  }
+
+  /** Construye un snapshot serializable del estado que debe sobrevivir a reinicios. */
+  toSnapshot() {
+    const sessions = {};
+    for (const [userId, session] of this.userSessions) {
+      sessions[userId] = { lastAction: session.lastAction, profile: session.profile, preferences: session.preferences };
+    }
+    return {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      authorizedUsers: Array.from(this.authorizedUsers),
+      adminUsers: Array.from(this.adminUsers),
+      revokedUsers: Array.from(this.revokedUsers),
+      demotedAdmins: Array.from(this.demotedAdmins),
+      userSessions: sessions,
+      conversations: Object.fromEntries(this.conversations),
+      conversationSummaries: Object.fromEntries(this.conversationSummaries),
+      conversationPersonas: Object.fromEntries(this.conversationPersonas),
+      pendingVoiceTransformations: Object.fromEntries(this.pendingVoiceTransformations),
+      accessRequests: Object.fromEntries(this.accessRequests),
+      dailyUsage: Object.fromEntries(this.dailyUsage),
+      globalDailyUsage: this.globalDailyUsage,
+      quotaOverrides: Object.fromEntries(this.quotaOverrides)
+    };
+  }
+
+  /** Programa un guardado diferido del estado (agrupa cambios seguidos en una sola escritura). */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, CONFIG.STORAGE.SAVE_DEBOUNCE);
+    // No mantener vivo el proceso solo por un guardado pendiente
+    if (typeof this.saveTimer.unref === 'function') this.saveTimer.unref();
+  }
+
+  /** Guarda el estado inmediatamente (cancela cualquier guardado diferido). */
+  saveNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.loadFailed) {
+      // Guardar ahora borraría las autorizaciones y revocaciones del estado que no se pudo leer
+      Logger.warn(`StateManager: Guardado omitido: el estado persistido no se pudo leer al arrancar (backend: ${this.storage.name}).`);
+      return;
+    }
+    try {
+      this.storage.save(this.toSnapshot());
+    } catch (error) {
+      Logger.error(`StateManager: Error guardando el estado (backend: ${this.storage.name})`, error);
+    }
+  }
+
+  /** Guarda el estado pendiente y cierra el backend. Llamar durante el cierre del bot. */
+  close() {
+    this.saveNow();
+    try {
+      this.storage.close();
+    } catch (error) {
+      Logger.error("StateManager: Error cerrando el backend de almacenamiento", error);
+    }
+  }
+
+  // --- Métodos de Autorización ---
+  /** Verifica si un User ID está autorizado. */
+  isAuthorized(userId) {
+    return userId && this.authorizedUsers.has(userId);
+  }
+  /** Verifica si un User ID es administrador. */
+  isAdmin(userId) {
+    return userId && this.adminUsers.has(userId);
+  }
+  /** Autoriza a un usuario (y anula una revocación previa). Devuelve `false` si ya lo estaba. */
+  authorizeUser(userId) {
+    const changed = !this.authorizedUsers.has(userId);
+    this.authorizedUsers.add(userId);
+    this.revokedUsers.delete(userId);
+    Logger.log(`StateManager: Usuario ${userId} autorizado.`);
+    this.scheduleSave();
+    return changed;
+  }
+  /** Revoca el acceso de un usuario (también pierde el rol de administrador). Devuelve `false` si no tenía acceso. */
+  revokeUser(userId) {
+    const changed = this.authorizedUsers.has(userId) || this.adminUsers.has(userId);
+    // Solo se recuerda a quien tenía acceso: si no, bloquearía una entrada de AUTHORIZED_USERS añadida más tarde
+    if (!changed) return false;
+    this.authorizedUsers.delete(userId);
+    this.adminUsers.delete(userId);
+    this.revokedUsers.add(userId);
+    this.clearPendingVoiceTransformation(userId);
+    Logger.log(`StateManager: Acceso revocado para usuario ${userId}.`);
+    this.scheduleSave();
+    return true;
+  }
+  /** Convierte a un usuario en administrador (autorizándolo si no lo estaba). Devuelve `false` si ya lo era. */
+  promoteUser(userId) {
+    const changed = !this.adminUsers.has(userId);
+    this.authorizeUser(userId);
+    this.adminUsers.add(userId);
+    this.demotedAdmins.delete(userId);
+    Logger.log(`StateManager: Usuario ${userId} promovido a administrador.`);
+    this.scheduleSave();
+    return changed;
+  }
+  /** Quita el rol de administrador a un usuario (sigue autorizado). Devuelve `false` si no era admin. */
+  demoteUser(userId) {
+    const changed = this.adminUsers.delete(userId);
+    // Solo se recuerda a quien era admin: si no, bloquearía una entrada de ADMIN_USERS añadida más tarde
+    if (!changed) return false;
+    this.demotedAdmins.add(userId);
+    Logger.log(`StateManager: Usuario ${userId} ya no es administrador.`);
+    this.scheduleSave();
+    return true;
+  }
+
+  // --- Métodos de Solicitudes de Acceso ---
+  /** Obtiene la última solicitud de acceso de un usuario, o undefined si nunca pidió acceso. */
+  getAccessRequest(userId) {
+    return this.accessRequests.get(userId);
+  }
+
+  /**
+   * Calcula cuánto debe esperar un usuario antes de poder solicitar acceso de nuevo.
+   * @returns {number} - Milisegundos restantes (0 si puede solicitarlo ya).
+   */
+  getAccessRequestWait(userId) {
+    const request = this.accessRequests.get(userId);
+    if (!request) return 0;
+    const cooldown = request.status === 'denied'
+      ? CONFIG.ACCESS_REQUESTS.DENIED_COOLDOWN
+      : CONFIG.ACCESS_REQUESTS.COOLDOWN;
+    const since = request.status === 'denied' ? request.resolvedAt : request.requestedAt;
+    return Math.max(0, (since || 0) + cooldown - Date.now());
+  }
+
+  /** Registra una nueva solicitud de acceso pendiente. */
+  createAccessRequest(userId, profile) {
+    const request = {
+      status: 'pending',
+      requestedAt: Date.now(),
+      resolvedAt: null,
+      resolvedBy: null,
+      profile,
+      adminMessages: [] // Mensajes enviados a los admins (para actualizarlos al resolver)
+    };
+    this.accessRequests.set(userId, request);
+    Logger.log(`StateManager: Nueva solicitud de acceso de usuario ${userId}`);
+    this.scheduleSave();
+    return request;
+  }
+
+  /**
+   * Marca una solicitud como aprobada o denegada. Aprobar autoriza al usuario.
+   * @returns {object|null} - La solicitud resuelta, o `null` si no había una pendiente.
+   */
+  resolveAccessRequest(userId, approved, adminId) {
+    const request = this.accessRequests.get(userId);
+    if (!request || request.status !== 'pending') return null;
+    request.status = approved ? 'approved' : 'denied';
+    request.resolvedAt = Date.now();
+    request.resolvedBy = adminId;
+    if (approved) this.authorizeUser(userId);
+    Logger.log(`StateManager: Solicitud de acceso de ${userId} ${approved ? 'aprobada' : 'denegada'} por ${adminId}`);
+    this.scheduleSave();
+    return request;
+  }
+
+  // --- Métodos de Sesión ---
+  /** Crea o actualiza la entrada de sesión para un usuario. */
+  createUserSession(userId) {
+    Logger.log(`StateManager: Creando/Actualizando sesión para usuario ${userId}`);
+    this.userSessions.set(userId, {
+      lastAction: Date.now(),
+      currentOperation: null, // Podría usarse para tipos de operación más finos
+      profile: {},            // Nombre y username de Telegram (para /users)
+      preferences: {
+        // outputMode: 'text' | 'voice' | 'both' (ver CONFIG.OUTPUT_MODES)
+        // audioFormat: 'voice' | 'mp3' | 'wav' | 'document', formato de entrega de los audios (ver CONFIG.AUDIO_FORMATS)
+        // persona: ID de la personalidad elegida con /persona (ver CONFIG.PERSONAS)
+        // voicePresets: { nombre: opciones de voz } y voicePreset: nombre del preset activo (/preset)
+      }
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Actualiza el timestamp de última acción de un usuario (creando la sesión si no existe).
+   * @param {number} userId - ID del usuario.
+   * @param {object} [telegramUser] - Objeto `ctx.from` de Telegram, para guardar nombre y username.
+   */
+  touchUserSession(userId, telegramUser = null) {
+    if (!this.userSessions.has(userId)) {
+      this.createUserSession(userId);
+    }
+    const session = this.userSessions.get(userId);
+    session.lastAction = Date.now();
+    if (telegramUser) {
+      session.profile = {
+        firstName: telegramUser.first_name || '',
+        lastName: telegramUser.last_name || '',
+        username: telegramUser.username || ''
+      };
+    }
+    this.scheduleSave();
+    return session;
+  }
+
+  // --- Métodos de Preferencias de Usuario ---
+  /** Obtiene una preferencia del usuario, o el valor por defecto si no está definida. */
+  getPreference(userId, key, defaultValue = undefined) {
+    const value = this.userSessions.get(userId)?.preferences?.[key];
+    return value !== undefined ? value : defaultValue;
+  }
+  /** Guarda una preferencia del usuario (creando la sesión si no existe). */
+  setPreference(userId, key, value) {
+    if (!this.userSessions.has(userId)) {
+      this.createUserSession(userId);
+    }
+    this.userSessions.get(userId).preferences[key] = value;
+    this.scheduleSave();
+  }
+  /** Modo de respuesta a los mensajes GPT del usuario ('text', 'voice' o 'both'). */
+  getOutputMode(userId) {
+    const mode = this.getPreference(userId, 'outputMode', CONFIG.DEFAULT_OUTPUT_MODE);
+    return CONFIG.OUTPUT_MODES[mode] ? mode : CONFIG.DEFAULT_OUTPUT_MODE;
+  }
+  /** Formato de entrega de los audios del usuario ('voice', 'mp3', 'wav' o 'document'). */
+  getAudioFormat(userId) {
+    const defaultFormat = CONFIG.AUDIO_FORMATS[CONFIG.DEFAULT_AUDIO_FORMAT] ? CONFIG.DEFAULT_AUDIO_FORMAT : 'voice';
+    const format = this.getPreference(userId, 'audioFormat', defaultFormat);
+    return CONFIG.AUDIO_FORMATS[format] ? format : defaultFormat;
+  }
+
+  // --- Métodos de Cuotas de Uso ---
+  /** Contadores diarios a cero para el día actual (UTC). */
+  static emptyDailyUsage() {
+    return { day: new Date().toISOString().slice(0, 10), ttsChars: 0, stsSeconds: 0, gptTokens: 0 };
+  }
+
+  /**
+   * Consumo del día actual de un usuario, o de todos los usuarios si `userId` es `null`.
+   * Los contadores de días anteriores se descartan.
+   */
+  getDailyUsage(userId) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (userId === null) {
+      if (this.globalDailyUsage.day !== today) this.globalDailyUsage = StateManager.emptyDailyUsage();
+      return this.globalDailyUsage;
+    }
+    if (this.dailyUsage.get(userId)?.day !== today) this.dailyUsage.set(userId, StateManager.emptyDailyUsage());
+    return this.dailyUsage.get(userId);
+  }
+
+  /** Suma consumo (ttsChars, stsSeconds, gptTokens) al usuario y al total global del día. */
+  addDailyUsage(userId, amounts) {
+    for (const usage of [this.getDailyUsage(userId), this.getDailyUsage(null)]) {
+      for (const key of ['ttsChars', 'stsSeconds', 'gptTokens']) {
+        usage[key] += amounts[key] || 0;
+      }
+    }
+    this.scheduleSave();
+  }
+
+  /** Límites ajustados para un usuario con /quota (puede estar vacío). */
+  getQuotaOverrides(userId) {
+    return this.quotaOverrides.get(userId) || {};
+  }
+
+  /** Ajusta un límite de un usuario; con `null` vuelve al valor por defecto. */
+  setQuotaOverride(userId, key, value) {
+    const overrides = { ...this.getQuotaOverrides(userId) };
+    if (value === null) delete overrides[key];
+    else overrides[key] = value;
+    if (Object.keys(overrides).length > 0) this.quotaOverrides.set(userId, overrides);
+    else this.quotaOverrides.delete(userId);
+    this.scheduleSave();
+  }
+
+  // --- Métodos de Presets de Voz ---
+  /** Presets de voz guardados por el usuario (nombre -> opciones de voz). */
+  getVoicePresets(userId) {
+    return this.getPreference(userId, 'voicePresets', {});
+  }
+
+  /**
+   * Guarda (o sobrescribe) un preset de voz del usuario.
+   * @returns {boolean} - `false` si el usuario ya tiene el máximo de presets y el nombre es nuevo.
+   */
+  saveVoicePreset(userId, name, options) {
+    const presets = { ...this.getVoicePresets(userId) };
+    if (!presets[name] && Object.keys(presets).length >= CONFIG.VOICE_PRESETS.MAX_PER_USER) return false;
+    presets[name] = { ...options };
+    this.setPreference(userId, 'voicePresets', presets);
+    return true;
+  }
+
+  /**
+   * Elimina un preset de voz (y lo desactiva si era el activo).
+   * @returns {boolean} - `true` si existía.
+   */
+  deleteVoicePreset(userId, name) {
+    const presets = { ...this.getVoicePresets(userId) };
+    if (!presets[name]) return false;
+    delete presets[name];
+    this.setPreference(userId, 'voicePresets', presets);
+    if (this.getPreference(userId, 'voicePreset') === name) this.setPreference(userId, 'voicePreset', null);
+    return true;
+  }
+
+  /** Activa un preset (o ninguno con `null`) para /tv y /vv. */
+  setActiveVoicePreset(userId, name) {
+    this.setPreference(userId, 'voicePreset', name);
+  }
+
+  /** Preset activo del usuario, o `null` si no tiene ninguno (o ya no existe). */
+  getActiveVoicePreset(userId) {
+    const name = this.getPreference(userId, 'voicePreset');
+    const options = name ? this.getVoicePresets(userId)[name] : null;
+    return options ? { name, options } : null;
+  }
+
+  // --- Métodos de Personalidad ---
+  /** Personalidad elegida por el usuario (o la por defecto si no eligió ninguna o ya no existe). */
+  getPersona(userId) {
+    return this.personas.resolve(this.getPreference(userId, 'persona'));
+  }
+
+  /**
+   * Cambia la personalidad del usuario. La conversación está ligada a la personalidad con la
+   * que empezó, así que se reinicia para empezar un hilo limpio.
+   * @returns {object} - La personalidad activada.
+   */
+  setPersona(userId, personaId) {
+    const persona = this.personas.get(personaId);
+    if (!persona) throw new Error(`Personalidad desconocida: ${personaId}`);
+    this.setPreference(userId, 'persona', persona.id);
+    this.resetConversation(userId);
+    Logger.log(`StateManager: Usuario ${userId} cambió a la personalidad '${persona.id}'.`);
+    return persona;
+  }
+
+  // --- Métodos de Conversación GPT ---
+  /**
+   * Obtiene el historial de conversación GPT para un usuario, creándolo si no existe.
+   * Si la personalidad del usuario ya no es con la que empezó la conversación, se empieza una nueva.
+   */
+  getConversation(userId) {
+    const persona = this.getPersona(userId);
+    const conversationPersona = this.conversationPersonas.get(userId);
+    if (this.conversations.has(userId) && conversationPersona && conversationPersona !== persona.id) {
+      Logger.log(`StateManager: La conversación de ${userId} era con '${conversationPersona}'; se empieza una nueva con '${persona.id}'.`);
+      this.resetConversation(userId);
+    }
+    if (!this.conversations.has(userId)) {
+      // Logger.log(`StateManager: Creando nueva conversación GPT para usuario ${userId}`); // Un poco verboso
+      this.conversations.set(userId, [{
+        role: "system",
+        content: this.getSystemPrompt(userId) // Añadir el prompt del sistema al inicio
+      }]);
+      this.conversationPersonas.set(userId, persona.id);
+      this.scheduleSave();
+    } else if (!conversationPersona) {
+      // Conversación guardada antes de que existieran las personalidades
+      this.conversationPersonas.set(userId, persona.id);
+    }
+    return this.conversations.get(userId);
+  }
+
+  /**
+   * Añade un mensaje al historial GPT de un usuario.
+   * El historial se ajusta al presupuesto de tokens con `compactConversation()` antes de cada petición.
+   */
+  addMessageToConversation(userId, role, content) {
+    // No hacer nada si el chat con IA está deshabilitado
+    if (!ApiService.isChatAvailable()) return;
+
+    // Logger.log(`StateManager: Añadiendo mensaje (${role}) a conv GPT de ${userId}`); // Verboso
+    const conversation = this.getConversation(userId);
+    conversation.push({ role, content });
+    this.scheduleSave();
+  }
+
+  /**
+   * Devuelve los mensajes a enviar al modelo: prompt del sistema, resumen de los turnos
+   * antiguos (si existe) y el historial reciente.
+   */
+  getPromptMessages(userId) {
+    const [systemMessage, ...history] = this.getConversation(userId);
+    const summary = this.conversationSummaries.get(userId);
+    if (!summary) return [systemMessage, ...history];
+    return [
+      systemMessage,
+      { role: "system", content: `Resumen de la conversación anterior con este usuario (para mantener el contexto):\n${summary.text}` },
+      ...history
+    ];
+  }
+
+  /**
+   * Ajusta el historial de un usuario al presupuesto de tokens del modelo.
+   * Los turnos más antiguos que no caben se resumen (junto con el resumen previo) en un mensaje
+   * que se mantiene tras el prompt del sistema, para que los datos importantes no se pierdan.
+   * @param {number} userId - ID del usuario.
+   * @param {{signal?: AbortSignal}} [options] - Si se cancela mientras se resume, el historial no se toca.
+   */
+  async compactConversation(userId, { signal = null } = {}) {
+    const budget = TokenCounter.getHistoryBudget();
+    if (TokenCounter.countMessages(this.getPromptMessages(userId)) <= budget) return;
+
+    const conversation = this.getConversation(userId);
+    const [systemMessage, ...history] = conversation;
+    // Reservar sitio para el (nuevo) resumen y bajar hasta el objetivo para no resumir en cada mensaje
+    const target = Math.floor(budget * CONFIG.GPT.HISTORY_COMPACT_TARGET);
+    const summaryReserve = CONFIG.GPT.SUMMARY_MAX_TOKENS + 32; // Resumen + encabezado y formato de su mensaje
+    const fixedTokens = TokenCounter.countMessages([systemMessage]) + summaryReserve;
+
+    const dropped = [];
+    while (history.length > 1 && fixedTokens + TokenCounter.countMessages(history) > target) {
+      dropped.push(history.shift());
+    }
+    // Un único mensaje enorme que no cabe ni solo: recortarlo
+    const lastMessage = history[history.length - 1];
+    if (lastMessage && fixedTokens + TokenCounter.countMessages(history) > budget) {
+      lastMessage.content = TokenCounter.truncate(lastMessage.content, budget - fixedTokens - 10);
+      Logger.warn(`StateManager: Mensaje de ${userId} recortado para caber en el contexto (${budget} tokens).`);
+    }
+
+    if (dropped.length > 0) {
+      Logger.log(`StateManager: Resumiendo ${dropped.length} mensajes antiguos de la conversación de ${userId}...`);
+      const previous = this.conversationSummaries.get(userId);
+      try {
+        const text = await ApiService.summarizeConversation(previous?.text || null, dropped, { userId, signal });
+        this.conversationSummaries.set(userId, {
+          text,
+          foldedMessages: (previous?.foldedMessages || 0) + dropped.length
+        });
+      } catch (error) {
+        if (error.cancelled) throw error; // Cancelado por el usuario: dejar el historial como estaba
+        // Sin resumen nuevo se conserva el anterior; los mensajes descartados se pierden, pero el chat sigue funcionando
+        Logger.error(`StateManager: No se pudo resumir el historial de ${userId}; se descartan ${dropped.length} mensajes antiguos.`, error);
+      }
+    }
+
+    conversation.splice(1, conversation.length - 1, ...history);
+    this.scheduleSave();
+  }
+
+  /**
+   * Calcula cuánto contexto ocupa la conversación de un usuario (para /context).
+   * @returns {{model: string, budget: number, total: number, system: number, summary: number, foldedMessages: number, history: number, historyMessages: number}}
+   */
+  getContextStats(userId) {
+    const [systemMessage, ...history] = this.getConversation(userId);
+    const summary = this.conversationSummaries.get(userId);
+    const promptMessages = this.getPromptMessages(userId);
+    return {
+      model: CONFIG.GPT.MODEL,
+      budget: TokenCounter.getHistoryBudget(),
+      total: TokenCounter.countMessages(promptMessages),
+      system: TokenCounter.countText(systemMessage.content),
+      summary: summary ? TokenCounter.countText(promptMessages[1].content) : 0,
+      foldedMessages: summary?.foldedMessages || 0,
+      history: history.reduce((sum, m) => sum + TokenCounter.countText(m.content), 0),
+      historyMessages: history.length
+    };
+  }
+
+  /** Elimina el historial de conversación GPT de un usuario (y su resumen). */
+  resetConversation(userId) {
+    this.conversations.delete(userId);
+    this.conversationSummaries.delete(userId);
+    this.conversationPersonas.delete(userId);
+    this.scheduleSave();
+  }
+
+  /** Devuelve el prompt del sistema para GPT según la personalidad del usuario. */
+  getSystemPrompt(userId) {
+    return this.getPersona(userId).systemPrompt;
+  }
+
+  // --- Métodos para Operación V2V (Voice-to-Voice) ---
+  /** Crea una espera de audio de /vv que caduca en CONFIG.V2V.WAIT_TIMEOUT segundos. */
+  static newPendingVoiceTransformation(userId, { messageId = null, chatId = userId, options = {}, batch = false, remux = false } = {}) {
+    const expiresAt = CONFIG.V2V.WAIT_TIMEOUT > 0 ? Date.now() + CONFIG.V2V.WAIT_TIMEOUT * 1000 : null;
+    return { messageId, chatId, options, batch, remux, count: 0, expiresAt };
+  }
+  /**
+   * Marca que un usuario ha iniciado /vv y está esperando un audio (sustituye a una espera anterior).
+   * @param {number} userId - ID del usuario.
+   * @param {{messageId?: number, chatId?: number, options?: object, batch?: boolean, remux?: boolean}} request - Mensaje
+   *   y chat del comando, opciones de voz de /vv, si es el modo lote (transformar todos los audios hasta /done) y si
+   *   los vídeos se devuelven con la voz transformada (si no, solo el audio).
+   */
+  setPendingVoiceTransformation(userId, request) {
+    const pending = StateManager.newPendingVoiceTransformation(userId, request);
+    Logger.log(`StateManager: Configurando V2V pendiente para ${userId} (${pending.batch ? 'lote' : 'un audio'}), iniciado por msg ${pending.messageId}`);
+    this.pendingVoiceTransformations.set(userId, pending);
+    this.scheduleSave();
+  }
+  /** Obtiene la espera V2V pendiente de un usuario, o undefined si no hay (o ya caducó). */
+  getPendingVoiceTransformation(userId) {
+    const pending = this.pendingVoiceTransformations.get(userId);
+    return pending && !(pending.expiresAt && pending.expiresAt <= Date.now()) ? pending : undefined;
+  }
+  /**
+   * Consume la espera V2V de un usuario al recibir un audio: sin lote, la limpia; en lote, renueva la
+   * caducidad (el audio se cuenta con countBatchVoiceTransformation cuando llega a encolarse).
+   * @returns {object|undefined} - La espera (con sus opciones), o undefined si no había.
+   */
+  consumePendingVoiceTransformation(userId) {
+    const pending = this.getPendingVoiceTransformation(userId);
+    if (!pending) return undefined;
+    if (pending.batch) {
+      if (pending.expiresAt) pending.expiresAt = Date.now() + CONFIG.V2V.WAIT_TIMEOUT * 1000;
+    } else {
+      this.pendingVoiceTransformations.delete(userId);
+    }
+    this.scheduleSave();
+    return pending;
+  }
+  /** Cuenta un audio encolado en el modo lote de /vv del usuario (sin lote activo no hace nada). */
+  countBatchVoiceTransformation(userId) {
+    const pending = this.getPendingVoiceTransformation(userId);
+    if (!pending?.batch) return;
+    pending.count++;
+    this.scheduleSave();
+  }
+  /**
+   * Retira las esperas V2V caducadas (para avisar a sus usuarios).
+   * @returns {Array<[number, object]>} - Pares [userId, espera] retirados.
+   */
+  takeExpiredVoiceTransformations(now = Date.now()) {
+    const expired = [...this.pendingVoiceTransformations].filter(([, pending]) => pending.expiresAt && pending.expiresAt <= now);
+    for (const [userId] of expired) this.pendingVoiceTransformations.delete(userId);
+    if (expired.length > 0) this.scheduleSave();
+    return expired;
+  }
+  /** Limpia el estado V2V pendiente para un usuario. */
+  clearPendingVoiceTransformation(userId) {
+    if (this.pendingVoiceTransformations.has(userId)) {
+      // Logger.log(`StateManager: Limpiando estado V2V pendiente para usuario ${userId}`); // Verboso
+      this.pendingVoiceTransformations.delete(userId);
+      this.scheduleSave();
+    }
+  }
+
+  // --- Métodos para Transcripción (/transcribe) ---
+  /** Marca que un usuario usó /transcribe y espera enviar un audio. */
+  setPendingTranscription(userId) {
+    this.pendingTranscriptions.add(userId);
+  }
+  /** Verifica si un usuario está esperando enviar un audio para /transcribe. */
+  hasPendingTranscription(userId) {
+    return this.pendingTranscriptions.has(userId);
+  }
+  /** Limpia el estado /transcribe pendiente de un usuario. */
+  clearPendingTranscription(userId) {
+    this.pendingTranscriptions.delete(userId);
+  }
+
+  // --- Métodos para Doblaje (/dub) ---
+  /** Marca que un usuario usó /dub y espera enviar un .srt (con las opciones de voz y el formato de salida). */
+  setPendingDub(userId, request) {
+    this.pendingDubs.set(userId, request);
+  }
+  /** Obtiene el /dub pendiente de un usuario, o undefined si no hay. */
+  getPendingDub(userId) {
+    return this.pendingDubs.get(userId);
+  }
+  /** Limpia el /dub pendiente de un usuario. */
+  clearPendingDub(userId) {
+    this.pendingDubs.delete(userId);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 11. Proveedores de Chat (LLM)                                           --
+// -----------------------------------------------------------------------------
+
+/**
+ * Interfaz base para los proveedores de chat (LLM).
+ * `ApiService.generateGPTResponse` delega en el proveedor configurado en CONFIG.GPT.PROVIDER.
+ */
+class ChatProvider {
+  /** Nombre legible del proveedor (para logs). */
+  get name() { return 'base'; }
+
+  /** Indica si el proveedor está configurado y puede usarse. */
+  isAvailable() { return true; }
+
+  /**
+   * Genera una respuesta para el historial de mensajes.
+   * @param {Array<{role: string, content: string}>} messages - Historial (incluye el prompt del sistema).
+   * @param {{model: string, maxTokens: number, temperature: number, signal?: AbortSignal}} options - Parámetros de generación
+   *   (`signal` aborta la petición en curso).
+   * @returns {Promise<{text: string, usage: {prompt_tokens: number, completion_tokens: number}|null}>}
+   */
+  async complete(messages, options) { throw new Error(`${this.constructor.name}.complete() no implementado.`); }
+
+  /**
+   * Genera una respuesta en streaming, notificando cada fragmento a medida que llega.
+   * Por defecto (proveedores sin streaming) genera la respuesta completa y la notifica de una vez.
+   * @param {Array<{role: string, content: string}>} messages - Historial (incluye el prompt del sistema).
+   * @param {{model: string, maxTokens: number, temperature: number}} options - Parámetros de generación.
+   * @param {(delta: string, fullText: string) => void} onDelta - Callback por cada fragmento recibido.
+   * @returns {Promise<{text: string, usage: object|null}>}
+   */
+  async stream(messages, options, onDelta) {
+    const result = await this.complete(messages, options);
+    if (result.text) onDelta(result.text, result.text);
+    return result;
+  }
+
+  /**
+   * Comprueba al inicio que el proveedor responde con el modelo configurado.
+   * Lanza un error si la verificación falla.
+   */
+  async verify() {
+    const { text } = await this.complete(
+      [{ role: "user", content: "Test connection" }],
+      { model: CONFIG.GPT.MODEL, maxTokens: 5, temperature: 0 }
+    );
+    if (!text) throw new Error(`El proveedor ${this.name} respondió sin contenido.`);
+  }
+
+  /**
+   * Crea el proveedor indicado en la configuración.
+   * @param {string} provider - 'openai', 'openai-compatible' o 'mock'.
+   * @returns {ChatProvider}
+   */
+  static create(provider = CONFIG.GPT.PROVIDER) {
+    switch (provider) {
+      case 'openai':
+        return new OpenAIChatProvider(openai, 'openai');
+      case 'openai-compatible': {
+        if (!CONFIG.GPT.BASE_URL) {
+          throw new Error("El proveedor 'openai-compatible' requiere LLM_BASE_URL (ej. http://localhost:11434/v1 para Ollama).");
+        }
+        // Los servidores locales (Ollama, llama.cpp, vLLM) suelen ignorar la API key, pero el cliente exige una
+        const client = new OpenAI({ apiKey: CONFIG.GPT.API_KEY || 'sin-api-key', baseURL: CONFIG.GPT.BASE_URL });
+        return new OpenAIChatProvider(client, `openai-compatible (${CONFIG.GPT.BASE_URL})`);
+      }
+      case 'mock':
+        return new MockChatProvider();
+      default:
+        throw new Error(`Proveedor de chat desconocido: '${provider}' (usa 'openai', 'openai-compatible' o 'mock').`);
+    }
+  }
+}
+
+/**
+ * Proveedor para la API de OpenAI o cualquier servidor compatible con su API de chat completions.
+ */
+class OpenAIChatProvider extends ChatProvider {
+  /**
+   * @param {OpenAI|null} client - Cliente OpenAI (con el baseURL ya configurado).
+   * @param {string} label - Nombre para logs.
+   */
+  constructor(client, label) {
+    super();
+    this.client = client;
+    this.label = label;
+  }
+
+  get name() { return this.label; }
+
+  isAvailable() { return !!this.client; }
+
+  async complete(messages, { model, maxTokens, temperature, signal }) {
+    if (!this.client) throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      // Otros parámetros opcionales: top_p, frequency_penalty, presence_penalty
+    }, { signal });
+    return {
+      text: completion?.choices?.[0]?.message?.content || '',
+      usage: completion?.usage || null
+    };
+  }
+
+  async stream(messages, { model, maxTokens, temperature, signal }, onDelta) {
+    if (!this.client) throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      // Pedir el uso de tokens en el último fragmento (solo la API oficial lo garantiza)
+      ...(this.label === 'openai' ? { stream_options: { include_usage: true } } : {})
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta, text);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+    return { text, usage };
+  }
+}
+
+/**
+ * Proveedor determinista sin red, para tests y desarrollo offline.
+ * Responde siempre con un eco del último mensaje del usuario.
+ */
+class MockChatProvider extends ChatProvider {
+  get name() { return 'mock'; }
+
+  async complete(messages, { signal } = {}) {
+    Utils.throwIfCancelled(signal);
+    const lastUserMessage = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const text = `[mock] Javier recibió: ${lastUserMessage}`;
+    // Estimación simple de tokens (~4 caracteres por token) para que el resto del bot tenga datos de uso
+    const countTokens = (str) => Math.ceil(str.length / 4);
+    return {
+      text,
+      usage: {
+        prompt_tokens: messages.reduce((sum, m) => sum + countTokens(m.content || ''), 0),
+        completion_tokens: countTokens(text)
+      }
+    };
+  }
+
+  async stream(messages, options, onDelta) {
+    // Emitir la respuesta palabra a palabra para ejercitar el flujo de streaming sin red
+    const result = await this.complete(messages, options);
+    let text = '';
+    for (const word of result.text.split(/(?<=\s)/)) {
+      Utils.throwIfCancelled(options?.signal);
+      text += word;
+      onDelta(word, text);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+}
+
+/**
+ * Cuenta tokens de mensajes de chat con el tokenizador de OpenAI (js-tiktoken).
+ * Para modelos que tiktoken no conoce (locales, compatibles) se usa `cl100k_base` como aproximación.
+ */
+class TokenCounter {
+  /** @type {Map<string, object>} Codificadores ya creados por modelo (crearlos es costoso) */
+  static encoders = new Map();
+
+  /** Devuelve el codificador para un modelo, creándolo la primera vez. */
+  static getEncoder(model = CONFIG.GPT.MODEL) {
+    if (!this.encoders.has(model)) {
+      let encoder;
+      try {
+        encoder = encodingForModel(model);
+      } catch (error) {
+        encoder = getEncoding('cl100k_base'); // Aproximación razonable para modelos desconocidos
+      }
+      this.encoders.set(model, encoder);
+    }
+    return this.encoders.get(model);
+  }
+
+  /** Cuenta los tokens de un texto. */
+  static countText(text, model = CONFIG.GPT.MODEL) {
+    return this.getEncoder(model).encode(text || '').length;
+  }
+
+  /**
+   * Cuenta los tokens de una lista de mensajes, incluyendo el overhead de formato del chat
+   * (~4 tokens por mensaje y 3 para preparar la respuesta, según la guía de OpenAI).
+   */
+  static countMessages(messages, model = CONFIG.GPT.MODEL) {
+    return messages.reduce((sum, m) => sum + 4 + this.countText(m.content, model), 3);
+  }
+
+  /**
+   * Recorta un texto para que ocupe como mucho `maxTokens` tokens.
+   * @returns {string} - El texto original si ya cabe; si no, su inicio seguido de "…".
+   */
+  static truncate(text, maxTokens, model = CONFIG.GPT.MODEL) {
+    const encoder = this.getEncoder(model);
+    const tokens = encoder.encode(text || '');
+    if (tokens.length <= maxTokens) return text;
+    return encoder.decode(tokens.slice(0, Math.max(0, maxTokens - 1))) + '…';
+  }
+
+  /** Presupuesto de tokens para el historial enviado al modelo (ventana de contexto menos la respuesta). */
+  static getHistoryBudget(model = CONFIG.GPT.MODEL) {
+    const contextWindow = CONFIG.GPT.CONTEXT_WINDOWS[model] || CONFIG.GPT.DEFAULT_CONTEXT_WINDOW;
+    return Math.min(contextWindow - CONFIG.GPT.MAX_TOKENS, CONFIG.GPT.HISTORY_TOKEN_BUDGET);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 12. Proveedores de Transcripción de Voz (STT)                           --
+// -----------------------------------------------------------------------------
+
+/**
+ * Interfaz base para los proveedores de transcripción (Speech-to-Text).
+ * Para sustituir Whisper (ej. por un modelo local) basta con implementar `transcribe()`
+ * y registrarlo en `TranscriptionProvider.create()`.
+ */
+class TranscriptionProvider {
+  /** Nombre legible del proveedor (para logs). */
+  get name() { return 'base'; }
+
+  /** Indica si el proveedor está configurado y puede usarse. */
+  isAvailable() { return true; }
+
+  /**
+   * Transcribe un archivo de audio a texto.
+   * @param {string} audioFilePath - Ruta al archivo de audio (ogg, mp3, m4a, wav...).
+   * @param {{signal?: AbortSignal}} [options] - `signal` aborta la petición en curso.
+   * @returns {Promise<string>} - El texto reconocido.
+   */
+  async transcribe(audioFilePath, options = {}) { throw new Error(`${this.constructor.name}.transcribe() no implementado.`); }
+
+  /**
+   * Crea el proveedor indicado en la configuración.
+   * @param {string} provider - 'openai' o 'stub'.
+   * @returns {TranscriptionProvider}
+   */
+  static create(provider = CONFIG.STT.PROVIDER) {
+    switch (provider) {
+      case 'openai': return new OpenAIWhisperTranscriber();
+      case 'stub': return new StubTranscriber();
+      default:
+        throw new Error(`Proveedor de transcripción desconocido: '${provider}' (usa 'openai' o 'stub').`);
+    }
+  }
+}
+
+/**
+ * Transcripción con Whisper a través del cliente oficial de OpenAI.
+ */
+class OpenAIWhisperTranscriber extends TranscriptionProvider {
+  get name() { return `openai (${CONFIG.STT.MODEL})`; }
+
+  isAvailable() { return !!openai; }
+
+  async transcribe(audioFilePath, { signal } = {}) {
+    if (!openai) throw new Error("La transcripción de voz no está disponible (falta OPENAI_API_KEY).");
+    const transcription = await openai.audio.transcriptions.create({
+      file: fs.createReadStream(audioFilePath),
+      model: CONFIG.STT.MODEL,
+      language: CONFIG.STT.LANGUAGE || undefined // Indicar el idioma mejora precisión y latencia
+    }, { signal });
+    return transcription?.text || '';
+  }
+}
+
+/**
+ * Proveedor de prueba: no llama a ninguna API y devuelve siempre el mismo texto.
+ * Útil para desarrollar y probar el flujo de notas de voz sin coste ni conexión.
+ */
+class StubTranscriber extends TranscriptionProvider {
+  get name() { return 'stub'; }
+
+  async transcribe(audioFilePath, { signal } = {}) {
+    Utils.throwIfCancelled(signal);
+    Logger.log(`StubTranscriber: Transcripción simulada de ${path.basename(audioFilePath)}`);
+    return CONFIG.STT.STUB_TEXT;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 13. Proveedores de Voz (TTS y STS)                                      --
+// -----------------------------------------------------------------------------
+
+/**
+ * Interfaz base para los proveedores de voz: Text-to-Speech (TTS) y Speech-to-Speech (STS).
+ * `ApiService.generateVoice` y `ApiService.transformVoice` calculan los ajustes finales
+ * y delegan la generación en el proveedor configurado en CONFIG.VOICE.
+ */
+class VoiceProvider {
+  /** Nombre legible del proveedor (para logs). */
+  get name() { return 'base'; }
+
+  /** Indica si el proveedor está configurado y puede usarse. */
+  isAvailable() { return true; }
+
+  /**
+   * Convierte texto en audio.
+   * @param {string} text - Texto a locutar (puede incluir tags `<break time="1s"/>`).
+   * @param {{voiceId: string, modelId: string, voiceSettings: object, outputFormat: string, signal?: AbortSignal,
+   *   previousText?: string, nextText?: string}} options - `previousText`/`nextText`: texto de las partes vecinas cuando
+   *   un texto largo se genera por partes (para mantener la entonación entre ellas; opcional para el proveedor).
+   * @returns {Promise<{data: Buffer, extension: string}>} - Audio generado y extensión de archivo ('.mp3', '.wav'...).
+   */
+  async textToSpeech(text, options) { throw new Error(`${this.constructor.name}.textToSpeech() no implementado.`); }
+
+  /**
+   * Transforma un audio a la voz configurada.
+   * @param {string} audioFilePath - Ruta al audio de entrada.
+   * @param {{voiceId: string, modelId: string, voiceSettings: object, outputFormat: string, signal?: AbortSignal}} options
+   * @returns {Promise<{data: Buffer, extension: string}>}
+   */
+  async speechToSpeech(audioFilePath, options) { throw new Error(`${this.constructor.name}.speechToSpeech() no implementado.`); }
+
+  /**
+   * Comprueba al inicio que el proveedor está operativo. Lanza un error si no lo está.
+   * @param {{tts: boolean, sts: boolean}} usage - Para qué se usa el proveedor.
+   */
+  async verify(usage) {}
+
+  /**
+   * Crea el proveedor de voz indicado.
+   * @param {string} provider - 'elevenlabs' o 'local'.
+   * @returns {VoiceProvider}
+   */
+  static create(provider) {
+    switch (provider) {
+      case 'elevenlabs': return new ElevenLabsVoiceProvider();
+      case 'local': return new LocalVoiceProvider();
+      default:
+        throw new Error(`Proveedor de voz desconocido: '${provider}' (usa 'elevenlabs' o 'local').`);
+    }
+  }
+}
+
+/**
+ * Proveedor ElevenLabs (TTS y STS) a través de su API REST.
+ */
+class ElevenLabsVoiceProvider extends VoiceProvider {
+  get name() { return 'elevenlabs'; }
+
+  isAvailable() { return !!process.env.ELEVEN_API_KEY; }
+
+  async textToSpeech(text, { voiceId, modelId, voiceSettings, outputFormat, signal, previousText, nextText }) {
+    // --- Preparar Llamada API ---
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+    const queryParams = {
+      output_format: outputFormat,
+      // optimize_streaming_latency: 0 // Opcional para streaming
+    };
+    const payload = {
+      text: text,
+      model_id: modelId,            // Modelo TTS especificado
+      voice_settings: voiceSettings // Settings calculados
+    };
+    // Contexto de las partes vecinas (textos largos generados por partes) para que la entonación no salte
+    if (previousText) payload.previous_text = previousText;
+    if (nextText) payload.next_text = nextText;
+    const headers = {
+      'Accept': 'audio/mpeg', // Esperamos este formato de respuesta
+      'xi-api-key': process.env.ELEVEN_API_KEY,
+      'Content-Type': 'application/json' // El payload es JSON
+    };
+
+    Logger.log("ElevenLabsVoiceProvider.textToSpeech: Enviando solicitud TTS a ElevenLabs...");
+    // Logger.debug("ElevenLabsVoiceProvider.textToSpeech: Payload TTS:", payload);
+
+    const response = await axios({
+      method: 'post',
+      url: url,
+      headers: headers,
+      data: payload,
+      params: queryParams,
+      responseType: 'arraybuffer', // Esperamos datos binarios (audio)
+      signal                       // /cancel aborta la petición en curso
+    });
+
+    // Validar respuesta exitosa y con contenido
+    if (response.status !== 200 || !response.data || response.data.length === 0) {
+      throw new Error(`Respuesta inválida o vacía de ElevenLabs API (TTS): Status ${response.status}`);
+    }
+    return ElevenLabsVoiceProvider.toAudioFile(Buffer.from(response.data), outputFormat);
+  }
+
+  /**
+   * Devuelve el audio de ElevenLabs con su extensión: los formatos `pcm_<frecuencia>` llegan sin cabecera
+   * y se empaquetan en WAV; el resto (mp3_...) se devuelve tal cual.
+   * @returns {{data: Buffer, extension: string}}
+   */
+  static toAudioFile(data, outputFormat) {
+    const pcm = /^pcm_(\d+)$/.exec(outputFormat);
+    return pcm ? { data: Utils.pcmToWav(data, parseInt(pcm[1], 10)), extension: '.wav' } : { data, extension: '.mp3' };
+  }
+
+  async speechToSpeech(audioFilePath, { voiceId, modelId, voiceSettings, outputFormat, signal }) {
+    // Leer el archivo como un Buffer
+    const audioFileBuffer = fs.readFileSync(audioFilePath);
+
+    // --- Preparar Llamada API (Multipart Form Data) ---
+    const url = `https://api.elevenlabs.io/v1/speech-to-speech/${voiceId}`;
+    const queryParams = {
+      output_format: outputFormat,
+      // enable_logging: false // Opcional para modo sin retención (usuarios enterprise)
+    };
+
+    // Crear instancia de FormData
+    const formData = new FormData();
+
+    // Adjuntar el archivo de audio (Buffer)
+    // Es crucial proporcionar filename y contentType para que la API lo procese correctamente
+    formData.append('audio', audioFileBuffer, {
+      filename: `input_${path.basename(audioFilePath)}`, // Usar nombre original o genérico
+      contentType: AudioProcessor.mimeType(audioFilePath), // Según la extensión (AudioProcessor la ajusta al contenedor real)
+    });
+
+    // Adjuntar otros parámetros del form
+    formData.append('model_id', modelId); // Modelo STS
+    formData.append('voice_settings', JSON.stringify(voiceSettings)); // Voice Settings (como string JSON)
+    // formData.append('remove_background_noise', 'true'); // Opcional si se quiere usar
+
+    // Headers requeridos para multipart/form-data
+    const headers = {
+      'Accept': 'audio/mpeg', // Esperamos audio como respuesta
+      'xi-api-key': process.env.ELEVEN_API_KEY,
+      ...formData.getHeaders() // Importantísimo: Añade Content-Type: multipart/form-data; boundary=...
+    };
+
+    Logger.log("ElevenLabsVoiceProvider.speechToSpeech: Enviando solicitud STS a ElevenLabs...");
+
+    const response = await axios({
+      method: 'post',
+      url: url,
+      headers: headers,
+      data: formData, // El objeto FormData se serializa automáticamente por axios
+      params: queryParams,
+      responseType: 'arraybuffer', // Esperamos audio
+      signal                       // /cancel aborta la petición en curso
+    });
+
+    // Validar respuesta
+    if (response.status !== 200 || !response.data || response.data.length === 0) {
+      throw new Error(`Respuesta inválida o vacía de ElevenLabs API (STS): Status ${response.status}`);
+    }
+    return ElevenLabsVoiceProvider.toAudioFile(Buffer.from(response.data), outputFormat);
+  }
+
+  async verify() {
+    if (!this.isAvailable()) {
+      throw new Error("ELEVEN_API_KEY no configurada.");
+    }
+
+    // Verificar información del usuario para confirmar que la clave es válida
+    let userResponse;
+    try {
+      userResponse = await axios({
+        method: 'get',
+        url: 'https://api.elevenlabs.io/v1/user',
+        headers: { 'xi-api-key': process.env.ELEVEN_API_KEY }
+      });
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error("API Key de ElevenLabs inválida (Unauthorized).");
+      }
+      throw error;
+    }
+    if (!userResponse.data?.subscription) {
+      throw new Error("ElevenLabs respondió, pero la estructura de datos del usuario fue inesperada.");
+    }
+    Logger.log(`ElevenLabsVoiceProvider.verify: ✅ Conexión con ElevenLabs verificada. Suscripción: ${userResponse.data.subscription.tier}`);
+
+    // Verificar si la Voice ID configurada existe en la cuenta
+    const voiceId = CONFIG.ELEVEN_LABS.VOICE_ID;
+    try {
+      Logger.log(`ElevenLabsVoiceProvider.verify: Verificando Voice ID: ${voiceId}...`);
+      const voiceResponse = await axios({
+        method: 'get',
+        url: `https://api.elevenlabs.io/v1/voices/${voiceId}`,
+        headers: { 'xi-api-key': process.env.ELEVEN_API_KEY, 'Accept': 'application/json' }
+      });
+      // Chequear si la respuesta contiene el mismo voice_id
+      if (voiceResponse.data?.voice_id === voiceId) {
+        Logger.log(`ElevenLabsVoiceProvider.verify: ✅ Voice ID (${voiceId}) encontrada: ${voiceResponse.data.name}`);
+      } else {
+        // Esto no debería pasar si la llamada fue exitosa, pero por si acaso
+        Logger.warn(`ElevenLabsVoiceProvider.verify: ⚠️ Voice ID (${voiceId}) configurada no coincide con la respuesta de la API.`);
+      }
+    } catch (voiceError) {
+      // Manejar específicamente el error 404 (Not Found)
+      if (voiceError.response?.status === 404) {
+        throw new Error(`Voice ID (${voiceId}) configurada NO FUE ENCONTRADA en tu cuenta de ElevenLabs.`);
+      }
+      throw voiceError;
+    }
+  }
+}
+
+/**
+ * Proveedor local, sin red ni API keys, para desarrollar y probar /tv y /vv offline.
+ * - TTS: espeak-ng o piper (binarios instalados en el sistema), genera WAV.
+ * - STS: pass-through, devuelve el mismo audio de entrada sin transformarlo.
+ */
+class LocalVoiceProvider extends VoiceProvider {
+  get name() { return `local (${CONFIG.VOICE.LOCAL_TTS_ENGINE})`; }
+
+  async textToSpeech(text, { voiceSettings, signal }) {
+    // Los motores locales no entienden los tags de ElevenLabs: convertir <break/> en pausas de puntuación
+    const plainText = text.replace(/<break[^>]*\/?>/gi, ', ').replace(/<[^>]+>/g, '').trim();
+    const outputPath = path.join(CONFIG.TMP_DIR, `local_tts_${Date.now()}.wav`);
+
+    try {
+      if (CONFIG.VOICE.LOCAL_TTS_ENGINE === 'piper') {
+        if (!CONFIG.VOICE.PIPER_MODEL) throw new Error("El motor 'piper' requiere PIPER_MODEL (ruta al modelo .onnx).");
+        await Utils.runCommand('piper', ['--model', CONFIG.VOICE.PIPER_MODEL, '--output_file', outputPath,
+          '--length_scale', String(1 / (voiceSettings.speed || 1))], { input: plainText, signal });
+      } else {
+        // espeak-ng: -s en palabras por minuto (175 por defecto), ajustado con la velocidad pedida
+        const wordsPerMinute = Math.round(175 * (voiceSettings.speed || 1));
+        await Utils.runCommand('espeak-ng', ['-v', CONFIG.VOICE.LOCAL_TTS_VOICE, '-s', String(wordsPerMinute),
+          '-w', outputPath, '--stdin'], { input: plainText, signal });
+      }
+      return { data: fs.readFileSync(outputPath), extension: '.wav' };
+    } finally {
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }
+  }
+
+  async speechToSpeech(audioFilePath, { signal } = {}) {
+    Utils.throwIfCancelled(signal);
+    Logger.log("LocalVoiceProvider.speechToSpeech: Pass-through (el audio se devuelve sin transformar).");
+    return { data: fs.readFileSync(audioFilePath), extension: path.extname(audioFilePath) || '.mp3' };
+  }
+
+  async verify({ tts }) {
+    if (!tts) return; // El pass-through de STS no necesita nada
+    const engine = CONFIG.VOICE.LOCAL_TTS_ENGINE === 'piper' ? 'piper' : 'espeak-ng';
+    await Utils.runCommand(engine, ['--version']);
+    Logger.log(`LocalVoiceProvider.verify: ✅ Motor TTS local '${engine}' disponible.`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 14. Procesado de Audio (ffmpeg)                                         --
+// -----------------------------------------------------------------------------
+
+/**
+ * Análisis y preparación de los audios de entrada de /vv con ffprobe y ffmpeg: detecta el contenedor
+ * y el códec reales, valida duración y tamaño (CONFIG.V2V) y normaliza lo que el proveedor no acepta
+ * tal cual (conversión a WAV, remuestreo, recorte de silencios y división en partes). También extrae
+ * la pista de audio de los vídeos y vuelve a montar el vídeo con la voz transformada.
+ * Sin ffprobe/ffmpeg instalados, el contenedor se detecta por la cabecera y el audio se envía sin normalizar
+ * (los vídeos no se pueden procesar).
+ */
+class AudioProcessor {
+  /** Contenedores reconocidos: extensión y tipo MIME con que se suben al proveedor. */
+  static CONTAINERS = {
+    mp3: { extension: '.mp3', mimeType: 'audio/mpeg' },
+    ogg: { extension: '.ogg', mimeType: 'audio/ogg' },
+    wav: { extension: '.wav', mimeType: 'audio/wav' },
+    flac: { extension: '.flac', mimeType: 'audio/flac' },
+    m4a: { extension: '.m4a', mimeType: 'audio/mp4' },
+    webm: { extension: '.webm', mimeType: 'audio/webm' }
+  };
+
+  /** Contador para que los temporales creados en el mismo milisegundo no se pisen. */
+  static tempCounter = 0;
+
+  /** Ruta para un archivo temporal nuevo en CONFIG.TMP_DIR. */
+  static tempPath(prefix, extension) {
+    return path.join(CONFIG.TMP_DIR, `${prefix}_${Date.now()}_${++AudioProcessor.tempCounter}${extension}`);
+  }
+
+  /** Error para un audio que no se puede procesar (`error.rejected === true`); su mensaje es para el usuario. */
+  static rejection(message) {
+    const error = new Error(message);
+    error.rejected = true;
+    return error;
+  }
+
+  /** Tipo MIME de un audio según su extensión. */
+  static mimeType(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return Object.values(AudioProcessor.CONTAINERS).find(container => container.extension === extension)?.mimeType || 'application/octet-stream';
+  }
+
+  /**
+   * Detecta el contenedor de un audio por sus primeros bytes (no depende de la extensión ni de ffprobe).
+   * @returns {string|null} - Clave de AudioProcessor.CONTAINERS, o `null` si no se reconoce.
+   */
+  static detectContainer(filePath) {
+    const header = Buffer.alloc(12);
+    const fd = fs.openSync(filePath, 'r');
+    try { fs.readSync(fd, header, 0, header.length, 0); } finally { fs.closeSync(fd); }
+    const ascii = (start, end) => header.toString('ascii', start, end);
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (ascii(4, 8) === 'ftyp') return 'm4a';
+    if (header.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+    if (ascii(0, 3) === 'ID3' || (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) return 'mp3';
+    return null;
+  }
+
+  /**
+   * Analiza un audio con ffprobe (si está disponible): códec, duración, frecuencia y canales.
+   * @param {string} filePath - Audio a analizar.
+   * @param {{signal?: AbortSignal}} [options] - Señal de cancelación (/cancel).
+   * @returns {Promise<{container: string|null, codec: string|null, seconds: number|null, sampleRate: number|null,
+   *   channels: number|null, size: number, probed: boolean}>} - `probed: false` si solo se pudo leer la cabecera.
+   * @throws {Error} - Rechazo (`rejected`) si el archivo no tiene ninguna pista de audio.
+   */
+  static async probe(filePath, { signal = null } = {}) {
+    const info = {
+      container: AudioProcessor.detectContainer(filePath), codec: null, seconds: null,
+      sampleRate: null, channels: null, size: fs.statSync(filePath).size, probed: false
+    };
+    let data;
+    try {
+      const { stdout } = await Utils.runCommand(CONFIG.VOICE.FFPROBE_PATH,
+        ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], { signal });
+      data = JSON.parse(stdout);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      Logger.warn(`AudioProcessor.probe: No se pudo analizar ${path.basename(filePath)} con ffprobe (${error.message}); se usa solo la cabecera.`);
+      return info;
+    }
+
+    const stream = (data.streams || []).find(candidate => candidate.codec_type === 'audio');
+    if (!stream) throw AudioProcessor.rejection('el archivo no contiene ninguna pista de audio.');
+    return {
+      ...info,
+      codec: stream.codec_name || null,
+      seconds: parseFloat(data.format?.duration ?? stream.duration) || null,
+      sampleRate: parseInt(stream.sample_rate, 10) || null,
+      channels: stream.channels || null,
+      probed: true
+    };
+  }
+
+  /** Duración máxima aceptada: sin división en partes, la de una sola petición al proveedor. */
+  static maxSeconds() {
+    return CONFIG.V2V.SPLIT_LONG ? CONFIG.V2V.MAX_SECONDS : Math.min(CONFIG.V2V.MAX_SECONDS, CONFIG.V2V.SEGMENT_SECONDS);
+  }
+
+  /**
+   * Comprueba duración y tamaño contra CONFIG.V2V (con los datos de Telegram, antes de descargar nada).
+   * @param {{seconds?: number|null, bytes?: number|null}} input - Datos conocidos del audio.
+   * @returns {string|null} - Motivo del rechazo para el usuario, o `null` si se acepta.
+   */
+  static checkLimits({ seconds = null, bytes = null }) {
+    if (bytes && bytes > CONFIG.V2V.MAX_FILE_SIZE) {
+      return `pesa ${(bytes / 1024 / 1024).toFixed(1)} MB y el máximo es ${Math.round(CONFIG.V2V.MAX_FILE_SIZE / 1024 / 1024)} MB.`;
+    }
+    const maxSeconds = AudioProcessor.maxSeconds();
+    if (seconds && seconds > maxSeconds) {
+      return `dura ${Utils.formatDuration(seconds * 1000)} y el máximo es ${Utils.formatDuration(maxSeconds * 1000)}.`;
+    }
+    return null;
+  }
+
+  /**
+   * Prepara un audio para el proveedor STS: lo analiza, valida los límites, lo convierte a WAV si su códec
+   * o frecuencia no se aceptan tal cual (o si hay que recortar silencios) y lo divide en partes si es largo.
+   * @param {string} filePath - Audio descargado de Telegram.
+   * @param {{knownSeconds?: number|null, trimSilence?: boolean, signal?: AbortSignal}} [options] - Duración según
+   *   Telegram (si ffprobe no está disponible), si se recortan los silencios (por defecto CONFIG.V2V.TRIM_SILENCE;
+   *   nunca al volver a montar un vídeo, que perdería la sincronía) y señal de cancelación.
+   * @returns {Promise<{files: string[], seconds: number|null, info: object, tempFiles: string[]}>} - Archivos a
+   *   transformar (en orden), duración total, análisis original y temporales creados (el llamador los borra).
+   * @throws {Error} - Rechazo (`rejected`) con el motivo si el audio no es válido o supera los límites.
+   */
+  static async prepareStsInput(filePath, { knownSeconds = null, trimSilence = CONFIG.V2V.TRIM_SILENCE, signal = null } = {}) {
+    const info = await AudioProcessor.probe(filePath, { signal });
+    if (!info.container && !info.probed) {
+      throw AudioProcessor.rejection('no reconozco su formato. Envía una nota de voz o un audio MP3, OGG, WAV, M4A o FLAC.');
+    }
+    let seconds = info.seconds ?? knownSeconds;
+    const limitError = AudioProcessor.checkLimits({ seconds, bytes: info.size });
+    if (limitError) throw AudioProcessor.rejection(limitError);
+    Logger.log(`AudioProcessor: Entrada V2V ${info.container || '?'}/${info.codec || '?'}, ${seconds ?? '?'} s, ` +
+      `${info.sampleRate || '?'} Hz, ${info.channels || '?'} canales, ${info.size} bytes`);
+
+    const tempFiles = [];
+    try {
+      let current = filePath;
+      const badSampleRate = info.sampleRate && (info.sampleRate < CONFIG.V2V.MIN_SAMPLE_RATE || info.sampleRate > CONFIG.V2V.MAX_SAMPLE_RATE);
+      if (!CONFIG.V2V.ACCEPTED_CODECS.includes(info.codec) || badSampleRate || trimSilence) {
+        try {
+          current = await AudioProcessor.normalize(filePath, { trimSilence, signal });
+          tempFiles.push(current);
+          if (trimSilence) seconds = (await AudioProcessor.probe(current, { signal })).seconds ?? seconds;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          Logger.warn(`AudioProcessor: No se pudo normalizar el audio (${error.message}); se envía en su formato original.`);
+        }
+      }
+
+      // Sin normalizar: subirlo con la extensión (y el tipo MIME) de su contenedor real
+      const expectedExtension = AudioProcessor.CONTAINERS[info.container]?.extension;
+      if (current === filePath && expectedExtension && path.extname(filePath).toLowerCase() !== expectedExtension) {
+        current = path.join(CONFIG.TMP_DIR, `${path.parse(filePath).name}_input${expectedExtension}`);
+        fs.copyFileSync(filePath, current);
+        tempFiles.push(current);
+      }
+
+      let files = [current];
+      if (seconds && seconds > CONFIG.V2V.SEGMENT_SECONDS) {
+        try {
+          files = await AudioProcessor.split(current, CONFIG.V2V.SEGMENT_SECONDS, { signal });
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          Logger.error('AudioProcessor: Error dividiendo el audio en partes', error);
+          throw AudioProcessor.rejection(`dura más de ${Utils.formatDuration(CONFIG.V2V.SEGMENT_SECONDS * 1000)} y no se ha podido dividir en partes (¿ffmpeg instalado?).`);
+        }
+        tempFiles.push(...files);
+        Logger.log(`AudioProcessor: Audio de ${seconds} s dividido en ${files.length} partes de hasta ${CONFIG.V2V.SEGMENT_SECONDS} s`);
+      }
+      return { files, seconds, info, tempFiles };
+    } catch (error) {
+      AudioProcessor.cleanup(tempFiles);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte un audio a WAV PCM de 16 bits mono a CONFIG.V2V.SAMPLE_RATE, opcionalmente sin los silencios
+   * del principio y del final.
+   * @returns {Promise<string>} - Ruta al WAV generado.
+   */
+  static async normalize(inputPath, { trimSilence = false, signal = null } = {}) {
+    const outputPath = AudioProcessor.tempPath('sts_normalized', '.wav');
+    // silenceremove solo recorta el principio: se invierte el audio para recortar también el final
+    const trim = `silenceremove=start_periods=1:start_silence=0.2:start_threshold=${CONFIG.V2V.SILENCE_THRESHOLD}`;
+    const filters = trimSilence ? ['-af', `${trim},areverse,${trim},areverse`] : [];
+    try {
+      await Utils.runCommand(CONFIG.VOICE.FFMPEG_PATH, ['-y', '-loglevel', 'error', '-i', inputPath, '-vn', ...filters,
+        '-ac', '1', '-ar', String(CONFIG.V2V.SAMPLE_RATE), '-c:a', 'pcm_s16le', outputPath], { signal });
+      return outputPath;
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Extrae la pista de audio de un vídeo (nota de vídeo, vídeo o documento) a WAV, listo para prepareStsInput.
+   * @returns {Promise<string>} - Ruta al WAV extraído.
+   * @throws {Error} - Rechazo (`rejected`) si el vídeo no tiene audio o no se puede extraer.
+   */
+  static async extractAudio(videoPath, { signal = null } = {}) {
+    await AudioProcessor.probe(videoPath, { signal }); // Con ffprobe, rechaza los vídeos sin pista de audio
+    try {
+      return await AudioProcessor.normalize(videoPath, { signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      Logger.error(`AudioProcessor: Error extrayendo el audio de ${path.basename(videoPath)}`, error);
+      throw AudioProcessor.rejection('no se ha podido extraer su pista de audio (¿tiene sonido? ¿ffmpeg instalado?).');
+    }
+  }
+
+  /**
+   * Sustituye la pista de audio de un vídeo (el vídeo se copia sin recodificar; el audio pasa a AAC).
+   * @returns {Promise<string>} - Ruta al MP4 generado.
+   */
+  static async remuxVideo(videoPath, audioPath, { signal = null } = {}) {
+    const outputPath = AudioProcessor.tempPath('sts_video', '.mp4');
+    try {
+      await Utils.runCommand(CONFIG.VOICE.FFMPEG_PATH, ['-y', '-loglevel', 'error', '-i', videoPath, '-i', audioPath,
+        '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '128k', '-shortest',
+        '-movflags', '+faststart', outputPath], { signal });
+      return outputPath;
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Divide un audio en partes WAV de como mucho `segmentSeconds` segundos.
+   * @returns {Promise<string[]>} - Rutas de las partes, en orden.
+   */
+  static async split(inputPath, segmentSeconds, { signal = null } = {}) {
+    const prefix = path.basename(AudioProcessor.tempPath('sts_segment', '_'));
+    const collect = () => fs.readdirSync(CONFIG.TMP_DIR)
+      .filter(file => file.startsWith(prefix))
+      .sort()
+      .map(file => path.join(CONFIG.TMP_DIR, file));
+    try {
+      await Utils.runCommand(CONFIG.VOICE.FFMPEG_PATH, ['-y', '-loglevel', 'error', '-i', inputPath, '-vn',
+        '-f', 'segment', '-segment_time', String(segmentSeconds), '-ac', '1', '-ar', String(CONFIG.V2V.SAMPLE_RATE),
+        '-c:a', 'pcm_s16le', path.join(CONFIG.TMP_DIR, `${prefix}%03d.wav`)], { signal });
+      return collect();
+    } catch (error) {
+      AudioProcessor.cleanup(collect());
+      throw error;
+    }
+  }
+
+  /**
+   * Lee un WAV PCM de 16 bits.
+   * @param {Buffer} buffer - Archivo WAV completo.
+   * @returns {{sampleRate: number, channels: number, data: Buffer}|null} - `null` si no es un WAV PCM de 16 bits.
+   */
+  static readWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return null;
+    let format = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (id === 'fmt ') {
+        format = { audioFormat: buffer.readUInt16LE(offset + 8), channels: buffer.readUInt16LE(offset + 10),
+          sampleRate: buffer.readUInt32LE(offset + 12), bitsPerSample: buffer.readUInt16LE(offset + 22) };
+      } else if (id === 'data') {
+        // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE; el tamaño puede faltar (0xFFFFFFFF) en WAV generados en streaming
+        if (!format || ![1, 0xFFFE].includes(format.audioFormat) || format.bitsPerSample !== 16) return null;
+        return { sampleRate: format.sampleRate, channels: format.channels, data: buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + size)) };
+      }
+      offset += 8 + size + (size % 2); // Los bloques se alinean a 2 bytes
+    }
+    return null;
+  }
+
+  /**
+   * Convierte PCM de 16 bits (ver readWav) a mono y a otra frecuencia (interpolación lineal).
+   * @returns {Int16Array} - Muestras mono a `sampleRate`.
+   */
+  static toMonoPcm({ sampleRate, channels, data }, targetRate) {
+    const frames = Math.floor(data.length / (2 * channels));
+    const frame = (index) => {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) sum += data.readInt16LE((index * channels + channel) * 2);
+      return sum / channels;
+    };
+    const output = new Int16Array(Math.round(frames * targetRate / sampleRate));
+    for (let i = 0; i < output.length; i++) {
+      const position = i * sampleRate / targetRate;
+      const index = Math.min(Math.floor(position), frames - 1);
+      const next = Math.min(index + 1, frames - 1);
+      output[i] = Math.round(frame(index) + (frame(next) - frame(index)) * (position - index));
+    }
+    return output;
+  }
+
+  /**
+   * Lee un audio generado como PCM mono a `sampleRate` (los que no son WAV de 16 bits pasan por ffmpeg).
+   * @returns {Promise<Int16Array>}
+   */
+  static async loadPcm(filePath, sampleRate, { signal = null } = {}) {
+    let wav = AudioProcessor.readWav(fs.readFileSync(filePath));
+    if (!wav) {
+      const normalized = await AudioProcessor.normalize(filePath, { signal });
+      try {
+        wav = AudioProcessor.readWav(fs.readFileSync(normalized));
+      } finally {
+        fs.rmSync(normalized, { force: true });
+      }
+    }
+    return AudioProcessor.toMonoPcm(wav, sampleRate);
+  }
+
+  /** Mezcla `clip` en `track` a partir de la muestra `offset` (sumando y saturando, por si se solapan). */
+  static mixPcm(track, clip, offset) {
+    for (let i = 0; i < clip.length && offset + i < track.length; i++) {
+      track[offset + i] = Math.max(-32768, Math.min(32767, track[offset + i] + clip[i]));
+    }
+  }
+
+  /**
+   * Une varios audios generados por partes en uno: los MP3 se concatenan tal cual; los WAV necesitan una cabecera nueva.
+   * @param {Array<{data: Buffer, extension: string}>} parts - Audios en orden (mismo formato).
+   * @returns {{data: Buffer, extension: string}}
+   */
+  static joinAudio(parts) {
+    const extension = parts[0].extension;
+    if (parts.length === 1) return parts[0];
+    const data = extension === '.wav' ? Utils.concatWav(parts.map(part => part.data)) : Buffer.concat(parts.map(part => part.data));
+    return { data, extension };
+  }
+
+  /** Borra archivos temporales (sin fallar si alguno ya no existe). */
+  static cleanup(files) {
+    for (const file of files) {
+      try {
+        fs.rmSync(file, { force: true });
+      } catch (error) {
+        Logger.error(`AudioProcessor: Error eliminando archivo temporal: ${file}`, error);
+      }
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 15. Caché de Voz (TTS)                                                  --
+// -----------------------------------------------------------------------------
+
+/**
+ * Caché en disco del audio generado por TTS, direccionada por contenido: la clave es un hash de
+ * todo lo que determina el audio (texto, proveedor, voz, modelo, formato y ajustes finales).
+ * El tamaño total está acotado; al superarlo se borran los audios usados hace más tiempo (LRU).
+ */
+class TtsCache {
+  /**
+   * @param {string} dir - Directorio de los audios (un archivo `<hash>.<ext>` por entrada).
+   * @param {number} maxBytes - Tamaño máximo total de la caché.
+   */
+  constructor(dir, maxBytes = CONFIG.TTS_CACHE.MAX_BYTES) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    /** @type {Map<string, {file: string, size: number}>} Clave -> audio, del usado hace más tiempo al más reciente */
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.hits = 0;   // Desde el arranque
+    this.misses = 0;
+    fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Crea la caché según la configuración (en el directorio temporal si el estado no se persiste).
+   * @param {string} backend - Backend de almacenamiento del estado.
+   * @param {string|null} dir - Directorio de la caché (opcional).
+   * @returns {TtsCache}
+   */
+  static create(backend = CONFIG.STORAGE.BACKEND, dir = CONFIG.TTS_CACHE.DIR) {
+    if (dir) return new TtsCache(dir);
+    return new TtsCache(backend === 'memory' ? path.join(CONFIG.TMP_DIR, 'tts-cache') : path.join(__dirname, 'data', 'tts-cache'));
+  }
+
+  /**
+   * Calcula la clave de caché de una petición TTS.
+   * @param {object} request - Todo lo que determina el audio (texto, proveedor, voz, modelo, formato, ajustes).
+   * @returns {string} - Hash SHA-256 en hexadecimal.
+   */
+  static key(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  }
+
+  /** Indexa los audios que ya hay en disco, ordenados por su último uso (fecha de modificación). */
+  load() {
+    const files = fs.readdirSync(this.dir)
+      .filter(file => /^[0-9a-f]{64}\.\w+$/.test(file))
+      .map(file => ({ file, stat: fs.statSync(path.join(this.dir, file)) }))
+      .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+    for (const { file, stat } of files) {
+      this.entries.set(path.parse(file).name, { file, size: stat.size });
+      this.totalBytes += stat.size;
+    }
+    this.evict();
+    Logger.log(`TtsCache: ${this.entries.size} audios en caché (${(this.totalBytes / 1024 / 1024).toFixed(1)} MB) en ${this.dir}`);
+  }
+
+  /** Indica si hay un audio para la clave (sin contarlo como uso). */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Busca un audio y, si está, lo marca como usado recientemente.
+   * @returns {string|null} - Ruta al audio en caché (no borrarla: copiarla si hay que modificarla).
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    const filePath = entry && path.join(this.dir, entry.file);
+    if (!entry || !fs.existsSync(filePath)) {
+      if (entry) this.remove(key); // Borrado a mano del disco
+      this.misses++;
+      Metrics.inc('javier_tts_cache_lookups_total', { result: 'miss' });
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry); // Pasa a ser el más reciente
+    const now = new Date();
+    fs.utimesSync(filePath, now, now); // Conservar el orden LRU entre reinicios
+    this.hits++;
+    Metrics.inc('javier_tts_cache_lookups_total', { result: 'hit' });
+    return filePath;
+  }
+
+  /**
+   * Guarda un audio y borra los usados hace más tiempo si se supera el tamaño máximo.
+   * @param {string} key - Clave (ver TtsCache.key).
+   * @param {Buffer} data - Audio.
+   * @param {string} extension - Extensión del archivo ('.mp3', '.wav'...).
+   */
+  put(key, data, extension) {
+    if (this.entries.has(key)) this.remove(key);
+    const file = `${key}${extension}`;
+    const tempPath = path.join(this.dir, `${file}.tmp`);
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, path.join(this.dir, file)); // Nunca dejar un audio a medias con un nombre válido
+    this.entries.set(key, { file, size: data.length });
+    this.totalBytes += data.length;
+    this.evict();
+  }
+
+  /** Borra los audios usados hace más tiempo hasta volver por debajo del tamaño máximo. */
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      Logger.log(`TtsCache: Eliminando ${key.slice(0, 12)}… (usado hace más tiempo) para no superar ${Math.round(this.maxBytes / 1024 / 1024)} MB`);
+      this.remove(key);
+    }
+  }
+
+  /** Borra un audio de la caché (del índice y del disco). */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    fs.rmSync(path.join(this.dir, entry.file), { force: true });
+  }
+
+  /** @returns {{entries: number, bytes: number, maxBytes: number, hits: number, misses: number}} */
+  stats() {
+    return { entries: this.entries.size, bytes: this.totalBytes, maxBytes: this.maxBytes, hits: this.hits, misses: this.misses };
+  }
+
+  /**
+   * Vacía la caché.
+   * @returns {{entries: number, bytes: number}} - Lo que se ha borrado.
+   */
+  clear() {
+    const cleared = { entries: this.entries.size, bytes: this.totalBytes };
+    for (const key of [...this.entries.keys()]) this.remove(key);
+    return cleared;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 16. Guiones (TXT, CSV y SRT)                                            --
+// -----------------------------------------------------------------------------
+
+/**
+ * Lee los guiones que se suben como documento para generar voz por lotes: TXT (una línea por audio),
+ * CSV (columnas id, texto y ajustes con las opciones de /tv) o SRT (subtítulos, con sus tiempos).
+ * Una línea con errores no invalida el guion: se devuelve con su `error` para informar de ella.
+ */
+class ScriptParser {
+  /**
+   * Formato de un documento por su extensión, o `null` si no es un guion. El tipo MIME no basta: cualquier
+   * texto (logs, .md...) llega como text/plain y generaría un lote de voz de pago sin que el usuario lo pida.
+   */
+  static detectFormat(fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    return ['.txt', '.csv', '.srt'].includes(extension) ? extension : null;
+  }
+
+  /** Decodifica un guion: UTF-8 o, si no lo es (ej. un CSV de Excel), Latin-1; sin BOM y con saltos de línea \n. */
+  static decode(buffer) {
+    const utf8 = buffer.toString('utf8');
+    const text = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  }
+
+  /**
+   * Lee un guion.
+   * @param {Buffer} buffer - Contenido del archivo.
+   * @param {string} format - '.txt', '.csv' o '.srt' (ver detectFormat).
+   * @returns {Array<{line: number, id: string, text: string, settings: string, options: object,
+   *   startMs: number|null, endMs: number|null, error: string|null}>} - Una entrada por audio, en orden.
+   */
+  static parse(buffer, format) {
+    const content = ScriptParser.decode(buffer);
+    if (format === '.csv') return ScriptParser.parseCsv(content);
+    if (format === '.srt') return ScriptParser.parseSrt(content);
+    return ScriptParser.parseTxt(content);
+  }
+
+  /** Crea una entrada y valida su texto y sus ajustes (opciones de /tv, ej. "-s 0.4 -v 1.1"). */
+  static entry({ line, id, text, settings = '', startMs = null, endMs = null, error = null }) {
+    const parsed = Utils.parseVoiceFlags(settings.split(/\s+/).filter(Boolean));
+    const problem = error
+      || (!text ? 'Sin texto.' : null)
+      || parsed.error
+      || (parsed.textParts.length > 0 ? `Ajustes no reconocidos: ${parsed.textParts.join(' ')}` : null);
+    return { line, id, text, settings, options: parsed.options, startMs, endMs, error: problem };
+  }
+
+  /** TXT: una línea por audio (se ignoran las vacías y las que empiezan por #). */
+  static parseTxt(content) {
+    return content.split('\n')
+      .map((text, index) => ({ line: index + 1, text: text.trim() }))
+      .filter(row => row.text && !row.text.startsWith('#'))
+      .map((row, index) => ScriptParser.entry({ line: row.line, id: String(index + 1), text: row.text }));
+  }
+
+  /**
+   * CSV con columnas id, text y settings (también en español: texto, ajustes). Con cabecera, en cualquier
+   * orden; sin ella, `texto`, `id,texto` o `id,texto,ajustes`. Separador `,` o `;` (el de Excel en español).
+   */
+  static parseCsv(content) {
+    const rows = ScriptParser.parseCsvRows(content);
+    const names = { id: ['id'], text: ['text', 'texto'], settings: ['settings', 'ajustes', 'opciones'] };
+    const header = rows[0]?.cells.map(cell => cell.trim().toLowerCase()) || [];
+    const hasHeader = names.text.some(name => header.includes(name));
+    const column = (key) => header.findIndex(cell => names[key].includes(cell));
+    const columns = hasHeader ? { id: column('id'), text: column('text'), settings: column('settings') }
+      : rows[0]?.cells.length === 1 ? { id: -1, text: 0, settings: -1 }
+      : { id: 0, text: 1, settings: 2 };
+
+    return rows.slice(hasHeader ? 1 : 0).map((row, index) => ScriptParser.entry({
+      line: row.line,
+      id: (row.cells[columns.id] ?? '').trim() || String(index + 1),
+      text: (row.cells[columns.text] ?? '').trim(),
+      settings: (row.cells[columns.settings] ?? '').trim()
+    }));
+  }
+
+  /** Divide un CSV en filas (RFC 4180: campos entre comillas con comas, saltos de línea y "" escapadas). */
+  static parseCsvRows(content) {
+    const firstLine = content.split('\n', 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let cells = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+        else if (char === '"') quoted = false;
+        else {
+          field += char;
+          if (char === '\n') line++;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(field);
+        field = '';
+      } else if (char === '\n') {
+        cells.push(field);
+        rows.push({ line: rowLine, cells });
+        cells = [];
+        field = '';
+        rowLine = ++line;
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || cells.length > 0) {
+      cells.push(field);
+      rows.push({ line: rowLine, cells });
+    }
+    return rows.filter(row => row.cells.some(cell => cell.trim()));
+  }
+
+  /** SRT: bloques separados por una línea en blanco con número, tiempos y texto (sin etiquetas de formato). */
+  static parseSrt(content) {
+    const blocks = [];
+    let current = null;
+    content.split('\n').forEach((text, index) => {
+      if (!text.trim()) {
+        current = null;
+        return;
+      }
+      if (!current) blocks.push(current = { line: index + 1, lines: [] });
+      current.lines.push(text.trim());
+    });
+
+    return blocks.map((block, index) => {
+      const timingIndex = block.lines.findIndex(text => text.includes('-->'));
+      if (timingIndex === -1) {
+        const numbered = /^\d+$/.test(block.lines[0]);
+        return ScriptParser.entry({
+          line: block.line, id: numbered ? block.lines[0] : String(index + 1), text: block.lines.slice(numbered ? 1 : 0).join(' '),
+          error: 'Bloque sin tiempos (00:00:01,000 --> 00:00:03,000).'
+        });
+      }
+      const id = timingIndex > 0 ? block.lines[0] : String(index + 1);
+      const [startMs, endMs] = block.lines[timingIndex].split('-->').map(ScriptParser.parseSrtTime);
+      const text = block.lines.slice(timingIndex + 1).join(' ')
+        .replace(/<\/?(i|b|u|font)\b[^>]*>|\{\\[^}]*\}/gi, '') // Etiquetas de formato de los subtítulos
+        .replace(/\s+/g, ' ')
+        .trim();
+      const error = startMs === null || endMs === null || endMs < startMs ? `Tiempos no válidos: ${block.lines[timingIndex]}` : null;
+      return ScriptParser.entry({ line: block.line, id, text, startMs, endMs, error });
+    });
+  }
+
+  /** Convierte un tiempo SRT ("00:01:02,500") a milisegundos, o `null` si no es válido. */
+  static parseSrtTime(value) {
+    const match = String(value).trim().match(/^(\d+):(\d{2}):(\d{2})[,.](\d{1,3})/);
+    if (!match) return null;
+    const [, hours, minutes, seconds, millis] = match;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis.padEnd(3, '0'));
+  }
+
+  /** Convierte milisegundos a un tiempo SRT ("00:01:02,500"). */
+  static formatSrtTime(ms) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)},${pad(ms % 1000, 3)}`;
+  }
+
+  /** Versión de un id apta para nombres de archivo (sin tildes ni caracteres especiales). */
+  static slug(id) {
+    return String(id).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 17. Servicios de API (OpenAI y ElevenLabs)                              --
+// -----------------------------------------------------------------------------
+
+/**
+ * Clase que encapsula las llamadas a las APIs externas.
+ */
+class ApiService {
+  /** @type {ChatProvider|null} Proveedor de chat (se crea al primer uso según CONFIG.GPT.PROVIDER) */
+  static chatProvider = null;
+  /** @type {{tts?: VoiceProvider, sts?: VoiceProvider}} Proveedores de voz (se crean al primer uso según CONFIG.VOICE) */
+  static voiceProviders = {};
+  /** true si el proveedor rechazó el formato sin comprimir (planes de ElevenLabs sin PCM): se pide el normal */
+  static losslessUnavailable = false;
+  /** Resultado de la última ejecución de verifyApis() (lo expone /health/ready). */
+  static lastVerification = null;
+
+  /** @type {TranscriptionProvider|null} Proveedor STT (se crea al primer uso según CONFIG.STT.PROVIDER) */
+  static transcriptionProvider = null;
+  /** @type {UsageLedger|null} Registro de uso y costes (se crea al primer uso según CONFIG.USAGE) */
+  static usageLedger = null;
+  /** @type {TtsCache|null|false} Caché de voz (se crea al primer uso; `false` si está desactivada o no se pudo crear) */
+  static ttsCache = null;
+
+  /** Devuelve la caché de voz, creándola la primera vez (`null` si está desactivada). */
+  static getTtsCache() {
+    if (this.ttsCache === null) {
+      try {
+        this.ttsCache = CONFIG.TTS_CACHE.ENABLED ? TtsCache.create() : false;
+      } catch (error) {
+        Logger.error('ApiService: No se pudo crear la caché de voz; se generará siempre el audio.', error);
+        this.ttsCache = false;
+      }
+    }
+    return this.ttsCache || null;
+  }
+
+  /** Devuelve el registro de uso, creándolo la primera vez. */
+  static getUsageLedger() {
+    if (!this.usageLedger) {
+      this.usageLedger = UsageLedger.create();
+      Logger.log(`ApiService: Registro de uso: ${this.usageLedger.filePath || 'en memoria'}`);
+    }
+    return this.usageLedger;
+  }
+
+  /**
+   * Empieza a medir una llamada a una API externa. `end(status, usage)` la cuenta en las métricas
+   * y añade su entrada al registro de uso con el consumo indicado.
+   * @param {string} operation - Nombre de la operación (ej. 'generateVoice').
+   * @param {{userId?: number|null, provider: string, model: string}} details - Datos fijos de la entrada.
+   * @returns {{end: (status: string, usage?: object) => void}}
+   */
+  static trackCall(operation, details) {
+    const timer = Metrics.startTimer(operation);
+    const startedAt = Date.now();
+    return {
+      end: (status, usage = {}) => {
+        timer.end(status);
+        try {
+          this.getUsageLedger().append({ operation, status, ...details, ...usage, durationMs: Date.now() - startedAt });
+        } catch (error) {
+          // Un fallo del registro (ej. disco lleno) no debe romper la respuesta al usuario
+          Logger.error(`ApiService: No se pudo registrar el uso de ${operation}`, error);
+        }
+      }
+    };
+  }
+
+  /**
+   * Tokens consumidos por una llamada de chat: los que informa el proveedor o, si no los da
+   * (algunos servidores compatibles), una estimación con TokenCounter.
+   */
+  static chatUsage(messages, usage, responseText) {
+    return {
+      promptTokens: usage?.prompt_tokens ?? TokenCounter.countMessages(messages),
+      completionTokens: usage?.completion_tokens ?? TokenCounter.countText(responseText || '')
+    };
+  }
+
+  /** Modelo con el que se registra una llamada de chat (el mock no tiene precio). */
+  static chatModel(provider) {
+    return provider.name === 'mock' ? 'mock' : CONFIG.GPT.MODEL;
+  }
+
+  /**
+   * Devuelve el proveedor de chat configurado, creándolo la primera vez.
+   * Si la configuración es inválida se registra el error y el chat queda deshabilitado.
+   * @returns {ChatProvider|null}
+   */
+  static getChatProvider() {
+    if (this.chatProvider === null) {
+      try {
+        this.chatProvider = ChatProvider.create();
+        Logger.log(`ApiService: Proveedor de chat: ${this.chatProvider.name} (modelo ${CONFIG.GPT.MODEL})`);
+      } catch (error) {
+        Logger.error("ApiService: Error creando el proveedor de chat. El chat con IA quedará deshabilitado.", error);
+        this.chatProvider = false; // No reintentar en cada mensaje
+      }
+    }
+    return this.chatProvider || null;
+  }
+
+  /** Indica si el chat con IA está disponible (proveedor creado y configurado). */
+  static isChatAvailable() {
+    return !!this.getChatProvider()?.isAvailable();
+  }
+
+  /**
+   * Genera una respuesta de texto con el proveedor de chat configurado (OpenAI, compatible o mock).
+   * @param {Array<{role: string, content: string}>} messages - Historial de mensajes.
+   * @param {{userId?: number, signal?: AbortSignal}} [meta] - Usuario que origina la llamada (registro de uso) y señal de cancelación.
+   * @returns {Promise<string>} - La respuesta generada por el modelo.
+   * @throws {Error} - Si el proveedor no está disponible o falla.
+   */
+  static async generateGPTResponse(messages, meta = {}) {
+    if (!this.isChatAvailable()) {
+      Logger.error("ApiService.generateGPTResponse: Intento de uso sin proveedor de chat disponible.");
+      throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
+    }
+    const provider = this.getChatProvider();
+
+    Logger.log(`ApiService.generateGPTResponse: Generando respuesta (${provider.name})...`);
+    // Logger.debug("ApiService.generateGPTResponse: Mensajes enviados a GPT", messages); // Puede ser muy largo
+
+    const call = this.trackCall('generateGPTResponse', { userId: meta.userId, provider: provider.name, model: this.chatModel(provider) });
+    try {
+      // Llamada al proveedor con reintentos usando Utils.retry
+      const completion = await Utils.retry(async () =>
+        await provider.complete(messages, {
+          model: CONFIG.GPT.MODEL,
+          maxTokens: CONFIG.GPT.MAX_TOKENS,
+          temperature: CONFIG.GPT.TEMPERATURE,
+          signal: meta.signal
+        }), { signal: meta.signal }
+      );
+
+      // Validar la respuesta del proveedor
+      const responseText = completion?.text;
+      if (!responseText) {
+        Logger.warn(`ApiService.generateGPTResponse: Respuesta inesperada o vacía de ${provider.name}.`);
+        throw new Error("Respuesta inesperada de la API de IA.");
+      }
+
+      Logger.log("ApiService.generateGPTResponse: Respuesta GPT generada exitosamente.");
+      call.end('success', this.chatUsage(messages, completion.usage, responseText));
+      return responseText.trim(); // Devolver el texto limpio
+
+    } catch (error) {
+      if (meta.signal?.aborted) {
+        call.end('cancelled');
+        throw Utils.cancelledError();
+      }
+      call.end('error');
+      Logger.error('ApiService.generateGPTResponse: Error generando respuesta GPT', error);
+      // Intentar extraer un mensaje de error más específico de la respuesta de la API si existe
+      const apiErrorMessage = error.response?.data?.error?.message || error.message;
+      throw new Error('No pude generar una respuesta de la IA: ' + apiErrorMessage);
+    }
+  }
+
+  /**
+   * Resume turnos antiguos de una conversación para conservarlos de forma compacta.
+   * @param {string|null} previousSummary - Resumen acumulado anterior (se integra en el nuevo).
+   * @param {Array<{role: string, content: string}>} messages - Mensajes que salen del historial.
+   * @param {{userId?: number, signal?: AbortSignal}} [meta] - Usuario de la conversación (registro de uso) y señal de cancelación.
+   * @returns {Promise<string>} - El nuevo resumen.
+   * @throws {Error} - Si el proveedor no está disponible o falla.
+   */
+  static async summarizeConversation(previousSummary, messages, meta = {}) {
+    if (!this.isChatAvailable()) {
+      throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
+    }
+    const provider = this.getChatProvider();
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'Usuario' : 'Javier'}: ${m.content}`)
+      .join('\n');
+    const summaryPrompt = [
+      {
+        role: "system",
+        content: "Resume la conversación entre un usuario y Javier Soto (asistente de dirección) en español, en pocas frases. " +
+          "Conserva los datos concretos: nombres, proyectos, fechas, cifras, decisiones y preferencias del usuario. " +
+          "Si hay un resumen previo, intégralo en el nuevo. Responde solo con el resumen."
+      },
+      {
+        role: "user",
+        content: `${previousSummary ? `Resumen previo:\n${previousSummary}\n\n` : ''}Conversación a resumir:\n${transcript}`
+      }
+    ];
+
+    Logger.log(`ApiService.summarizeConversation: Resumiendo ${messages.length} mensajes (${provider.name})...`);
+    const call = this.trackCall('summarizeConversation', { userId: meta.userId, provider: provider.name, model: this.chatModel(provider) });
+    let completion;
+    try {
+      completion = await Utils.retry(async () =>
+        await provider.complete(summaryPrompt, {
+          model: CONFIG.GPT.MODEL,
+          maxTokens: CONFIG.GPT.SUMMARY_MAX_TOKENS,
+          temperature: 0.2, // Resumen fiel, sin creatividad
+          signal: meta.signal
+        }), { signal: meta.signal }
+      );
+    } catch (error) {
+      if (meta.signal?.aborted) {
+        call.end('cancelled');
+        throw Utils.cancelledError();
+      }
+      call.end('error');
+      throw error;
+    }
+    call.end(completion?.text ? 'success' : 'error', this.chatUsage(summaryPrompt, completion?.usage, completion?.text));
+    if (!completion?.text) throw new Error("Respuesta vacía al resumir la conversación.");
+    // Algunos servidores compatibles ignoran max_tokens: garantizar que el resumen respeta su hueco
+    return TokenCounter.truncate(completion.text.trim(), CONFIG.GPT.SUMMARY_MAX_TOKENS);
+  }
+
+  /**
+   * Genera una respuesta en streaming con el proveedor de chat configurado.
+   * Solo se reintenta si el fallo ocurre antes de recibir el primer fragmento; si el stream se corta
+   * a mitad, se lanza un error con el texto parcial en `error.partialText`.
+   * @param {Array<{role: string, content: string}>} messages - Historial de mensajes.
+   * @param {(fullText: string) => void} onText - Callback con el texto acumulado tras cada fragmento.
+   * @param {{userId?: number, signal?: AbortSignal}} [meta] - Usuario que origina la llamada (registro de uso) y señal de cancelación.
+   * @returns {Promise<string>} - La respuesta completa.
+   * @throws {Error} - Si el proveedor no está disponible o falla.
+   */
+  static async streamGPTResponse(messages, onText, meta = {}) {
+    if (!this.isChatAvailable()) {
+      Logger.error("ApiService.streamGPTResponse: Intento de uso sin proveedor de chat disponible.");
+      throw new Error("La funcionalidad de chat con IA no está disponible en este momento.");
+    }
+    const provider = this.getChatProvider();
+    Logger.log(`ApiService.streamGPTResponse: Generando respuesta en streaming (${provider.name})...`);
+
+    let partialText = '';
+    let streamError = null;
+    const call = this.trackCall('streamGPTResponse', { userId: meta.userId, provider: provider.name, model: this.chatModel(provider) });
+    try {
+      const completion = await Utils.retry(async () => {
+        try {
+          return await provider.stream(messages, {
+            model: CONFIG.GPT.MODEL,
+            maxTokens: CONFIG.GPT.MAX_TOKENS,
+            temperature: CONFIG.GPT.TEMPERATURE,
+            signal: meta.signal
+          }, (delta, fullText) => {
+            partialText = fullText;
+            onText(fullText);
+          });
+        } catch (error) {
+          // Con texto ya mostrado al usuario no se puede reintentar sin duplicarlo: salir de Utils.retry
+          if (partialText) {
+            streamError = error;
+            return null;
+          }
+          throw error;
+        }
+      }, { signal: meta.signal });
+
+      if (streamError) throw streamError;
+      const responseText = completion?.text;
+      if (!responseText) {
+        Logger.warn(`ApiService.streamGPTResponse: Respuesta inesperada o vacía de ${provider.name}.`);
+        throw new Error("Respuesta inesperada de la API de IA.");
+      }
+
+      Logger.log("ApiService.streamGPTResponse: Respuesta en streaming completada.");
+      call.end('success', this.chatUsage(messages, completion.usage, responseText));
+      return responseText.trim();
+
+    } catch (error) {
+      // Un stream cortado a mitad ya consumió el prompt y parte de la respuesta: registrar la estimación
+      const cancelled = !!meta.signal?.aborted;
+      call.end(cancelled ? 'cancelled' : 'error', partialText ? this.chatUsage(messages, null, partialText) : {});
+      if (cancelled) {
+        const cancelledError = Utils.cancelledError();
+        cancelledError.partialText = partialText;
+        throw cancelledError;
+      }
+      Logger.error('ApiService.streamGPTResponse: Error generando respuesta en streaming', error);
+      const apiErrorMessage = error.response?.data?.error?.message || error.message;
+      const wrappedError = new Error('No pude generar una respuesta de la IA: ' + apiErrorMessage);
+      wrappedError.partialText = partialText; // Lo que el usuario ya vio antes del corte ('' si nada)
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Devuelve el proveedor de voz configurado para TTS o STS, creándolo la primera vez.
+   * @param {'tts'|'sts'} kind - Tipo de operación.
+   * @returns {VoiceProvider}
+   */
+  static getVoiceProvider(kind) {
+    if (!this.voiceProviders[kind]) {
+      const providerName = kind === 'tts' ? CONFIG.VOICE.TTS_PROVIDER : CONFIG.VOICE.STS_PROVIDER;
+      this.voiceProviders[kind] = VoiceProvider.create(providerName);
+      Logger.log(`ApiService: Proveedor de voz (${kind.toUpperCase()}): ${this.voiceProviders[kind].name}`);
+    }
+    return this.voiceProviders[kind];
+  }
+
+  /**
+   * Extrae un mensaje de error legible de un fallo de un proveedor de voz (incluye el detalle de ElevenLabs).
+   * @param {Error} error - Error capturado.
+   * @returns {string}
+   */
+  static describeVoiceError(error) {
+    if (error.response?.data) {
+      try {
+        const errorData = Buffer.isBuffer(error.response.data) ? JSON.parse(error.response.data.toString()) : error.response.data;
+        return errorData.detail?.message || (typeof errorData.detail === 'string' ? errorData.detail : error.response.statusText) || error.message;
+      } catch (parseError) { return error.message; }
+    }
+    return error.message || 'Error desconocido';
+  }
+
+  /**
+   * Ajustes de voz finales para TTS: las opciones pasadas sobre los defaults de CONFIG, aplicando los límites.
+   * @param {object} options - stability, similarity_boost, style, speed, use_speaker_boost (opcionales).
+   * @returns {{stability: number, similarity_boost: number, style: number, speed: number, use_speaker_boost: boolean}}
+   */
+  static buildVoiceSettings(options = {}) {
+    return {
+      stability: options.stability !== undefined
+        ? Math.max(0.0, Math.min(1.0, options.stability)) // Clamp 0.0 - 1.0
+        : CONFIG.ELEVEN_LABS.STABILITY,
+      similarity_boost: options.similarity_boost !== undefined
+        ? Math.max(0.0, Math.min(1.0, options.similarity_boost)) // Clamp 0.0 - 1.0
+        : CONFIG.ELEVEN_LABS.SIMILARITY_BOOST,
+      style: options.style !== undefined
+        ? Math.max(0.0, options.style) // Permitir >= 0.0
+        : CONFIG.ELEVEN_LABS.STYLE,
+      speed: options.speed !== undefined
+        ? Math.max(CONFIG.ELEVEN_LABS.MIN_SPEED, Math.min(CONFIG.ELEVEN_LABS.MAX_SPEED, options.speed)) // Clamp 0.7 - 1.2
+        : CONFIG.ELEVEN_LABS.SPEED,
+      use_speaker_boost: options.use_speaker_boost !== undefined
+        ? options.use_speaker_boost
+        : CONFIG.ELEVEN_LABS.USE_SPEAKER_BOOST
+    };
+  }
+
+  /** Formato de salida que se pedirá al proveedor TTS (el normal si el sin comprimir no está disponible). */
+  static getTtsOutputFormat(options = {}) {
+    const outputFormat = options.outputFormat || CONFIG.ELEVEN_LABS.OUTPUT_FORMAT;
+    return outputFormat === CONFIG.ELEVEN_LABS.LOSSLESS_OUTPUT_FORMAT && this.losslessUnavailable ? CONFIG.ELEVEN_LABS.OUTPUT_FORMAT : outputFormat;
+  }
+
+  /** Clave de la caché de voz para un texto y unas opciones (las mismas que recibe generateVoice). */
+  static getVoiceCacheKey(text, options = {}) {
+    return TtsCache.key({
+      text,
+      provider: this.getVoiceProvider('tts').name,
+      voiceId: options.voiceId || CONFIG.ELEVEN_LABS.VOICE_ID,
+      modelId: CONFIG.ELEVEN_LABS.MODEL,
+      outputFormat: this.getTtsOutputFormat(options),
+      voiceSettings: this.buildVoiceSettings(options)
+    });
+  }
+
+  /** Indica si generateVoice serviría este audio desde la caché (sin llamar al proveedor ni gastar cuota). */
+  static isVoiceCached(text, options = {}) {
+    const cache = this.getTtsCache();
+    return !!cache && cache.has(this.getVoiceCacheKey(text, options));
+  }
+
+  /**
+   * Genera audio (Text-to-Speech) con el proveedor de voz configurado (ElevenLabs o local).
+   * @param {string} text - El texto a convertir en voz.
+   * @param {object} options - Opciones para sobreescribir los defaults (voiceId, stability, similarity_boost, style, speed, use_speaker_boost,
+   *   outputFormat del proveedor).
+   * Los textos de más de CONFIG.VOICE.TTS_MAX_CHARS caracteres se dividen por frases y se generan por partes
+   * (una petición por parte), uniendo después los audios en un solo archivo.
+   * El audio se guarda en la caché de voz (CONFIG.TTS_CACHE); si ya estaba, se devuelve sin llamar al proveedor.
+   * @param {{userId?: number, signal?: AbortSignal, onProgress?: (part: number, total: number) => void,
+   *   onChunkDone?: (chars: number) => void, useCache?: boolean, onCacheHit?: () => void}} [meta] - Usuario que origina
+   *   la llamada (registro de uso), señal de cancelación, aviso antes de cada parte (solo si hay varias), aviso con los
+   *   caracteres de cada parte generada (ya cobrada por el proveedor aunque falle una parte posterior; para las cuotas),
+   *   `useCache: false` para generar el audio de nuevo (el resultado sí se guarda) y aviso si el audio sale de la caché.
+   * @returns {Promise<string>} - La ruta al archivo de audio temporal generado.
+   * @throws {Error} - Si el proveedor no está configurado o la llamada falla.
+   */
+  static async generateVoice(text, options = {}, meta = {}) {
+    const provider = this.getVoiceProvider('tts');
+    if (!provider.isAvailable()) {
+      Logger.error(`ApiService.generateVoice: Proveedor TTS ${provider.name} no disponible.`);
+      throw new Error("El servicio de generación de voz no está configurado.");
+    }
+
+    Logger.log(`ApiService.generateVoice: Generando voz (TTS) con ${provider.name}...`);
+    const voiceId = options.voiceId || CONFIG.ELEVEN_LABS.VOICE_ID;
+    Logger.log(`ApiService.generateVoice: Usando Voice ID (TTS): ${voiceId}`);
+    // Logger.log(`ApiService.generateVoice: Longitud texto: ${text.length}`);
+
+    // --- Construir Voice Settings Finales ---
+    const finalSettings = this.buildVoiceSettings(options);
+    // Logger.debug("ApiService.generateVoice: Voice Settings finales para TTS:", finalSettings);
+
+    // --- Caché: el mismo audio (texto, voz, modelo, formato y ajustes) no se genera ni se paga dos veces ---
+    const cache = this.getTtsCache();
+    let cacheKey = cache && this.getVoiceCacheKey(text, options);
+    const cachedFile = meta.useCache === false ? null : cache?.get(cacheKey); // Sin caché: se genera y se reemplaza
+    if (cachedFile) {
+      const tempFilePath = path.join(CONFIG.TMP_DIR, `tts_output_${Date.now()}${path.extname(cachedFile)}`);
+      fs.copyFileSync(cachedFile, tempFilePath); // El llamador borra el archivo devuelto; el de la caché se conserva
+      Logger.log(`ApiService.generateVoice: Audio servido desde la caché (${cacheKey.slice(0, 12)}…), sin llamar al proveedor.`);
+      meta.onCacheHit?.();
+      return tempFilePath;
+    }
+
+    // Dividir los textos largos por frases (sin romper los tags <break/>): una petición por parte
+    const chunks = Utils.splitText(text, CONFIG.VOICE.TTS_MAX_CHARS);
+    if (chunks.length > 1) Logger.log(`ApiService.generateVoice: Texto de ${text.length} caracteres dividido en ${chunks.length} partes.`);
+
+    let outputFormat = this.getTtsOutputFormat(options);
+    const results = [];
+    for (let index = 0; index < chunks.length; index++) {
+      const chunk = chunks[index];
+      if (chunks.length > 1) meta.onProgress?.(index + 1, chunks.length);
+      const call = this.trackCall('generateVoice', {
+        userId: meta.userId, provider: provider.name, model: provider.name === 'elevenlabs' ? CONFIG.ELEVEN_LABS.MODEL : provider.name
+      });
+      try {
+        // --- Ejecutar Llamada con Reintentos ---
+        const result = await Utils.retry(async () =>
+          await provider.textToSpeech(chunk, {
+            voiceId,
+            modelId: CONFIG.ELEVEN_LABS.MODEL,  // Modelo TTS especificado
+            voiceSettings: finalSettings,       // Settings calculados
+            outputFormat,
+            signal: meta.signal,
+            previousText: chunks[index - 1],
+            nextText: chunks[index + 1]
+          }), { signal: meta.signal }
+        );
+        call.end('success', { ttsCharacters: chunk.length });
+        meta.onChunkDone?.(chunk.length);
+        results.push(result);
+      } catch (error) {
+        if (meta.signal?.aborted) {
+          call.end('cancelled');
+          throw Utils.cancelledError();
+        }
+        call.end('error');
+        // Un 4xx en la primera petición sin comprimir suele ser el plan (PCM solo en los superiores): seguir con el
+        // formato normal, que sendAudioResult convierte a WAV con ffmpeg
+        const status = error.response?.status;
+        if (index === 0 && outputFormat === CONFIG.ELEVEN_LABS.LOSSLESS_OUTPUT_FORMAT && status >= 400 && status < 500 && status !== 429) {
+          Logger.warn(`ApiService.generateVoice: El proveedor rechazó ${outputFormat} (${status}: ${this.describeVoiceError(error)}); se usa ${CONFIG.ELEVEN_LABS.OUTPUT_FORMAT} a partir de ahora.`);
+          this.losslessUnavailable = true;
+          outputFormat = this.getTtsOutputFormat(options);
+          if (cache) cacheKey = this.getVoiceCacheKey(text, options);
+          index--; // Repetir la primera parte
+          continue;
+        }
+        Logger.error(`ApiService.generateVoice: Error generando voz (TTS), parte ${index + 1} de ${chunks.length}`, error);
+        const partLabel = chunks.length > 1 ? ` en la parte ${index + 1} de ${chunks.length}` : '';
+        throw new Error(`Error al generar audio (TTS)${partLabel}: ${this.describeVoiceError(error)}`);
+      }
+    }
+    Logger.log("ApiService.generateVoice: Audio TTS recibido del proveedor.");
+
+    // Unir las partes en un solo audio
+    const { data: audioData, extension } = AudioProcessor.joinAudio(results);
+
+    // Guardar el audio en un archivo temporal
+    const tempFilePath = path.join(CONFIG.TMP_DIR, `tts_output_${Date.now()}${extension}`);
+    Logger.log(`ApiService.generateVoice: Guardando audio TTS en: ${tempFilePath}`);
+    fs.writeFileSync(tempFilePath, audioData);
+    Logger.log(`ApiService.generateVoice: Audio TTS guardado correctamente (${audioData.length} bytes)`);
+    if (cache) {
+      try {
+        cache.put(cacheKey, audioData, extension);
+      } catch (error) {
+        Logger.error('ApiService.generateVoice: No se pudo guardar el audio en la caché', error);
+      }
+    }
+    return tempFilePath; // Devolver la ruta al archivo generado
+  }
+
+  /**
+   * Transforma audio (Speech-to-Speech / V2V) con el proveedor de voz configurado (ElevenLabs o pass-through local).
+   * @param {string} audioFilePath - Ruta al archivo de audio de entrada.
+   * @param {object} [options] - Opciones para sobreescribir los defaults (voiceId, stability, similarity_boost, style, use_speaker_boost,
+   *   outputFormat del proveedor).
+   * @param {{userId?: number, audioSeconds?: number, signal?: AbortSignal}} [meta] - Usuario y duración del audio (registro de uso) y señal de cancelación.
+   * @returns {Promise<string>} - La ruta al archivo de audio temporal transformado.
+   * @throws {Error} - Si el proveedor no está configurado o la llamada falla.
+   */
+  static async transformVoice(audioFilePath, options = {}, meta = {}) {
+    const provider = this.getVoiceProvider('sts');
+    if (!provider.isAvailable()) {
+      Logger.error(`ApiService.transformVoice: Proveedor STS ${provider.name} no disponible.`);
+      throw new Error("El servicio de transformación de voz no está configurado.");
+    }
+
+    Logger.log(`ApiService.transformVoice: Transformando voz (STS / V2V) con ${provider.name}...`);
+    const voiceId = options.voiceId || CONFIG.ELEVEN_LABS.VOICE_ID;
+    Logger.log(`ApiService.transformVoice: Usando Voice ID (STS): ${voiceId}`);
+
+    const modelId = options.modelId || CONFIG.ELEVEN_LABS.STS_MODEL;
+    const call = this.trackCall('transformVoice', {
+      userId: meta.userId, provider: provider.name, model: provider.name === 'elevenlabs' ? modelId : provider.name
+    });
+    try {
+      // Verificar que el archivo de entrada existe
+      if (!fs.existsSync(audioFilePath)) {
+        throw new Error(`Archivo de audio de entrada no encontrado: ${audioFilePath}`);
+      }
+
+      // Voice Settings - Opciones recibidas (ej. las de la personalidad) sobre los defaults de CONFIG
+      const voiceSettings = {
+        stability: options.stability !== undefined
+          ? Math.max(0.0, Math.min(1.0, options.stability))
+          : CONFIG.ELEVEN_LABS.STABILITY,
+        similarity_boost: options.similarity_boost !== undefined
+          ? Math.max(0.0, Math.min(1.0, options.similarity_boost))
+          : CONFIG.ELEVEN_LABS.SIMILARITY_BOOST,
+        style: options.style !== undefined
+          ? Math.max(0.0, options.style)
+          : CONFIG.ELEVEN_LABS.STYLE, // El estilo en STS se infiere más del audio original
+        use_speaker_boost: options.use_speaker_boost !== undefined
+          ? options.use_speaker_boost
+          : CONFIG.ELEVEN_LABS.USE_SPEAKER_BOOST,
+        // Speed no es un parámetro directo en la API STS v1
+      };
+      // Logger.debug("ApiService.transformVoice: Voice Settings para STS:", voiceSettings);
+
+      // --- Ejecutar Llamada con Reintentos ---
+      const result = await Utils.retry(async () =>
+        await provider.speechToSpeech(audioFilePath, {
+          voiceId,
+          modelId, // Modelo STS (el de /vv -m o el de CONFIG)
+          voiceSettings,
+          outputFormat: options.outputFormat || CONFIG.ELEVEN_LABS.OUTPUT_FORMAT,
+          signal: meta.signal
+        }), { signal: meta.signal }
+      );
+      Logger.log("ApiService.transformVoice: Audio STS recibido del proveedor.");
+
+      // Guardar el audio transformado
+      const tempFilePath = path.join(CONFIG.TMP_DIR, `sts_output_${Date.now()}${result.extension}`);
+      Logger.log(`ApiService.transformVoice: Guardando audio STS transformado en: ${tempFilePath}`);
+      fs.writeFileSync(tempFilePath, result.data);
+      Logger.log(`ApiService.transformVoice: Audio STS guardado correctamente (${result.data.length} bytes)`);
+
+      call.end('success', { audioSeconds: meta.audioSeconds });
+      return tempFilePath; // Devolver ruta al archivo
+
+    } catch (error) {
+      if (meta.signal?.aborted) {
+        call.end('cancelled');
+        throw Utils.cancelledError();
+      }
+      call.end('error');
+      Logger.error('ApiService.transformVoice: Error transformando voz (STS)', error);
+      let errorMessage = this.describeVoiceError(error);
+      // Añadir hint para errores comunes 400 en STS
+      if (error.response?.status === 400) {
+        errorMessage += " (Posible causa: Modelo STS/Voz no compatible, formato de audio inválido, o problema con el archivo de audio)";
+      }
+      throw new Error(`Error al transformar audio (STS): ${errorMessage}`);
+    }
+  }
+
+  /** Devuelve el proveedor de transcripción configurado, creándolo la primera vez. */
+  static getTranscriptionProvider() {
+    if (!this.transcriptionProvider) {
+      this.transcriptionProvider = TranscriptionProvider.create();
+      Logger.log(`ApiService: Proveedor de transcripción: ${this.transcriptionProvider.name}`);
+    }
+    return this.transcriptionProvider;
+  }
+
+  /**
+   * Transcribe un archivo de audio a texto (Speech-to-Text) con el proveedor configurado.
+   * @param {string} audioFilePath - Ruta al archivo de audio.
+   * @param {{userId?: number, audioSeconds?: number, signal?: AbortSignal}} [meta] - Usuario y duración del audio (registro de uso) y señal de cancelación.
+   * @returns {Promise<string>} - El texto reconocido (sin espacios sobrantes).
+   * @throws {Error} - Si el proveedor no está disponible, el archivo es demasiado grande o la llamada falla.
+   */
+  static async transcribeAudio(audioFilePath, meta = {}) {
+    const provider = this.getTranscriptionProvider();
+    if (!provider.isAvailable()) {
+      Logger.error(`ApiService.transcribeAudio: Proveedor ${provider.name} no disponible.`);
+      throw new Error("El servicio de transcripción de voz no está configurado.");
+    }
+
+    const { size } = fs.statSync(audioFilePath);
+    if (size > CONFIG.STT.MAX_FILE_SIZE) {
+      throw new Error(`El audio es demasiado grande para transcribirlo (${(size / 1024 / 1024).toFixed(1)} MB, máximo ${CONFIG.STT.MAX_FILE_SIZE / 1024 / 1024} MB).`);
+    }
+
+    Logger.log(`ApiService.transcribeAudio: Transcribiendo audio con ${provider.name}...`);
+    const call = this.trackCall('transcribeAudio', {
+      userId: meta.userId, provider: provider.name, model: provider.name === 'stub' ? 'stub' : CONFIG.STT.MODEL
+    });
+    try {
+      const text = await Utils.retry(async () => await provider.transcribe(audioFilePath, { signal: meta.signal }), { signal: meta.signal });
+      Logger.log("ApiService.transcribeAudio: Transcripción completada.");
+      call.end('success', { audioSeconds: meta.audioSeconds });
+      return (text || '').trim();
+    } catch (error) {
+      if (meta.signal?.aborted) {
+        call.end('cancelled');
+        throw Utils.cancelledError();
+      }
+      call.end('error');
+      Logger.error('ApiService.transcribeAudio: Error transcribiendo audio', error);
+      const apiErrorMessage = error.response?.data?.error?.message || error.message;
+      throw new Error('No pude transcribir el audio: ' + apiErrorMessage);
+    }
+  }
+
+  /**
+   * Verifica la conectividad y configuración básica de las APIs al inicio.
+   * Lanza un error si alguna verificación crítica falla.
+   */
+  static async verifyApis() {
+    Logger.log("ApiService.verifyApis: Verificando APIs...");
+    let allOk = true;
+    const checks = {}; // Resultado de cada verificación, para /health/ready
+
+    // --- Verificar el proveedor de chat configurado (si está disponible) ---
+    const chatProvider = this.getChatProvider();
+    if (chatProvider?.isAvailable()) {
+      try {
+        Logger.log(`ApiService.verifyApis: Verificando proveedor de chat ${chatProvider.name} con el modelo ${CONFIG.GPT.MODEL}...`);
+        await chatProvider.verify();
+        Logger.log(`ApiService.verifyApis: ✅ Proveedor de chat ${chatProvider.name} verificado.`);
+        checks[`chat:${chatProvider.name}`] = 'ok';
+      } catch (error) {
+        Logger.error(`ApiService.verifyApis: ❌ Error verificando el proveedor de chat ${chatProvider.name}`, error);
+        checks[`chat:${chatProvider.name}`] = `error: ${error.message}`;
+        allOk = false;
+      }
+    } else {
+      Logger.warn("ApiService.verifyApis: Saltando verificación del chat con IA (proveedor no configurado).");
+      checks.chat = 'skipped';
+    }
+
+    // --- Verificar los proveedores de voz habilitados (TTS y STS pueden compartir proveedor) ---
+    const voiceUsage = new Map(); // nombre de proveedor -> { tts, sts }
+    voiceUsage.set(CONFIG.VOICE.TTS_PROVIDER, { tts: true, sts: false });
+    voiceUsage.set(CONFIG.VOICE.STS_PROVIDER, { ...(voiceUsage.get(CONFIG.VOICE.STS_PROVIDER) || { tts: false }), sts: true });
+    for (const [providerName, usage] of voiceUsage) {
+      const usedFor = [usage.tts && 'TTS', usage.sts && 'STS'].filter(Boolean).join(' + ');
+      try {
+        const provider = this.getVoiceProvider(usage.tts ? 'tts' : 'sts');
+        Logger.log(`ApiService.verifyApis: Verificando proveedor de voz ${provider.name} (${usedFor})...`);
+        await provider.verify(usage);
+        Logger.log(`ApiService.verifyApis: ✅ Proveedor de voz ${providerName} verificado.`);
+        checks[`voice:${providerName}`] = 'ok';
+      } catch (error) {
+        Logger.error(`ApiService.verifyApis: ❌ Error verificando el proveedor de voz ${providerName} (${usedFor})`, error);
+        checks[`voice:${providerName}`] = `error: ${error.message}`;
+        allOk = false;
+      }
+    }
+    this.lastVerification = { ok: allOk, checkedAt: new Date().toISOString(), checks };
+
+    // Si alguna verificación falló, lanzar un error para detener el inicio
+    if (!allOk) {
+      throw new Error("Una o más verificaciones de API fallaron al inicio. Revisa los logs.");
+    }
+    Logger.log("ApiService.verifyApis: ✅ Verificación de APIs completada con éxito.");
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 18. Cuotas y Límites de Uso                                             --
+// -----------------------------------------------------------------------------
+
+/**
+ * Aplica las cuotas diarias (TTS, STS, GPT) y los límites de peticiones por minuto,
+ * por usuario y globales. Los handlers llaman a `check()` antes de usar ApiService
+ * y a `record()` con el consumo real cuando la llamada termina bien.
+ */
+class QuotaManager {
+  /** Límites soportados: clave interna -> clave en CONFIG.QUOTAS, alias para /quota y textos. */
+  static LIMITS = {
+    ttsChars: { config: 'TTS_CHARS_PER_DAY', alias: 'tts', label: 'Voz (TTS)', unit: 'caracteres' },
+    stsSeconds: { config: 'STS_SECONDS_PER_DAY', alias: 'sts', label: 'Transformación de voz (V2V)', unit: 'segundos' },
+    gptTokens: { config: 'GPT_TOKENS_PER_DAY', alias: 'gpt', label: 'Chat (GPT)', unit: 'tokens' },
+    requestsPerMinute: { config: 'REQUESTS_PER_MINUTE', alias: 'rpm', label: 'Peticiones por minuto', unit: 'peticiones' }
+  };
+
+  /**
+   * @param {StateManager} stateManager - Guarda el consumo diario y los límites ajustados (se persisten).
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    /** @type {Map<number|string, number[]>} */
+    this.requestLog = new Map(); // User ID (o 'global') -> timestamps de las peticiones del último minuto (no se persiste)
+  }
+
+  /**
+   * Límites efectivos de un usuario: los de CONFIG (admin o usuario) con los ajustes de /quota encima.
+   * 0 significa sin límite.
+   * @returns {{ttsChars: number, stsSeconds: number, gptTokens: number, requestsPerMinute: number}}
+   */
+  getLimits(userId) {
+    const isAdmin = this.stateManager.isAdmin(userId);
+    const base = isAdmin ? CONFIG.QUOTAS.ADMIN : CONFIG.QUOTAS.USER;
+    const exempt = isAdmin && CONFIG.QUOTAS.ADMIN_EXEMPT;
+    const overrides = this.stateManager.getQuotaOverrides(userId);
+    const limits = {};
+    for (const [key, { config }] of Object.entries(QuotaManager.LIMITS)) {
+      limits[key] = overrides[key] !== undefined ? overrides[key] : (exempt ? 0 : base[config]);
+    }
+    return limits;
+  }
+
+  /** Límites globales (suma de todos los usuarios). */
+  getGlobalLimits() {
+    const limits = {};
+    for (const [key, { config }] of Object.entries(QuotaManager.LIMITS)) limits[key] = CONFIG.QUOTAS.GLOBAL[config];
+    return limits;
+  }
+
+  /** Timestamps de las peticiones del último minuto (descartando las más antiguas). */
+  getRecentRequests(key) {
+    const since = Date.now() - 60 * 1000;
+    const recent = (this.requestLog.get(key) || []).filter(timestamp => timestamp > since);
+    this.requestLog.set(key, recent);
+    return recent;
+  }
+
+  /**
+   * Comprueba si un usuario puede hacer una petición que consumirá `amounts`. Si está permitida
+   * y `amounts.requests` es verdadero, la petición se cuenta para el límite por minuto.
+   * @param {number} userId - ID del usuario.
+   * @param {{requests?: boolean, ttsChars?: number, stsSeconds?: number, gptTokens?: number}} amounts - Consumo previsto.
+   * @returns {{allowed: boolean, message: string|null}} - Si no está permitida, un mensaje para el usuario con lo que le queda y cuándo se renueva.
+   */
+  check(userId, amounts) {
+    const scopes = [
+      { key: userId, limits: this.getLimits(userId), usage: this.stateManager.getDailyUsage(userId), owner: 'tu límite' },
+      { key: 'global', limits: this.getGlobalLimits(), usage: this.stateManager.getDailyUsage(null), owner: 'el límite global del bot' }
+    ];
+
+    for (const scope of scopes) {
+      if (amounts.requests && scope.limits.requestsPerMinute > 0) {
+        const recent = this.getRecentRequests(scope.key);
+        if (recent.length >= scope.limits.requestsPerMinute) {
+          const waitMs = recent[0] + 60 * 1000 - Date.now();
+          Logger.warn(`QuotaManager: Usuario ${userId} superó ${scope.owner} de peticiones por minuto.`);
+          return {
+            allowed: false,
+            message: `⛔ Has alcanzado ${scope.owner} de ${scope.limits.requestsPerMinute} peticiones por minuto. Podrás volver a intentarlo en ${Utils.formatDuration(waitMs)}.`
+          };
+        }
+      }
+
+      for (const key of ['ttsChars', 'stsSeconds', 'gptTokens']) {
+        const amount = amounts[key] || 0;
+        const limit = scope.limits[key];
+        if (!amount || limit <= 0 || scope.usage[key] + amount <= limit) continue;
+        const { label, unit } = QuotaManager.LIMITS[key];
+        const remaining = Math.max(0, limit - scope.usage[key]);
+        Logger.warn(`QuotaManager: Usuario ${userId} superaría ${scope.owner} diario de ${key} (${scope.usage[key]} + ${amount} > ${limit}).`);
+        return {
+          allowed: false,
+          message: `⛔ Esta petición supera ${scope.owner} diario de ${label}: necesita ${Math.ceil(amount)} ${unit} y quedan ${Math.floor(remaining)} de ${limit}. ` +
+            `Se renueva a las 00:00 UTC (en ${Utils.formatDuration(QuotaManager.msUntilReset())}).`
+        };
+      }
+    }
+
+    if (amounts.requests) {
+      for (const scope of scopes) {
+        if (scope.limits.requestsPerMinute > 0) this.getRecentRequests(scope.key).push(Date.now());
+      }
+    }
+    return { allowed: true, message: null };
+  }
+
+  /** Registra el consumo real de una llamada que terminó bien. */
+  record(userId, amounts) {
+    this.stateManager.addDailyUsage(userId, amounts);
+  }
+
+  /**
+   * Describe el consumo de hoy frente a los límites (para /quota).
+   * @param {number|null} userId - ID del usuario, o `null` para el total global.
+   * @returns {string[]} - Una línea por límite.
+   */
+  describe(userId) {
+    const limits = userId === null ? this.getGlobalLimits() : this.getLimits(userId);
+    const usage = this.stateManager.getDailyUsage(userId);
+    return Object.entries(QuotaManager.LIMITS).map(([key, { alias, label, unit }]) => {
+      const used = key === 'requestsPerMinute'
+        ? this.getRecentRequests(userId === null ? 'global' : userId).length
+        : Math.round(usage[key]);
+      const period = key === 'requestsPerMinute' ? 'en el último minuto' : 'hoy';
+      return limits[key] > 0
+        ? `• ${label} (<code>${alias}</code>): ${used} de ${limits[key]} ${unit} ${period}`
+        : `• ${label} (<code>${alias}</code>): ${used} ${unit} ${period} (sin límite)`;
+    });
+  }
+
+  /** Milisegundos hasta la próxima renovación de las cuotas diarias (00:00 UTC). */
+  static msUntilReset() {
+    const next = new Date();
+    next.setUTCHours(24, 0, 0, 0);
+    return next.getTime() - Date.now();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 19. Cola de Trabajos                                                    --
+// -----------------------------------------------------------------------------
+
+/**
+ * Cola de trabajos largos (llamadas a GPT, TTS, STS y STT). Los trabajos de un mismo usuario se
+ * ejecutan de uno en uno y en orden de llegada; entre usuarios, cada proveedor admite como mucho
+ * CONFIG.QUEUE.CONCURRENCY trabajos a la vez (ej. para no provocar 429 en ElevenLabs).
+ */
+class JobQueue {
+  /**
+   * @param {object} limits - Trabajos simultáneos por recurso (nombre de proveedor).
+   * @param {number} defaultLimit - Límite de los recursos que no aparecen en `limits`.
+   */
+  constructor(limits = CONFIG.QUEUE.CONCURRENCY, defaultLimit = CONFIG.QUEUE.DEFAULT_CONCURRENCY) {
+    this.limits = limits;
+    this.defaultLimit = defaultLimit;
+    /** @type {Array<object>} Trabajos en espera y en curso, en orden de llegada */
+    this.jobs = [];
+    /** @type {Map<string, number>} Trabajos en curso por recurso */
+    this.active = new Map();
+    this.nextId = 1;
+    this.idleWaiters = [];
+  }
+
+  /** Límite de trabajos simultáneos de un recurso. */
+  getLimit(resource) {
+    return this.limits[resource] ?? this.defaultLimit;
+  }
+
+  /**
+   * Añade un trabajo a la cola y lo arranca si ya hay hueco.
+   * @param {{userId: number, type: string, label: string, resources: string[], run: (job: object) => Promise<void>,
+   *   onPosition?: (position: number) => void, onCancel?: () => void}} options
+   *   `run` ejecuta el trabajo (debe respetar `job.signal`); `onPosition` se llama mientras espera, cada vez que
+   *   cambia su posición; `onCancel` si se cancela antes de empezar.
+   * @returns {object} - El trabajo; `job.done` se resuelve al terminar (nunca se rechaza).
+   */
+  enqueue({ userId, type, label, resources, run, onPosition = null, onCancel = null }) {
+    const controller = new AbortController();
+    const job = {
+      id: this.nextId++, userId, type, label, resources: [...new Set(resources)], run, onPosition, onCancel,
+      status: 'waiting', enqueuedAt: Date.now(), startedAt: null, lastPosition: null,
+      controller, signal: controller.signal
+    };
+    job.done = new Promise(resolve => { job.resolveDone = resolve; });
+    this.jobs.push(job);
+    Logger.log(`JobQueue: Trabajo #${job.id} (${type}) de ${userId} encolado [${job.resources.join(', ')}].`);
+    this.schedule();
+    return job;
+  }
+
+  /** Indica si un trabajo en espera puede arrancar (es el primero de su usuario y hay hueco en sus recursos). */
+  canStart(job) {
+    const firstOfUser = this.jobs.find(other => other.userId === job.userId);
+    if (firstOfUser !== job) return false;
+    return job.resources.every(resource => (this.active.get(resource) || 0) < this.getLimit(resource));
+  }
+
+  /** Arranca los trabajos en espera que ya pueden ejecutarse y actualiza las posiciones del resto. */
+  schedule() {
+    for (const job of this.jobs) {
+      if (job.status === 'waiting' && this.canStart(job)) this.start(job);
+    }
+    for (const job of this.jobs) {
+      if (job.status !== 'waiting') continue;
+      const position = this.getPosition(job);
+      if (position === job.lastPosition) continue;
+      job.lastPosition = position;
+      try { job.onPosition?.(position); }
+      catch (error) { Logger.error(`JobQueue: Error notificando la posición del trabajo #${job.id}`, error); }
+    }
+    if (this.jobs.length === 0) this.idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  /** Ejecuta un trabajo ocupando sus recursos; al terminar los libera y arranca los siguientes. */
+  start(job) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    for (const resource of job.resources) this.active.set(resource, (this.active.get(resource) || 0) + 1);
+    Logger.log(`JobQueue: Trabajo #${job.id} (${job.type}) de ${job.userId} iniciado tras ${Date.now() - job.enqueuedAt} ms en cola.`);
+
+    Promise.resolve()
+      .then(() => job.run(job))
+      .catch(error => Logger.error(`JobQueue: Error no controlado en el trabajo #${job.id} (${job.type}) de ${job.userId}`, error))
+      .finally(() => {
+        for (const resource of job.resources) this.active.set(resource, this.active.get(resource) - 1);
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        job.status = 'done';
+        job.resolveDone();
+        this.schedule();
+      });
+  }
+
+  /**
+   * Posición de un trabajo en espera: 1 + los trabajos en espera anteriores que compiten con él
+   * (del mismo usuario o que usan alguno de sus recursos).
+   */
+  getPosition(job) {
+    let ahead = 0;
+    for (const other of this.jobs) {
+      if (other === job) break;
+      if (other.status !== 'waiting') continue;
+      if (other.userId === job.userId || other.resources.some(resource => job.resources.includes(resource))) ahead++;
+    }
+    return ahead + 1;
+  }
+
+  /**
+   * Cancela un trabajo: si espera, sale de la cola sin ejecutarse; si está en curso, se aborta su señal
+   * (las llamadas en curso y los reintentos pendientes se interrumpen y el trabajo termina por sí mismo).
+   */
+  cancel(job) {
+    if (job.status === 'waiting') {
+      this.jobs.splice(this.jobs.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.controller.abort();
+      job.resolveDone();
+      try { job.onCancel?.(); }
+      catch (error) { Logger.error(`JobQueue: Error notificando la cancelación del trabajo #${job.id}`, error); }
+      this.schedule();
+    } else if (job.status === 'running' && !job.signal.aborted) {
+      job.controller.abort();
+    }
+    Logger.log(`JobQueue: Trabajo #${job.id} (${job.type}) de ${job.userId} cancelado.`);
+  }
+
+  /**
+   * Cancela todos los trabajos de un usuario.
+   * @returns {{running: number, waiting: number}} - Cuántos estaban en curso y cuántos en espera.
+   */
+  cancelUserJobs(userId) {
+    const jobs = this.getUserJobs(userId).filter(job => !job.signal.aborted);
+    const running = jobs.filter(job => job.status === 'running').length;
+    jobs.forEach(job => this.cancel(job));
+    return { running, waiting: jobs.length - running };
+  }
+
+  /** Trabajos de un usuario (en curso y en espera), en orden. */
+  getUserJobs(userId) {
+    return this.jobs.filter(job => job.userId === userId);
+  }
+
+  /** Indica si un usuario tiene trabajos en curso o en espera. */
+  hasJobs(userId) {
+    return this.jobs.some(job => job.userId === userId);
+  }
+
+  /** Número de trabajos en curso. */
+  get runningCount() {
+    return this.jobs.filter(job => job.status === 'running').length;
+  }
+
+  /** Número de trabajos en espera. */
+  get waitingCount() {
+    return this.jobs.filter(job => job.status === 'waiting').length;
+  }
+
+  /**
+   * Espera a que la cola quede vacía.
+   * @param {number} timeoutMs - Tiempo máximo de espera.
+   * @returns {Promise<boolean>} - `true` si se vació, `false` si venció el tiempo.
+   */
+  waitForIdle(timeoutMs) {
+    if (this.jobs.length === 0) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), timeoutMs);
+      this.idleWaiters.push(() => { clearTimeout(timer); resolve(true); });
+    });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 20. Servidor HTTP Integrado                                             --
+// -----------------------------------------------------------------------------
+
+/**
+ * Servidor HTTP mínimo con rutas exactas (método + path). Lo usa el modo webhook.
+ */
+class HttpServer {
+  /**
+   * @param {number} [port] - Puerto de escucha.
+   * @param {string} [host] - Interfaz de escucha.
+   */
+  constructor(port = CONFIG.HTTP.PORT, host = CONFIG.HTTP.HOST) {
+    this.port = port;
+    this.host = host;
+    /** @type {Map<string, Function>} */
+    this.routes = new Map(); // "MÉTODO /path" -> handler(req, res, url)
+    this.server = null;
+  }
+
+  /**
+   * Registra una ruta.
+   * @param {string} method - Método HTTP (GET, POST...).
+   * @param {string} routePath - Path exacto (sin query string).
+   * @param {(req: http.IncomingMessage, res: http.ServerResponse, url: URL) => Promise<void>|void} handler
+   */
+  route(method, routePath, handler) {
+    this.routes.set(`${method.toUpperCase()} ${routePath}`, handler);
+  }
+
+  /** Empieza a escuchar. Resuelve cuando el puerto está abierto. */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res).catch(error => {
+      // Última red: un fallo aquí no debe llegar a unhandledRejection (que detiene el bot)
+      Logger.error(`HttpServer: Error inesperado atendiendo ${req.method} ${req.url}`, error);
+      if (!res.headersSent) HttpServer.send(res, 500, 'Internal Server Error');
+      else res.end();
+    }));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port; // Puerto real (por si se pidió el 0)
+    Logger.log(`HttpServer: Escuchando en http://${this.host}:${this.port}`);
+  }
+
+  /** Deja de aceptar conexiones y cierra las abiertas. */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    });
+    Logger.log("HttpServer: Servidor detenido.");
+  }
+
+  /** Despacha una petición a su ruta (400 si la URL no es válida, 404/405 si no existe) y convierte excepciones en 500. */
+  async handleRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      // Ej. "GET //": la ruta se interpreta como un host no válido
+      Logger.warn(`HttpServer: ${req.method} ${req.url} rechazada: URL no válida`);
+      HttpServer.send(res, 400, 'Bad Request');
+      return;
+    }
+    const handler = this.routes.get(`${req.method} ${url.pathname}`);
+    if (!handler) {
+      const pathExists = Array.from(this.routes.keys()).some(key => key.endsWith(` ${url.pathname}`));
+      HttpServer.send(res, pathExists ? 405 : 404, pathExists ? 'Method Not Allowed' : 'Not Found');
+      return;
+    }
+    try {
+      await handler(req, res, url);
+    } catch (error) {
+      if (error.statusCode) {
+        // Error del cliente (ej. 413): no es un fallo del bot
+        Logger.warn(`HttpServer: ${req.method} ${url.pathname} rechazada: ${error.statusCode} ${error.message}`);
+      } else {
+        Logger.error(`HttpServer: Error atendiendo ${req.method} ${url.pathname}`, error);
+      }
+      if (!res.headersSent) HttpServer.send(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal Server Error');
+      else res.end();
+    }
+  }
+
+  /** Envía una respuesta completa. */
+  static send(res, statusCode, body = '', contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    res.end(body);
+  }
+
+  /**
+   * Lee el cuerpo de una petición como texto.
+   * @throws {Error} - Con `statusCode` 413 si supera CONFIG.HTTP.MAX_BODY_SIZE.
+   */
+  static async readBody(req, limit = CONFIG.HTTP.MAX_BODY_SIZE) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error('Payload Too Large');
+        error.statusCode = 413;
+        throw error;
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// -- 21. Clase Principal del Bot (JavierBot)                                 --
+// -----------------------------------------------------------------------------
+
+/**
+ * Clase principal que encapsula toda la lógica del bot de Telegram.
+ */
+class JavierBot {
+  /** @type {Telegraf<import('telegraf').Context>} */
+  bot;
+  /** @type {StateManager} */
+  stateManager;
+
+  constructor() {
+    Logger.log("JavierBot: Inicializando...");
+    this.stateManager = new StateManager(); // Crear instancia del gestor de estado
+    this.quotas = new QuotaManager(this.stateManager); // Cuotas diarias y límites por minuto
+    this.jobs = new JobQueue();             // Cola de trabajos largos (GPT, TTS, V2V, STT)
+    /** @type {Set<string>} */
+    this.commandNames = new Set();          // Comandos registrados (ver registerCommand)
+    this.httpServer = null;                 // Servidor HTTP integrado (webhook, health checks y métricas)
+    this.ready = false;                     // true cuando el bot ya recibe updates (para /health/ready)
+    Metrics.gauge('javier_pending_operations', 'Operaciones largas (GPT, TTS, V2V, STT) en curso.', () => this.jobs.runningCount);
+    Metrics.gauge('javier_queued_jobs', 'Operaciones largas en cola esperando un hueco.', () => this.jobs.waitingCount);
+    this.setupBot();                        // Configurar Telegraf y sus componentes
+  }
+
+  /** Configura la instancia de Telegraf, middleware y handlers. */
+  setupBot() {
+    Logger.log("JavierBot.setupBot: Configurando Telegraf...");
+
+    // Obtener token del bot desde .env
+    const botToken = process.env.BOT_TOKEN;
+    if (!botToken) {
+      Logger.error('JavierBot.setupBot: ¡ERROR CRÍTICO! BOT_TOKEN no está definido en .env.');
+      process.exit(1); // Salir si no hay token
+    }
+
+    // Crear instancia de Telegraf con timeouts configurados
+    try {
+      this.bot = new Telegraf(botToken.trim(), {
+        handlerTimeout: CONFIG.BOT.TIMEOUT,
+        telegram: { timeout: CONFIG.BOT.TELEGRAM_TIMEOUT }
+      });
+      Logger.log("JavierBot.setupBot: Instancia de Telegraf creada.");
+    } catch (error) {
+      Logger.error("JavierBot.setupBot: Error creando instancia de Telegraf", error);
+      process.exit(1); // Salir si falla la creación
+    }
+
+    // --- Middleware Principal ---
+    // Se ejecuta para cada update recibido por el bot.
+    this.bot.use(async (ctx, next) => {
+      const userId = ctx.from?.id; // ID del usuario que envía el mensaje/comando
+
+      // Ignorar updates sin información de usuario (ej. en canales si no se manejan)
+      if (!userId) {
+        // Logger.warn("Middleware: Recibido update sin ctx.from.id, ignorando.");
+        return;
+      }
+
+      // 1. Botones del flujo de solicitud de acceso (los pulsan usuarios no autorizados y admins)
+      if (ctx.callbackQuery?.data?.startsWith('access:')) {
+        await this.handleAccessCallback(ctx);
+        return;
+      }
+
+      // 2. Verificar Autorización
+      if (!this.stateManager.isAuthorized(userId)) {
+        Logger.warn(`Middleware: Usuario NO AUTORIZADO ${userId} intentó usar el bot.`);
+        try {
+          // Informar al usuario no autorizado y ofrecerle solicitar acceso (salvo si ya tiene una solicitud pendiente)
+          const pendingRequest = this.stateManager.getAccessRequest(userId)?.status === 'pending';
+          await ctx.reply(
+            pendingRequest
+              ? `❌ No estás autorizado para usar este bot.\nTu ID: ${userId}\n⏳ Tu solicitud de acceso está pendiente de revisión.`
+              : `❌ No estás autorizado para usar este bot.\nTu ID: ${userId}\nPuedes pedir acceso a los administradores con el botón de abajo.`,
+            pendingRequest ? {} : Markup.inlineKeyboard([Markup.button.callback('🔑 Solicitar acceso', 'access:request')])
+          );
+        } catch (replyError) {
+          Logger.error(`Middleware: Error enviando mensaje de 'no autorizado' a ${userId}`, replyError);
+        }
+        return; // Detener el procesamiento para este usuario
+      }
+
+      // 3. Crear/Actualizar Sesión del Usuario (timestamp de última acción, se persiste)
+      this.stateManager.touchUserSession(userId, ctx.from);
+      Metrics.inc('javier_messages_handled_total', { command: this.getUpdateLabel(ctx) });
+
+      // 4. Continuar con el Siguiente Middleware o Handler
+      // Logger.log(`Middleware: Procesando update para usuario autorizado ${userId}`); // Puede ser verboso
+      await next();
+    });
+
+    // Configurar comandos, manejadores de mensajes y errores
+    this.setupCommands();
+    this.setupMessageHandlers();
+    this.setupErrorHandler();
+    Logger.log("JavierBot.setupBot: Configuración de Telegraf completada.");
+  }
+
+  /** Registra un comando en Telegraf y anota su nombre (las métricas solo etiquetan comandos conocidos). */
+  registerCommand(names, handler) {
+    for (const name of [].concat(names)) this.commandNames.add(name);
+    this.bot.command(names, handler);
+  }
+
+  /**
+   * Etiqueta de un update para la métrica de mensajes atendidos: el comando (`/tv`),
+   * el tipo de mensaje (`text`, `voice`...) o el tipo de update (`callback_query`).
+   */
+  getUpdateLabel(ctx) {
+    const text = ctx.message?.text;
+    if (text?.startsWith('/')) {
+      const name = text.slice(1).split(/[\s@]/)[0];
+      return this.commandNames.has(name) ? `/${name}` : 'unknown_command';
+    }
+    if (ctx.updateType !== 'message') return ctx.updateType;
+    return ['text', 'voice', 'audio', 'document', 'video', 'video_note', 'photo'].find(type => type in ctx.message) || 'other';
+  }
+
+  /** Registra los comandos del bot (ej. /help, /t2v). */
+  setupCommands() {
+    Logger.log("JavierBot.setupCommands: Configurando comandos...");
+    this.registerCommand(['start', 'help'], this.handleHelp.bind(this)); // Comando de ayuda
+    this.registerCommand('t', this.handleTextCommand.bind(this));         // Comando para procesar con GPT y responder texto
+    this.registerCommand('tv', this.handleTextToVoiceCommand.bind(this));// Comando para convertir texto a voz directamente
+    this.registerCommand('vv', this.handleVoiceToVoiceCommand.bind(this));// Comando para iniciar transformación de voz a voz
+    this.registerCommand('done', this.handleDoneCommand.bind(this));       // Comando para terminar el modo lote de /vv
+    this.registerCommand('transcribe', this.handleTranscribeCommand.bind(this)); // Comando para transcribir un audio a texto
+    this.registerCommand('dub', this.handleDubCommand.bind(this));         // Comando para doblar un .srt en una sola pista sincronizada
+    this.registerCommand('reset', this.handleResetConversation.bind(this));// Comando para reiniciar historial GPT
+    this.registerCommand('context', this.handleContextCommand.bind(this)); // Comando para ver cuánto contexto GPT se usa
+    this.registerCommand('persona', this.handlePersonaCommand.bind(this)); // Comando para listar/cambiar de personalidad
+    this.registerCommand('preset', this.handlePresetCommand.bind(this));   // Comando para gestionar presets de voz (/tv y /vv)
+    this.registerCommand('quota', this.handleQuotaCommand.bind(this));     // Comando para ver (o ajustar, admins) las cuotas de uso
+    this.registerCommand('usage', this.handleUsageCommand.bind(this));     // Comando para ver el uso y coste estimado (admins: de todos, con CSV)
+    this.registerCommand('cache', this.handleCacheCommand.bind(this));     // Comando de administración de la caché de voz (stats|clear)
+    this.registerCommand('queue', this.handleQueueCommand.bind(this));     // Comando para ver tus operaciones en curso y en cola
+    this.registerCommand('cancel', this.handleCancelCommand.bind(this));   // Comando para cancelar tus operaciones en curso y en cola
+    this.registerCommand('text', (ctx) => this.handleSetOutputMode(ctx, 'text'));  // Respuestas del chat en texto
+    this.registerCommand('voice', (ctx) => this.handleSetOutputMode(ctx, 'voice'));// Respuestas del chat en audio
+    this.registerCommand('both', (ctx) => this.handleSetOutputMode(ctx, 'both'));  // Respuestas en audio con el texto como pie
+    this.registerCommand('format', this.handleFormatCommand.bind(this));   // Formato de entrega de los audios (nota de voz, MP3, WAV, documento)
+    // Comandos solo para administradores (gestión de usuarios autorizados en tiempo de ejecución)
+    this.registerCommand('allow', this.handleAllowUser.bind(this));      // Autorizar a un usuario
+    this.registerCommand('revoke', this.handleRevokeUser.bind(this));    // Revocar el acceso a un usuario
+    this.registerCommand('promote', this.handlePromoteUser.bind(this));  // Hacer administrador a un usuario
+    this.registerCommand('demote', this.handleDemoteUser.bind(this));    // Quitar el rol de administrador
+    this.registerCommand('users', this.handleListUsers.bind(this));      // Listar usuarios autorizados y su actividad
+  }
+
+  /** Registra los manejadores para diferentes tipos de mensajes. */
+  setupMessageHandlers() {
+    Logger.log("JavierBot.setupMessageHandlers: Configurando manejadores de mensajes...");
+    // Manejador para mensajes de texto (que no son comandos)
+    this.bot.on('text', this.handleMessage.bind(this));
+    // Manejador para mensajes de voz grabados en Telegram
+    this.bot.on('voice', this.handleVoiceMessage.bind(this));
+    // Manejador para archivos de audio enviados
+    this.bot.on('audio', this.handleAudioMessage.bind(this));
+    // Manejadores para notas de vídeo, vídeos y documentos (de vídeo) para /vv
+    this.bot.on(['video_note', 'video'], this.handleVideoMessage.bind(this));
+    this.bot.on('document', this.handleDocumentMessage.bind(this));
+  }
+
+  /** Configura el manejador global de errores de Telegraf. */
+  setupErrorHandler() {
+    Logger.log("JavierBot.setupErrorHandler: Configurando manejador de errores global...");
+    this.bot.catch((error, ctx) => {
+      const userId = ctx.from?.id || 'unknown'; // Intentar obtener el ID del usuario
+      Logger.error(`ErrorHandler: Error global capturado para usuario ${userId}`, error);
+      Metrics.inc('javier_errors_total', { update_type: ctx.updateType || 'unknown' });
+
+      // Intentar notificar al usuario sobre el error genérico
+      try {
+        ctx.reply('❌ Lo siento, ocurrió un error inesperado al procesar tu solicitud.').catch((replyError) => {
+          // Si incluso enviar el mensaje de error falla, loguearlo
+          Logger.error(`ErrorHandler: No se pudo enviar mensaje de error global al usuario ${userId}`, replyError);
+        });
+      } catch (e) {
+        // Error dentro del propio manejador de errores (muy improbable)
+        Logger.error(`ErrorHandler: Error dentro del propio manejador de errores para ${userId}`, e);
+      }
+
+      // IMPORTANTE: Limpiar estados pendientes del usuario para evitar bloqueos
+      // (los trabajos de la cola liberan su hueco por sí mismos aunque fallen)
+      if (userId !== 'unknown') {
+        this.stateManager.clearPendingVoiceTransformation(userId);
+        this.stateManager.clearPendingTranscription(userId);
+        Logger.warn(`ErrorHandler: Esperas de V2V/transcripción limpiadas para ${userId} debido a error global.`);
+      }
+    });
+  }
+
+  // -----------------------------------------------------
+  // -- Manejadores de Comandos Específicos             --
+  // -----------------------------------------------------
+
+  /** Maneja los comandos /start y /help mostrando el mensaje de ayuda. */
+  async handleHelp(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /help solicitado por usuario ${userId}`);
+
+    // Sección extra solo visible para administradores
+    const adminHelpText = this.stateManager.isAdmin(userId) ? `
+Administración:
+/allow id - Autoriza a un usuario de Telegram.
+/revoke id - Revoca el acceso a un usuario.
+/promote id - Convierte a un usuario en administrador.
+/demote id - Quita el rol de administrador.
+/users - Lista los usuarios autorizados y su última actividad.
+/quota id [tts|sts|gpt|rpm valor] - Consulta o ajusta los límites de un usuario (0 = sin límite, default = por defecto). /quota global muestra el total.
+/usage all [periodo] - Uso y coste estimado por usuario y operación, con exportación CSV.
+/cache stats|clear - Estadísticas de la caché de voz (TTS) o vaciarla.
+` : '';
+
+    const outputModeLabel = CONFIG.OUTPUT_MODES[this.stateManager.getOutputMode(userId)];
+    const persona = this.stateManager.getPersona(userId);
+    const voicePreset = this.stateManager.getActiveVoicePreset(userId);
+
+    // Texto de ayuda formateado en HTML, con correcciones
+    const helpText = `
+🎬 Bot de Javier Soto - Asistente de Dirección
+
+Puedes conversar conmigo como si estuvieras hablando con Javier Soto.
+
+Comandos:
+/t mensaje - Procesa el mensaje con GPT y responde según tu modo de respuesta (si GPT está habilitado).
+/tv [opciones] "mensaje" - Convierte el mensaje directamente a voz.
+   Opciones (opcionales):
+    <code>-s valor</code> : Estabilidad (0.0 a 1.0, +estable vs +expresivo, default: ${CONFIG.ELEVEN_LABS.STABILITY})
+    <code>-x valor</code> : Exageración Estilo (>= 0.0, default: ${CONFIG.ELEVEN_LABS.STYLE})
+    <code>-v valor</code> : Velocidad (${CONFIG.ELEVEN_LABS.MIN_SPEED} a ${CONFIG.ELEVEN_LABS.MAX_SPEED}, default: ${CONFIG.ELEVEN_LABS.SPEED})
+    <code>-b valor</code> : Similitud con la voz original (0.0 a 1.0, default: ${CONFIG.ELEVEN_LABS.SIMILARITY_BOOST})
+    <code>-sb on|off</code> : Speaker boost (default: ${CONFIG.ELEVEN_LABS.USE_SPEAKER_BOOST ? 'on' : 'off'})
+    <code>-nc</code> : Generar el audio de nuevo aunque ya esté en la caché (los audios repetidos no gastan cuota)
+    <i>Ejemplo:</i> <code>/tv -s 0.4 -v 1.1 "Este es un mensaje de prueba."</code>
+/vv [batch] [video] [opciones] - Pide un mensaje de voz, audio, nota de vídeo o vídeo para transformarlo a la voz de tu personalidad actual. Envíalo después de usar este comando.
+   Opciones: <code>-s</code>, <code>-x</code>, <code>-b</code> y <code>-sb</code> como en /tv, y <code>-m ${Object.keys(CONFIG.ELEVEN_LABS.STS_MODELS).join('|')}</code> para el modelo STS.
+   Con <code>batch</code> transforma todos los audios que envíes hasta /done; con <code>video</code> devuelve los vídeos con la voz nueva (si no, solo el audio).${CONFIG.V2V.WAIT_TIMEOUT > 0 ? ` La espera caduca tras ${Utils.formatDuration(CONFIG.V2V.WAIT_TIMEOUT * 1000)} sin audios.` : ''}
+   <i>Ejemplo:</i> <code>/vv batch -s 0.5 -m english</code>
+/preset save|use|list|delete nombre - Guarda presets de voz con las mismas opciones que /tv y activa uno para /tv y /vv (<code>/preset off</code> lo desactiva).
+/transcribe - Devuelve solo el texto de un audio (responde a un audio con el comando, o envíalo después).
+/reset - Reinicia tu conversación actual con GPT.
+/context - Muestra cuánto contexto ocupa tu conversación con GPT.
+/quota - Muestra tu consumo de hoy y tus límites de uso.
+/queue - Muestra tus operaciones en curso y en cola.
+/done - Termina el modo lote de /vv.
+/dub [mp3|wav] [opciones] - Doblaje: envía después un .srt (o responde a uno) y te devuelvo una sola pista con cada subtítulo en su tiempo, acelerando la voz (hasta ${CONFIG.ELEVEN_LABS.MAX_SPEED}x) si no cabe, y un informe de los que se salen. Opciones como en /tv (<code>-v</code> es la velocidad de partida).
+/cancel - Cancela tu operación en curso, las que tengas en cola y la espera de audio de /vv o /transcribe (o del .srt de /dub).
+/usage [periodo] - Muestra tus llamadas a las APIs y su coste estimado (periodo: today, week, month, all, 30d o 2024-05; por defecto el mes actual).
+/persona [id] - Lista las personalidades disponibles o cambia a otra (empieza una conversación nueva).
+/text - Respuestas del chat en texto.
+/voice - Respuestas del chat en audio con la voz de tu personalidad.
+/both - Respuestas en audio con el texto como pie.
+/format [voice|mp3|wav|document] - Cómo recibir los audios: nota de voz, MP3, WAV sin pérdida o documento.
+/help - Mostrar esta ayuda.
+
+Personalidad actual: <b>${Utils.escapeHtml(persona.name)}</b>
+Preset de voz activo: <b>${voicePreset ? Utils.escapeHtml(voicePreset.name) : 'ninguno'}</b>
+Modo de respuesta actual: <b>${outputModeLabel}</b>
+${adminHelpText}
+Consejos para ElevenLabs (/tv):
+• Añade pausas naturales con puntos suspensivos (...)
+• Usa expresiones como "Mmm...", "Eh..." para sonar más natural.
+• Usa tags para pausas: <code><break /></code> (corta) o <code><break time="Xs"/></code> (X segundos).
+    <i>Ejemplo de texto para /tv:</i> <code>"Hola <break time="0.7s"/> ¿cómo estás? <break /> Espero que bien."</code>
+• Los textos largos se generan por partes (cortando entre frases) y te llegan en un solo audio.
+
+Simplemente escribe un mensaje para hablar conmigo (usará GPT si está habilitado).
+También puedes mandarme notas de voz: te mostraré lo que entendí y te responderé como si lo hubieras escrito.
+Guiones: envía un documento .txt (una línea por audio), .csv (columnas id, texto y ajustes con las opciones de /tv) o .srt y te devuelvo un ZIP con los audios numerados y un manifest.csv.
+
+Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballero]</a> para Javier Soto.
+    `;
+
+    try {
+      // Enviar mensaje usando modo HTML y deshabilitando previsualización de enlaces
+      await ctx.reply(helpText, { parse_mode: 'HTML', disable_web_page_preview: true });
+      Logger.log(`Handler: Mensaje de ayuda enviado a ${userId}`);
+    } catch (error) {
+      Logger.error(`Handler: Error enviando ayuda (HTML) a ${userId}`, error);
+      // Si falla el HTML (ej. por un error de formato inesperado), intentar enviar como texto plano
+      try {
+        const plainHelpText = helpText
+            .replace(/<a href="[^"]*">([^<]*)<\/a>/gi, '$1 ($&)') // Mantener URL en texto plano
+            .replace(/<code>(.*?)<\/code>/gi, '$1')
+            .replace(/<i>(.*?)<\/i>/gi, '_$1_') // Convertir a Markdown
+            .replace(/<b>(.*?)<\/b>/gi, '*$1*') // Convertir a Markdown
+            .replace(/</g, '<').replace(/>/g, '>').replace(/"/g, '"'); // Revertir escaping
+        await ctx.reply(plainHelpText);
+        Logger.log(`Handler: Mensaje de ayuda enviado (fallback texto plano) a ${userId}`);
+      } catch (fallbackError) {
+        Logger.error(`Handler: Error enviando ayuda (Fallback Texto Plano) a ${userId}`, fallbackError);
+        // Último recurso si todo falla
+        await ctx.reply('Error al mostrar la ayuda. Comandos: /t, /t2v, /v2v, /reset, /help').catch(() => {});
+      }
+    }
+  }
+
+  /** Maneja el comando /t: procesa con GPT y responde texto. */
+  async handleTextCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /t solicitado por usuario ${userId}`);
+
+    // Verificar si GPT está habilitado
+    if (!ApiService.isChatAvailable()) {
+      await ctx.reply('⚠️ La función de chat con IA (/t) está desactivada.').catch(()=>{});
+      return;
+    }
 
-    Logger.log("ApiService.transformVoice: Transformando voz (STS / V2V)...");
-    const voiceId = CONFIG.ELEVEN_LABS.VOICE_ID;
-    Logger.log(`ApiService.transformVoice: Usando Voice ID (STS): ${voiceId}`);
+    // Extraer el texto después del comando /t
+    const textMatch = ctx.message.text.match(/^\/t\s+(.+)$/s); // Busca uno o más caracteres después de /t y espacio(s)
+
+    // Validar que se proporcionó texto
+    if (!textMatch || !textMatch[1]?.trim()) {
+      await ctx.reply('⚠️ Debes proporcionar un mensaje después de /t.\nEjemplo: `/t ¿Cómo fue el rodaje?`', { parse_mode: 'MarkdownV2' }).catch(()=>{});
+      return;
+    }
+
+    const userMessage = textMatch[1].trim(); // Texto proporcionado por el usuario
+    Logger.log(`Handler: /t procesando mensaje: "${userMessage.substring(0, 50)}..."`);
+
+    // Llamar a la función que maneja la lógica de GPT
+    await this.processGPTMessage(ctx, userMessage);
+  }
+
+  /** Maneja el comando /t2v: convierte texto a voz con opciones. */
+  async handleTextToVoiceCommand(ctx) {
+    const userId = ctx.from.id;
+    const messageText = ctx.message.text;
+    Logger.log(`Handler: /t2v solicitado por ${userId}: "${messageText}"`);
+
+    // --- 1. Parsear Argumentos y Texto ---
+    const parts = messageText.split(/\s+/); // Dividir por uno o más espacios
+    parts.shift(); // Quitar el comando "/t2v"
+
+    // -nc: no usar la caché de voz (generar el audio de nuevo, ej. si el anterior salió mal).
+    // Solo cuenta entre las opciones del principio: dentro del texto es una palabra más
+    let useCache = true;
+    for (let index = 0; parts[index]?.startsWith('-');) {
+      if (parts[index] === '-nc') {
+        useCache = false;
+        parts.splice(index, 1);
+      } else {
+        index += 2; // Opción y su valor
+      }
+    }
+
+    // Opciones -s, -x, -v, -b, -sb de este mensaje (prevalecen sobre el preset activo)
+    const { options: overrideOptions, textParts, error: parsingError } = Utils.parseVoiceFlags(parts);
+
+    // Si hubo algún error de parsing, notificar al usuario y salir
+    if (parsingError) {
+      Logger.warn(`Handler: /t2v Error parsing para ${userId}: ${parsingError}`);
+      await ctx.reply(`⚠️ Error en las opciones: ${Utils.escapeHtml(parsingError)}\nUso correcto: <code>/tv [-s 0.5] [-x 0.8] [-v 1.1] [-b 0.9] [-sb on] [-nc] "Tu mensaje aquí"</code>`, { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+
+    // Unir las partes del texto y quitar espacios extra
+    const textToConvert = textParts.join(' ').trim();
+
+    // Verificar que efectivamente hay texto para convertir
+    if (!textToConvert) {
+      await ctx.reply('⚠️ No proporcionaste texto para convertir a voz después de las opciones.\nEjemplo: <code>/tv -s 0.4 "Hola mundo"</code>', { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+
+    // --- 2. Verificar Cuotas y Encolar ---
+    // Un audio en caché sale sin llamar al proveedor y no gasta cuota de voz. El hueco del proveedor en la cola se
+    // reserva igualmente: la caché puede descartar el audio mientras el trabajo espera
+    if (!(await this.ensureQueueCapacity(ctx))) return;
+    const cached = useCache && ApiService.isVoiceCached(textToConvert, this.getVoiceOptions(userId, overrideOptions));
+    const quota = this.quotas.check(userId, { requests: true, ttsChars: cached ? 0 : textToConvert.length });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
+      return;
+    }
+
+    Logger.log(`Handler: /t2v Texto a convertir: "${textToConvert.substring(0, 70)}..."`);
+    Logger.debug("Handler: /t2v Opciones override:", overrideOptions);
+    this.enqueueJob(ctx, { type: 'tts', kinds: ['tts'], label: `Texto a voz: «${Utils.truncate(textToConvert, 40)}»` },
+      (statusMessage, signal) => this.runTextToVoiceJob(ctx, textToConvert, overrideOptions, { useCache }, statusMessage, signal));
+  }
+
+  /**
+   * Ejecuta una conversión de /tv ya sacada de la cola: genera el audio y lo envía.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} textToConvert - Texto a convertir.
+   * @param {object} overrideOptions - Opciones de voz del mensaje (prevalecen sobre el preset activo).
+   * @param {{useCache: boolean}} options - `useCache: false` genera el audio aunque esté en la caché (/tv -nc).
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como mensaje de progreso.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runTextToVoiceJob(ctx, textToConvert, overrideOptions, { useCache }, statusMessage, signal) {
+    const userId = ctx.from.id;
+    const voiceOptions = this.getVoiceOptions(userId, overrideOptions);
+    let loadingMessage = null; // Para mostrar feedback al usuario
+    let audioFilePath = null;  // Para guardar la ruta del archivo y limpiarlo después
+
+    // La caché también puede haber cambiado mientras esperaba en la cola
+    const cached = useCache && ApiService.isVoiceCached(textToConvert, voiceOptions);
+    if (!(await this.ensureQuotaAtStart(ctx, statusMessage, { ttsChars: cached ? 0 : textToConvert.length }))) return;
 
     try {
-      // Verificar que el archivo de entrada existe
-      if (!fs.existsSync(audioFilePath)) {
-        throw new Error(`Archivo de audio de entrada no encontrado: ${audioFilePath}`);
+      // Mensaje inicial de "cargando" (o el de la cola, si estuvo esperando) y acción de chat
+      loadingMessage = await this.showStatus(ctx, statusMessage, '🎤 Preparando conversión a voz...');
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{});
+
+      // Actualizar mensaje para indicar progreso (si el mensaje inicial se envió)
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '🗣️ Generando audio...').catch(()=>{});
+
+      // Llamar al servicio para generar la voz, pasando texto y opciones
+      audioFilePath = await ApiService.generateVoice(textToConvert, voiceOptions, {
+        userId, signal, useCache, onProgress: this.voiceProgressReporter(ctx, loadingMessage), onChunkDone: this.ttsQuotaRecorder(userId)
+      });
+      Utils.throwIfCancelled(signal); // Cancelado justo al terminar: no enviar el audio
+
+      // Actualizar mensaje para indicar envío
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '📤 Enviando mensaje de voz...').catch(()=>{});
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_voice').catch(()=>{});
+
+      // Enviar el audio en el formato de entrega del usuario (nota de voz, MP3, WAV o documento)
+      await this.sendAudioResult(ctx, audioFilePath, { baseName: 'javier_tv', signal });
+      Logger.log(`Handler: /t2v Mensaje de voz enviado con éxito a usuario ${userId}`);
+
+      // Eliminar el mensaje de "cargando" si se envió
+      if (loadingMessage) await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{});
+
+    } catch (error) {
+      // --- Manejo de Errores en la Conversión ---
+      if (signal.aborted) Logger.log(`Handler: /t2v Conversión cancelada por usuario ${userId}`);
+      else Logger.error(`Handler: /t2v Error durante la conversión para usuario ${userId}`, error);
+      const userErrorMessage = signal.aborted ? '🛑 Conversión a voz cancelada.' : `❌ Error al generar la voz: ${error.message || 'Error desconocido'}`;
+      // Intentar editar el mensaje de carga con el error, o enviar uno nuevo si falla
+      if (loadingMessage) {
+        await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => {
+          await ctx.reply(userErrorMessage).catch(()=>{}); // Fallback si la edición falla
+        });
+      } else {
+        // Si no hubo mensaje de carga, enviar el error directamente
+        await ctx.reply(userErrorMessage).catch(()=>{});
+      }
+    } finally {
+      // --- Limpieza (SIEMPRE se ejecuta) ---
+      // Limpiar el archivo temporal si se creó
+      if (audioFilePath && fs.existsSync(audioFilePath)) {
+        try {
+          fs.unlinkSync(audioFilePath);
+          // Logger.log(`Handler: /t2v Archivo temporal TTS eliminado: ${audioFilePath}`); // Verboso
+        } catch (cleanupError) {
+          Logger.error(`Handler: /t2v Error eliminando archivo temporal TTS: ${audioFilePath}`, cleanupError);
+        }
       }
-      // Leer el archivo como un Buffer
-      const audioFileBuffer = fs.readFileSync(audioFilePath);
+      // Logger.log(`Handler: /t2v Operación finalizada para usuario ${userId}`); // Verboso
+    }
+  }
 
-      // --- Preparar Llamada API (Multipart Form Data) ---
-      const url = `https://api.elevenlabs.io/v1/speech-to-speech/${voiceId}`;
-      const queryParams = {
-        output_format: CONFIG.ELEVEN_LABS.OUTPUT_FORMAT,
-        // enable_logging: false // Opcional para modo sin retención (usuarios enterprise)
-      };
+  /**
+   * Maneja el comando /vv: prepara al bot para recibir un audio o vídeo (o varios, con `batch`) y transformarlo.
+   * Acepta las opciones de voz de /tv (salvo -v, que no existe en STS), `-m` para el modelo STS y `video`
+   * para devolver los vídeos con la voz transformada.
+   */
+  async handleVoiceToVoiceCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /v2v solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    const usage = `Uso: <code>/vv [batch] [video] [-s 0.5] [-x 0.2] [-b 0.9] [-sb on] [-m ${Object.keys(CONFIG.ELEVEN_LABS.STS_MODELS).join('|')}]</code>`;
+
+    // Separar -m (modelo STS) del resto de opciones de voz
+    const parts = ctx.message.text.trim().split(/\s+/).slice(1);
+    const modelIndex = parts.indexOf('-m');
+    let modelId;
+    if (modelIndex !== -1) {
+      const requested = parts[modelIndex + 1];
+      const models = CONFIG.ELEVEN_LABS.STS_MODELS;
+      modelId = models[requested?.toLowerCase()] || Object.values(models).find(model => model === requested);
+      if (!modelId) {
+        await ctx.reply(`⚠️ Modelo STS desconocido: ${Utils.escapeHtml(requested ?? '(falta)')}. Disponibles: ${Object.keys(models).join(', ')}.\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+        return;
+      }
+      parts.splice(modelIndex, 2);
+    }
+    const { options, textParts, error } = Utils.parseVoiceFlags(parts);
+    const words = { batch: ['batch', 'lote'], remux: ['video', 'vídeo'] };
+    const batch = textParts.some(part => words.batch.includes(part.toLowerCase()));
+    const remux = textParts.some(part => words.remux.includes(part.toLowerCase()));
+    const unknown = textParts.filter(part => ![...words.batch, ...words.remux].includes(part.toLowerCase()));
+    const problem = error
+      || (options.speed !== undefined ? 'La velocidad (-v) no se puede ajustar al transformar un audio.' : null)
+      || (unknown.length > 0 ? `No entiendo "${unknown.join(' ')}".` : null);
+    if (problem) {
+      await ctx.reply(`⚠️ ${Utils.escapeHtml(problem)}\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+    if (modelId) options.modelId = modelId;
+
+    // Sin argumentos y con una espera ya activa, se mantiene la anterior (con sus opciones)
+    const current = this.stateManager.getPendingVoiceTransformation(userId);
+    if (current && parts.length === 0) {
+      await ctx.reply(current.batch
+        ? `🎙️ El modo lote ya está activo (${current.count} audios recibidos). Envía más audios o usa /done para terminar.`
+        : '🎙️ Ya estoy esperando tu mensaje de voz o archivo de audio. ¡Envíalo ahora!').catch(()=>{});
+      return;
+    }
+
+    try {
+      // Marcar en el estado que este usuario está esperando un audio para V2V
+      this.stateManager.setPendingVoiceTransformation(userId, { messageId: ctx.message.message_id, chatId: ctx.chat.id, options, batch, remux });
+      // Informar al usuario que envíe el audio
+      const settings = (Object.keys(options).length > 0 ? `\n🎚️ Ajustes: ${Utils.describeVoiceOptions(options)}.` : '') +
+        (remux ? '\n🎬 Si envías un vídeo, te lo devolveré con la voz transformada.' : '');
+      const expiry = CONFIG.V2V.WAIT_TIMEOUT > 0 ? Utils.formatDuration(CONFIG.V2V.WAIT_TIMEOUT * 1000) : null;
+      await ctx.reply(batch
+        ? `✅ Modo lote activado: transformaré todos los mensajes de voz, audios y vídeos que me envíes hasta que uses /done (o /cancel).${settings}` +
+          (expiry ? `\n⏳ Termina solo tras ${expiry} sin recibir audios.` : '')
+        : `✅ Listo. Ahora envíame el mensaje de voz, el audio o el vídeo que quieres transformar (o /cancel para dejarlo).${settings}` +
+          (expiry ? `\n⏳ La espera caduca en ${expiry}.` : ''));
+    } catch (error) {
+      Logger.error(`Handler: /v2v Error al preparar el estado para ${userId}`, error);
+      // Limpiar el estado si falla la preparación
+      this.stateManager.clearPendingVoiceTransformation(userId);
+      await ctx.reply(`❌ Hubo un error al iniciar la transformación de voz: ${error.message}`).catch(()=>{});
+    }
+  }
 
-      // Crear instancia de FormData
-      const formData = new FormData();
+  /** Maneja /done: termina el modo lote de /vv (los audios ya recibidos se siguen procesando). */
+  async handleDoneCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /done solicitado por usuario ${userId}`);
+    const pending = this.stateManager.getPendingVoiceTransformation(userId);
+    if (!pending?.batch) {
+      await ctx.reply('ℹ️ No tienes ningún modo lote de /vv activo. Usa <code>/vv batch</code> para empezar uno.', { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+    this.stateManager.clearPendingVoiceTransformation(userId);
+    const pendingJobs = this.jobs.getUserJobs(userId).filter(job => job.type === 'sts').length;
+    await ctx.reply(`✅ Modo lote terminado: ${pending.count === 1 ? '1 audio recibido' : `${pending.count} audios recibidos`}.` +
+      (pendingJobs > 0 ? ` Quedan ${pendingJobs} por transformar; te los iré enviando.` : '')).catch(()=>{});
+  }
 
-      // Adjuntar el archivo de audio (Buffer)
-      // Es crucial proporcionar filename y contentType para que la API lo procese correctamente
-      formData.append('audio', audioFileBuffer, {
-        filename: `input_${path.basename(audioFilePath)}`, // Usar nombre original o genérico
-        contentType: 'audio/mpeg', // Ajustar si el formato de entrada es diferente (e.g., 'audio/ogg')
-                                   // La API es algo flexible pero es mejor ser específico si se conoce.
+  /**
+   * Retira las esperas de /vv caducadas (CONFIG.V2V.WAIT_TIMEOUT) y avisa a sus usuarios.
+   * Se llama periódicamente y al recibir cada mensaje, para que el aviso llegue antes de tratar el siguiente.
+   */
+  async expireVoiceWaits() {
+    for (const [userId, pending] of this.stateManager.takeExpiredVoiceTransformations()) {
+      Logger.log(`JavierBot.expireVoiceWaits: Caducó la espera de /vv de usuario ${userId}${pending.batch ? ` (lote, ${pending.count} audios)` : ''}`);
+      const message = pending.batch
+        ? `⌛ El modo lote de /vv ha terminado por inactividad (${pending.count === 1 ? '1 audio recibido' : `${pending.count} audios recibidos`}). Usa /vv batch para empezar otro.`
+        : `⌛ La espera de /vv ha caducado: no recibí ningún audio en ${Utils.formatDuration(CONFIG.V2V.WAIT_TIMEOUT * 1000)}. Usa /vv de nuevo cuando quieras transformar un audio.`;
+      await this.bot.telegram.sendMessage(pending.chatId ?? userId, message).catch(error => {
+        Logger.warn(`JavierBot.expireVoiceWaits: No se pudo avisar a ${userId}: ${error.message}`);
       });
+    }
+  }
 
-      // Adjuntar otros parámetros del form
-      formData.append('model_id', CONFIG.ELEVEN_LABS.STS_MODEL); // Modelo STS
+  /** Revisa periódicamente las esperas de /vv para avisar de las que caducan aunque el usuario no escriba. */
+  scheduleVoiceWaitExpiry() {
+    if (CONFIG.V2V.WAIT_TIMEOUT <= 0) return;
+    const interval = Math.min(30, CONFIG.V2V.WAIT_TIMEOUT);
+    this.voiceWaitTimer = setInterval(() => this.expireVoiceWaits(), interval * 1000);
+    this.voiceWaitTimer.unref(); // No mantener vivo el proceso solo por esta revisión
+  }
 
-      // Voice Settings (como string JSON) - Usar defaults por ahora para STS
-      const voiceSettings = {
-        stability: CONFIG.ELEVEN_LABS.STABILITY,
-        similarity_boost: CONFIG.ELEVEN_LABS.SIMILARITY_BOOST,
-        style: CONFIG.ELEVEN_LABS.STYLE, // El estilo en STS se infiere más del audio original
-        use_speaker_boost: CONFIG.ELEVEN_LABS.USE_SPEAKER_BOOST,
-        // Speed no es un parámetro directo en la API STS v1
-      };
-      formData.append('voice_settings', JSON.stringify(voiceSettings));
-      // Logger.debug("ApiService.transformVoice: Voice Settings para STS:", voiceSettings);
-      // formData.append('remove_background_noise', 'true'); // Opcional si se quiere usar
+  /**
+   * Maneja el comando /transcribe: devuelve solo la transcripción de un audio (sin pasar por GPT).
+   * Transcribe el audio al que responde el comando, o espera a que el usuario envíe uno.
+   */
+  async handleTranscribeCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /transcribe solicitado por usuario ${userId}`);
 
-      // Headers requeridos para multipart/form-data
-      const headers = {
-        'Accept': 'audio/mpeg', // Esperamos audio como respuesta
-        'xi-api-key': process.env.ELEVEN_API_KEY,
-        ...formData.getHeaders() // Importantísimo: Añade Content-Type: multipart/form-data; boundary=...
-      };
+    // Si el comando responde a un mensaje con audio, transcribirlo directamente
+    const repliedTo = ctx.message.reply_to_message;
+    const repliedAudio = repliedTo?.voice || repliedTo?.audio;
+    if (repliedAudio) {
+      await this.processVoiceTranscription(ctx, repliedAudio, repliedTo.voice ? 'mensaje de voz' : 'archivo de audio', { chat: false });
+      return;
+    }
+
+    if (this.stateManager.getPendingVoiceTransformation(userId)) {
+      await ctx.reply('🎙️ Estoy esperando un audio para transformar (/vv). Envíalo primero o usa /cancel para dejarlo.').catch(()=>{});
+      return;
+    }
 
-      Logger.log("ApiService.transformVoice: Enviando solicitud STS a ElevenLabs...");
+    this.stateManager.setPendingTranscription(userId);
+    await ctx.reply('📝 Listo. Envíame el mensaje de voz o el archivo de audio y te devolveré solo el texto.').catch(()=>{});
+  }
 
-      // --- Ejecutar Llamada con Reintentos ---
-      const response = await Utils.retry(async () =>
-        await axios({
-          method: 'post',
-          url: url,
-          headers: headers,
-          data: formData, // El objeto FormData se serializa automáticamente por axios
-          params: queryParams,
-          responseType: 'arraybuffer' // Esperamos audio
-        })
+  /**
+   * Maneja el comando /dub: dobla un .srt en una sola pista (ver runDubJob).
+   * Dobla el .srt al que responde el comando, o espera a que el usuario envíe uno.
+   */
+  async handleDubCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /dub solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    const usage = 'Uso: <code>/dub [mp3|wav] [-s 0.5] [-x 0.2] [-v 1.1] [-b 0.9] [-sb on]</code>';
+
+    const { options, textParts, error } = Utils.parseVoiceFlags(ctx.message.text.trim().split(/\s+/).slice(1));
+    const formats = textParts.map(part => part.toLowerCase()).filter(part => ['mp3', 'wav'].includes(part));
+    const unknown = textParts.filter(part => !['mp3', 'wav'].includes(part.toLowerCase()));
+    const problem = error || (unknown.length > 0 ? `No entiendo "${unknown.join(' ')}".` : null);
+    if (problem) {
+      await ctx.reply(`⚠️ ${Utils.escapeHtml(problem)}\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+    // Sin formato explícito, WAV solo si el usuario recibe así sus audios (/format wav); si no, MP3 (pesa mucho menos)
+    const format = formats.pop() || (this.stateManager.getAudioFormat(userId) === 'wav' ? 'wav' : 'mp3');
+
+    // Si el comando responde a un .srt, doblarlo directamente
+    const repliedDocument = ctx.message.reply_to_message?.document;
+    if (repliedDocument && ScriptParser.detectFormat(repliedDocument.file_name) === '.srt') {
+      await this.processDubDocument(ctx, repliedDocument, { options, format });
+      return;
+    }
+
+    this.stateManager.setPendingDub(userId, { options, format });
+    const settings = Object.keys(options).length > 0 ? `\n🎚️ Ajustes: ${Utils.describeVoiceOptions(options)}.` : '';
+    await ctx.reply(`🎞️ Listo. Envíame el archivo .srt y te devolveré el doblaje en ${format.toUpperCase()} (o /cancel para dejarlo).${settings}`).catch(()=>{});
+  }
+
+  /** Maneja el comando /reset: limpia el historial de conversación GPT. */
+  async handleResetConversation(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /reset solicitado por usuario ${userId}`);
+
+    // No hacer nada si GPT está deshabilitado
+    if (!ApiService.isChatAvailable()) {
+      await ctx.reply('⚠️ La función de chat con IA no está activa, no hay conversación que reiniciar.').catch(()=>{});
+      return;
+    }
+
+    // Eliminar el historial de conversación del StateManager
+    this.stateManager.resetConversation(userId);
+
+    // Confirmar al usuario
+    await ctx.reply('🔄 Tu conversación conmigo ha sido reiniciada. Podemos empezar de nuevo.').catch(error => {
+      Logger.error(`Handler: /reset Error confirmando reinicio a usuario ${userId}`, error);
+    });
+  }
+
+  /** Maneja el comando /context: muestra cuánto contexto ocupa la conversación GPT del usuario. */
+  async handleContextCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /context solicitado por usuario ${userId}`);
+
+    if (!ApiService.isChatAvailable()) {
+      await ctx.reply('⚠️ La función de chat con IA no está activa, no hay contexto que mostrar.').catch(()=>{});
+      return;
+    }
+
+    const stats = this.stateManager.getContextStats(userId);
+    const percent = Math.round((stats.total / stats.budget) * 100);
+    const filled = Math.min(10, Math.round(percent / 10));
+    const bar = '▓'.repeat(filled) + '░'.repeat(10 - filled);
+    const contextText =
+      `🧠 <b>Contexto de tu conversación</b> (modelo <code>${Utils.escapeHtml(stats.model)}</code>)\n\n` +
+      `${bar} ${percent}%\n` +
+      `<b>${stats.total}</b> de ${stats.budget} tokens usados\n\n` +
+      `• Personalidad (prompt del sistema): ${stats.system} tokens\n` +
+      `• Resumen de turnos antiguos: ${stats.foldedMessages > 0 ? `${stats.summary} tokens (${stats.foldedMessages} mensajes resumidos)` : 'ninguno todavía'}\n` +
+      `• Historial reciente: ${stats.historyMessages} mensajes, ${stats.history} tokens\n` +
+      `• Reservado para cada respuesta: ${CONFIG.GPT.MAX_TOKENS} tokens\n\n` +
+      `<i>Al llenarse, los mensajes más antiguos se resumen automáticamente. Usa /reset para empezar de cero.</i>`;
+
+    await ctx.reply(contextText, { parse_mode: 'HTML' }).catch(error => {
+      Logger.error(`Handler: /context Error enviando estadísticas a ${userId}`, error);
+    });
+  }
+
+  /**
+   * Maneja /text, /voice y /both: cambia el modo de respuesta del chat para el usuario.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} mode - Clave de CONFIG.OUTPUT_MODES.
+   */
+  async handleSetOutputMode(ctx, mode) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /${mode} solicitado por usuario ${userId}`);
+
+    this.stateManager.setPreference(userId, 'outputMode', mode);
+    const descriptions = {
+      text: '📝 Modo texto activado. Responderé a tus mensajes por escrito.',
+      voice: '🔊 Modo voz activado. Responderé a tus mensajes con audio.',
+      both: '🔊📝 Modo voz + texto activado. Responderé con audio y el texto como pie.'
+    };
+    await ctx.reply(descriptions[mode]).catch(()=>{});
+  }
+
+  /** Maneja /format: muestra o cambia el formato de entrega de los audios (nota de voz, MP3, WAV o documento). */
+  async handleFormatCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /format solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    const requested = ctx.message.text.trim().split(/\s+/)[1]?.toLowerCase();
+
+    if (requested && !CONFIG.AUDIO_FORMATS[requested]) {
+      await ctx.reply(`⚠️ Formato desconocido: ${requested}. Usa /format ${Object.keys(CONFIG.AUDIO_FORMATS).join('|')}.`).catch(()=>{});
+      return;
+    }
+    if (requested) {
+      this.stateManager.setPreference(userId, 'audioFormat', requested);
+      Logger.log(`Handler: /format Usuario ${userId} recibirá los audios como ${requested}`);
+      await ctx.reply(`✅ A partir de ahora recibirás los audios como: ${CONFIG.AUDIO_FORMATS[requested].label}.`).catch(()=>{});
+      return;
+    }
+
+    const current = this.stateManager.getAudioFormat(userId);
+    const lines = Object.entries(CONFIG.AUDIO_FORMATS).map(([key, { label }]) =>
+      `${key === current ? '▶️' : '•'} <code>${key}</code> - ${Utils.escapeHtml(label)}`);
+    await ctx.reply(`🎧 <b>Formato de entrega de los audios</b>\n\n${lines.join('\n')}\n\nCámbialo con <code>/format nombre</code>.`, { parse_mode: 'HTML' }).catch(()=>{});
+  }
+
+  /**
+   * Opciones de voz para un usuario: las de su personalidad (voiceId y voiceSettings), encima las
+   * de su preset activo y encima las de `overrides`, más el formato de salida del proveedor según /format.
+   * @param {number} userId - ID del usuario.
+   * @param {object} [overrides] - Opciones de un mensaje concreto (ej. flags de /tv), que prevalecen.
+   */
+  getVoiceOptions(userId, overrides = {}) {
+    const persona = this.stateManager.getPersona(userId);
+    const preset = this.stateManager.getActiveVoicePreset(userId);
+    // Para la entrega en WAV se pide el audio sin comprimir al proveedor (convertir un MP3 no recupera calidad)
+    const outputFormat = this.stateManager.getAudioFormat(userId) === 'wav' ? CONFIG.ELEVEN_LABS.LOSSLESS_OUTPUT_FORMAT : undefined;
+    return { ...persona.voiceSettings, ...preset?.options, ...overrides, voiceId: persona.voiceId || undefined, outputFormat };
+  }
+
+  /** Maneja /preset: guarda, activa, lista y elimina presets de voz para /tv y /vv. */
+  async handlePresetCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /preset solicitado por usuario ${userId}: "${ctx.message.text}"`);
+
+    const [, action = 'list', rawName, ...rest] = ctx.message.text.trim().split(/\s+/);
+    const name = rawName?.toLowerCase();
+    const usage = 'Uso:\n' +
+      '<code>/preset save nombre -s 0.6 -x 0.2 -v 0.95 -b 0.9 -sb on</code>\n' +
+      '<code>/preset use nombre</code> (o <code>/preset off</code> para desactivarlo)\n' +
+      '<code>/preset list</code>\n' +
+      '<code>/preset delete nombre</code>';
+    const needsName = ['save', 'use', 'delete'].includes(action);
+    if (needsName && !name) {
+      await ctx.reply(`⚠️ Falta el nombre del preset.\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
+    if (needsName && !/^[\w-]{1,32}$/.test(name)) {
+      await ctx.reply('⚠️ El nombre del preset solo puede tener letras, números, guiones y guiones bajos (máx. 32).').catch(()=>{});
+      return;
+    }
+
+    switch (action) {
+      case 'save': {
+        const { options, textParts, error } = Utils.parseVoiceFlags(rest);
+        if (error || textParts.length > 0 || Object.keys(options).length === 0) {
+          const problem = error || (textParts.length > 0 ? `No se reconoce '${textParts[0]}'.` : 'Indica al menos una opción.');
+          await ctx.reply(`⚠️ ${Utils.escapeHtml(problem)}\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+          return;
+        }
+        if (!this.stateManager.saveVoicePreset(userId, name, options)) {
+          await ctx.reply(`⚠️ Ya tienes ${CONFIG.VOICE_PRESETS.MAX_PER_USER} presets. Elimina alguno con /preset delete nombre.`).catch(()=>{});
+          return;
+        }
+        await ctx.reply(`💾 Preset "${name}" guardado: ${Utils.describeVoiceOptions(options)}.\nActívalo con /preset use ${name}`).catch(()=>{});
+        return;
+      }
+      case 'use': {
+        const options = this.stateManager.getVoicePresets(userId)[name];
+        if (!options) {
+          await ctx.reply(`⚠️ No tienes ningún preset llamado "${name}". Usa /preset list para verlos.`).catch(()=>{});
+          return;
+        }
+        this.stateManager.setActiveVoicePreset(userId, name);
+        await ctx.reply(`🎚️ Preset "${name}" activado para /tv y /vv: ${Utils.describeVoiceOptions(options)}.`).catch(()=>{});
+        return;
+      }
+      case 'off':
+        this.stateManager.setActiveVoicePreset(userId, null);
+        await ctx.reply('🎚️ Preset desactivado. /tv y /vv usarán los ajustes de tu personalidad.').catch(()=>{});
+        return;
+      case 'delete':
+        if (!this.stateManager.deleteVoicePreset(userId, name)) {
+          await ctx.reply(`⚠️ No tienes ningún preset llamado "${name}".`).catch(()=>{});
+          return;
+        }
+        await ctx.reply(`🗑️ Preset "${name}" eliminado.`).catch(()=>{});
+        return;
+      case 'list': {
+        const presets = Object.entries(this.stateManager.getVoicePresets(userId));
+        const activeName = this.stateManager.getActiveVoicePreset(userId)?.name;
+        const lines = presets.map(([presetName, options]) =>
+          `${presetName === activeName ? '✅' : '▫️'} <b>${Utils.escapeHtml(presetName)}</b>: ${Utils.escapeHtml(Utils.describeVoiceOptions(options))}`
+        );
+        const listText = presets.length > 0
+          ? `🎚️ <b>Tus presets de voz:</b>\n\n${lines.join('\n')}\n\n<i>Las opciones de cada mensaje de /tv prevalecen sobre el preset activo.</i>`
+          : `🎚️ Todavía no tienes presets de voz.\n${usage}`;
+        await ctx.reply(listText, { parse_mode: 'HTML' }).catch(error => {
+          Logger.error(`Handler: /preset Error enviando la lista a ${userId}`, error);
+        });
+        return;
+      }
+      default:
+        await ctx.reply(`⚠️ Acción desconocida: "${Utils.escapeHtml(action)}".\n${usage}`, { parse_mode: 'HTML' }).catch(()=>{});
+    }
+  }
+
+  /** Maneja /persona: sin argumentos lista las personalidades; con un ID, cambia a esa personalidad. */
+  async handlePersonaCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /persona solicitado por usuario ${userId}`);
+
+    const requestedId = ctx.message.text.split(/\s+/)[1];
+    const current = this.stateManager.getPersona(userId);
+
+    if (!requestedId) {
+      const lines = this.stateManager.personas.list().map(persona =>
+        `${persona.id === current.id ? '✅' : '▫️'} <code>${Utils.escapeHtml(persona.id)}</code> - <b>${Utils.escapeHtml(persona.name)}</b>` +
+        (persona.description ? `\n    ${Utils.escapeHtml(persona.description)}` : '')
       );
+      await ctx.reply(
+        `🎭 <b>Personalidades disponibles:</b>\n\n${lines.join('\n')}\n\n<i>Usa /persona id para cambiar. Cambiar de personalidad empieza una conversación nueva.</i>`,
+        { parse_mode: 'HTML' }
+      ).catch(error => {
+        Logger.error(`Handler: /persona Error enviando la lista a ${userId}`, error);
+      });
+      return;
+    }
+
+    const persona = this.stateManager.personas.get(requestedId);
+    if (!persona) {
+      await ctx.reply(`⚠️ No existe la personalidad "${requestedId}". Usa /persona para ver las disponibles.`).catch(()=>{});
+      return;
+    }
+    if (persona.id === current.id) {
+      await ctx.reply(`ℹ️ Ya estás hablando con ${persona.name}. Usa /reset si quieres empezar de cero.`).catch(()=>{});
+      return;
+    }
+    if (this.jobs.hasJobs(userId)) {
+      await ctx.reply('⏳ Espera a que terminen tus operaciones en curso (/queue) antes de cambiar de personalidad.').catch(()=>{});
+      return;
+    }
 
-      // --- Procesar Respuesta ---
-      Logger.log("ApiService.transformVoice: Respuesta STS de ElevenLabs recibida.");
+    this.stateManager.setPersona(userId, persona.id);
+    await ctx.reply(`🎭 Personalidad cambiada a ${persona.name}. Empezamos una conversación nueva.`).catch(()=>{});
+    await ctx.reply(persona.greeting).catch(()=>{});
+  }
+
+  /**
+   * Maneja /quota: sin argumentos muestra el consumo de hoy y los límites del usuario.
+   * Admins: `/quota global`, `/quota <id>` y `/quota <id> <tts|sts|gpt|rpm> <valor|0|default>`.
+   */
+  async handleQuotaCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /quota solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    const [, targetArg, limitAlias, valueArg] = ctx.message.text.trim().split(/\s+/);
+    const resetText = `<i>Las cuotas diarias se renuevan a las 00:00 UTC (en ${Utils.formatDuration(QuotaManager.msUntilReset())}).</i>`;
+
+    if (!targetArg) {
+      await ctx.reply(`📊 <b>Tu consumo de hoy</b>\n\n${this.quotas.describe(userId).join('\n')}\n\n${resetText}`, { parse_mode: 'HTML' }).catch(error => {
+        Logger.error(`Handler: /quota Error enviando cuotas a ${userId}`, error);
+      });
+      return;
+    }
 
-      // Validar respuesta
-      if (response.status !== 200 || !response.data || response.data.length === 0) {
-        throw new Error(`Respuesta inválida o vacía de ElevenLabs API (STS): Status ${response.status}`);
-      }
+    if (!(await this.ensureAdmin(ctx, 'quota'))) return;
 
-      // Guardar el audio transformado
-      const tempFilePath = path.join(CONFIG.TMP_DIR, `sts_output_${Date.now()}.mp3`);
-      Logger.log(`ApiService.transformVoice: Guardando audio STS transformado en: ${tempFilePath}`);
-      fs.writeFileSync(tempFilePath, response.data);
-      Logger.log(`ApiService.transformVoice: Audio STS guardado correctamente (${response.data.length} bytes)`);
+    if (targetArg.toLowerCase() === 'global') {
+      await ctx.reply(`📊 <b>Consumo global de hoy</b>\n\n${this.quotas.describe(null).join('\n')}\n\n${resetText}`, { parse_mode: 'HTML' }).catch(()=>{});
+      return;
+    }
 
-      return tempFilePath; // Devolver ruta al archivo
+    // Solo dígitos: parseInt aceptaría "12abc" como el usuario 12
+    const targetId = /^\d+$/.test(targetArg) ? parseInt(targetArg, 10) : NaN;
+    if (!(targetId > 0)) {
+      await ctx.reply('⚠️ Uso: /quota, /quota global, /quota id o /quota id tts|sts|gpt|rpm valor (0 = sin límite, default = valor por defecto).').catch(()=>{});
+      return;
+    }
 
-    } catch (error) {
-      Logger.error('ApiService.transformVoice: Error transformando voz (STS)', error);
-      // Extraer mensaje de error
-      let errorMessage = 'Error desconocido al transformar audio';
-      if (error.response?.data) {
-        try {
-          const errorData = Buffer.isBuffer(error.response.data) ? JSON.parse(error.response.data.toString()) : error.response.data;
-          errorMessage = errorData.detail?.message || (typeof errorData.detail === 'string' ? errorData.detail : error.response.statusText) || error.message;
-        } catch (parseError) { errorMessage = error.message; }
-      } else { errorMessage = error.message; }
-      // Añadir hint para errores comunes 400 en STS
-      if (error.response?.status === 400) {
-        errorMessage += " (Posible causa: Modelo STS/Voz no compatible, formato de audio inválido, o problema con el archivo de audio)";
+    if (limitAlias) {
+      const key = Object.keys(QuotaManager.LIMITS).find(k => QuotaManager.LIMITS[k].alias === limitAlias.toLowerCase());
+      const value = valueArg?.toLowerCase() === 'default' ? null : /^\d+$/.test(valueArg ?? '') ? parseInt(valueArg, 10) : NaN;
+      if (!key || (value !== null && isNaN(value))) {
+        await ctx.reply('⚠️ Uso: /quota id tts|sts|gpt|rpm valor (0 = sin límite, default = valor por defecto).').catch(()=>{});
+        return;
       }
-      throw new Error(`Error al transformar audio (STS): ${errorMessage}`);
+      this.stateManager.setQuotaOverride(targetId, key, value);
+      Logger.log(`Handler: /quota Admin ${userId} ajustó ${key} de ${targetId} a ${value === null ? 'default' : value}`);
     }
+
+    const overrides = Object.keys(this.stateManager.getQuotaOverrides(targetId)).map(k => QuotaManager.LIMITS[k].alias);
+    const exemptText = this.stateManager.isAdmin(targetId) && CONFIG.QUOTAS.ADMIN_EXEMPT ? '\n<i>Administrador: exento de los límites por defecto.</i>' : '';
+    await ctx.reply(
+      `📊 <b>Consumo de hoy de ${Utils.escapeHtml(this.describeUser(targetId))}</b>\n\n${this.quotas.describe(targetId).join('\n')}\n` +
+      `\nLímites ajustados: ${overrides.length > 0 ? overrides.join(', ') : 'ninguno'}${exemptText}\n\n${resetText}`,
+      { parse_mode: 'HTML' }
+    ).catch(()=>{});
   }
 
   /**
-   * Verifica la conectividad y configuración básica de las APIs al inicio.
-   * Lanza un error si alguna verificación crítica falla.
+   * Maneja /usage: muestra las llamadas a las APIs del usuario y su coste estimado por operación.
+   * Admins: `/usage all [periodo]` desglosa el uso de todos por usuario y operación y lo exporta en CSV.
    */
-  static async verifyApis() {
-    Logger.log("ApiService.verifyApis: Verificando APIs...");
-    let allOk = true;
+  async handleUsageCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /usage solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    const args = ctx.message.text.trim().split(/\s+/).slice(1);
+    const allUsers = args[0]?.toLowerCase() === 'all';
+    const periodArg = allUsers ? args[1] : args[0];
+    const period = UsageLedger.parsePeriod(periodArg);
+    if (!period) {
+      await ctx.reply('⚠️ Periodo no válido. Usa today, week, month, all, un número de días (ej. 30d) o un mes (ej. 2024-05).').catch(()=>{});
+      return;
+    }
 
-    // --- Verificar OpenAI (si está configurado) ---
-    if (openai) {
-      try {
-        Logger.log("ApiService.verifyApis: Verificando OpenAI...");
-        // Usar un modelo rápido y barato para la prueba
-        const testResponse = await openai.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [{ role: "user", content: "Test connection" }],
-          max_tokens: 5
-        });
-        if (testResponse.choices?.length > 0) {
-          Logger.log("ApiService.verifyApis: ✅ Conexión con OpenAI verificada.");
-        } else {
-          Logger.warn("ApiService.verifyApis: ⚠️ OpenAI respondió sin contenido esperado.");
-          allOk = false; // Considerar esto un problema potencial
-        }
-      } catch (error) {
-        Logger.error("ApiService.verifyApis: ❌ Error verificando conexión con OpenAI", error);
-        allOk = false;
+    const ledger = ApiService.getUsageLedger();
+    const disclaimer = `<i>Costes estimados en ${CONFIG.USAGE.CURRENCY} con la tabla de precios configurada; pueden diferir de la factura real.</i>`;
+
+    if (!allUsers) {
+      const entries = ledger.query({ since: period.since, until: period.until, userId });
+      if (entries.length === 0) {
+        await ctx.reply(`📈 No hay llamadas registradas a tu nombre (${period.label}).`).catch(()=>{});
+        return;
       }
-    } else {
-      Logger.warn("ApiService.verifyApis: Saltando verificación de OpenAI (API Key no proporcionada).");
+      const byOperation = UsageLedger.summarize(entries, entry => entry.operation);
+      const total = UsageLedger.summarize(entries, () => 'total').get('total');
+      const lines = [...byOperation].map(([operation, totals]) => `• ${this.describeUsageTotals(this.getOperationLabel(operation), totals)}`);
+      await ctx.reply(
+        `📈 <b>Tu uso (${period.label})</b>\n\n${lines.join('\n')}\n\n<b>Total:</b> ${this.describeUsageTotals(null, total)}\n\n${disclaimer}`,
+        { parse_mode: 'HTML' }
+      ).catch(error => {
+        Logger.error(`Handler: /usage Error enviando el uso a ${userId}`, error);
+      });
+      return;
     }
 
-    // --- Verificar ElevenLabs (requerido) ---
-    if (process.env.ELEVEN_API_KEY) {
-      try {
-        Logger.log("ApiService.verifyApis: Verificando ElevenLabs...");
-        // Verificar información del usuario para confirmar que la clave es válida
-        const userResponse = await axios({
-          method: 'get',
-          url: 'https://api.elevenlabs.io/v1/user',
-          headers: { 'xi-api-key': process.env.ELEVEN_API_KEY }
-        });
-        if (userResponse.data?.subscription) {
-          Logger.log(`ApiService.verifyApis: ✅ Conexión con ElevenLabs verificada. Suscripción: ${userResponse.data.subscription.tier}`);
-
-          // Verificar si la Voice ID configurada existe en la cuenta
-          try {
-            Logger.log(`ApiService.verifyApis: Verificando Voice ID: ${CONFIG.ELEVEN_LABS.VOICE_ID}...`);
-            const voiceResponse = await axios({
-              method: 'get',
-              url: `https://api.elevenlabs.io/v1/voices/${CONFIG.ELEVEN_LABS.VOICE_ID}`,
-              headers: { 'xi-api-key': process.env.ELEVEN_API_KEY, 'Accept': 'application/json' }
-            });
-            // Chequear si la respuesta contiene el mismo voice_id
-            if (voiceResponse.data?.voice_id === CONFIG.ELEVEN_LABS.VOICE_ID) {
-              Logger.log(`ApiService.verifyApis: ✅ Voice ID (${CONFIG.ELEVEN_LABS.VOICE_ID}) encontrada: ${voiceResponse.data.name}`);
-            } else {
-              // Esto no debería pasar si la llamada fue exitosa, pero por si acaso
-              Logger.warn(`ApiService.verifyApis: ⚠️ Voice ID (${CONFIG.ELEVEN_LABS.VOICE_ID}) configurada no coincide con la respuesta de la API.`);
-              // Podrías decidir si esto es un error fatal o no
-              // allOk = false;
-            }
-          } catch (voiceError) {
-            // Manejar específicamente el error 404 (Not Found)
-            if (voiceError.response?.status === 404) {
-              Logger.error(`ApiService.verifyApis: ❌ Voice ID (${CONFIG.ELEVEN_LABS.VOICE_ID}) configurada NO FUE ENCONTRADA en tu cuenta de ElevenLabs.`);
-            } else {
-              // Otro error al intentar obtener la voz
-              Logger.error(`ApiService.verifyApis: ❌ Error verificando existencia de Voice ID (${CONFIG.ELEVEN_LABS.VOICE_ID})`, voiceError);
-            }
-            allOk = false; // Considerar error si no se puede verificar la voz
-          }
-        } else {
-          Logger.warn("ApiService.verifyApis: ⚠️ ElevenLabs respondió, pero la estructura de datos del usuario fue inesperada.");
-          allOk = false;
-        }
-      } catch (error) {
-        // Manejar errores de conexión o autenticación con ElevenLabs
-        if (error.response?.status === 401) {
-             Logger.error("ApiService.verifyApis: ❌ Error verificando ElevenLabs: API Key inválida (Unauthorized).", error);
-        } else {
-             Logger.error("ApiService.verifyApis: ❌ Error verificando conexión con ElevenLabs", error);
-        }
-        allOk = false;
-      }
-    } else {
-      // ElevenLabs es requerido, si no hay clave, es un error fatal
-      Logger.error("ApiService.verifyApis: ❌ Saltando verificación de ElevenLabs (ELEVEN_API_KEY no configurada). ¡Esta API es REQUERIDA!");
-      allOk = false;
+    if (!(await this.ensureAdmin(ctx, 'usage'))) return;
+
+    const entries = ledger.query({ since: period.since, until: period.until });
+    if (entries.length === 0) {
+      await ctx.reply(`📈 No hay llamadas registradas (${period.label}).`).catch(()=>{});
+      return;
     }
+    const byUser = [...UsageLedger.summarize(entries, entry => entry.userId)].sort((a, b) => b[1].cost - a[1].cost);
+    const byOperation = UsageLedger.summarize(entries, entry => entry.operation);
+    const total = UsageLedger.summarize(entries, () => 'total').get('total');
+    const userLines = byUser.slice(0, CONFIG.USAGE.REPORT_MAX_USERS)
+      .map(([entryUserId, totals]) => `• ${this.describeUsageTotals(Utils.escapeHtml(this.describeUsageOwner(entryUserId)), totals)}`);
+    if (byUser.length > CONFIG.USAGE.REPORT_MAX_USERS) userLines.push(`<i>… y ${byUser.length - CONFIG.USAGE.REPORT_MAX_USERS} usuarios más (ver CSV).</i>`);
+    const operationLines = [...byOperation].map(([operation, totals]) => `• ${this.describeUsageTotals(this.getOperationLabel(operation), totals)}`);
+    await ctx.reply(
+      `📈 <b>Uso de todos los usuarios (${period.label})</b>\n\n<b>Por usuario:</b>\n${userLines.join('\n')}\n\n` +
+      `<b>Por operación:</b>\n${operationLines.join('\n')}\n\n<b>Total:</b> ${this.describeUsageTotals(null, total)}\n\n${disclaimer}`,
+      { parse_mode: 'HTML' }
+    ).catch(error => {
+      Logger.error(`Handler: /usage all Error enviando el resumen a ${userId}`, error);
+    });
 
-    // Si alguna verificación falló, lanzar un error para detener el inicio
-    if (!allOk) {
-      throw new Error("Una o más verificaciones de API fallaron al inicio. Revisa los logs.");
+    // Exportación CSV: una fila por usuario y operación
+    const rows = [['userId', 'user', 'operation', 'calls', 'errors', 'promptTokens', 'completionTokens', 'ttsCharacters',
+      'audioSeconds', 'durationMs', `cost${CONFIG.USAGE.CURRENCY}`, 'unpricedCalls']];
+    const byUserAndOperation = UsageLedger.summarize(entries, entry => JSON.stringify([entry.userId, entry.operation]));
+    for (const [key, totals] of byUserAndOperation) {
+      const [entryUserId, operation] = JSON.parse(key);
+      rows.push([entryUserId ?? '', this.describeUsageOwner(entryUserId), operation, totals.calls, totals.errors, totals.promptTokens,
+        totals.completionTokens, totals.ttsCharacters, Math.round(totals.audioSeconds * 100) / 100, totals.durationMs,
+        Math.round(totals.cost * 1e6) / 1e6, totals.unpriced]);
     }
-    Logger.log("ApiService.verifyApis: ✅ Verificación de APIs completada con éxito.");
+    const filename = `uso-${(periodArg || 'month').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.csv`;
+    await ctx.replyWithDocument({ source: Buffer.from(UsageLedger.toCsv(rows), 'utf8'), filename }).catch(error => {
+      Logger.error(`Handler: /usage all Error enviando el CSV a ${userId}`, error);
+    });
+    Logger.log(`Handler: /usage all Admin ${userId} exportó ${rows.length - 1} filas (${period.label}).`);
   }
-}
 
-// -----------------------------------------------------------------------------
-// -- 8. Clase Principal del Bot (JavierBot)                                  --
-// -----------------------------------------------------------------------------
+  /** Nombre legible de una operación del registro de uso. */
+  getOperationLabel(operation) {
+    return UsageLedger.OPERATION_LABELS[operation] || operation;
+  }
 
-/**
- * Clase principal que encapsula toda la lógica del bot de Telegram.
- */
-class JavierBot {
-  /** @type {Telegraf<import('telegraf').Context>} */
-  bot;
-  /** @type {StateManager} */
-  stateManager;
+  /** Dueño de una entrada del registro de uso: el usuario, o 'sistema' para llamadas sin usuario. */
+  describeUsageOwner(userId) {
+    return userId === null ? 'sistema' : this.describeUser(userId);
+  }
 
-  constructor() {
-    Logger.log("JavierBot: Inicializando...");
-    this.stateManager = new StateManager(); // Crear instancia del gestor de estado
-    this.setupBot();                        // Configurar Telegraf y sus componentes
+  /**
+   * Resume en una línea los totales de un grupo del registro de uso (llamadas, consumo y coste).
+   * @param {string|null} label - Nombre del grupo (HTML ya escapado), o `null` para omitirlo.
+   * @param {object} totals - Totales de UsageLedger.summarize.
+   * @returns {string}
+   */
+  describeUsageTotals(label, totals) {
+    const parts = [`${totals.calls} ${totals.calls === 1 ? 'llamada' : 'llamadas'}${totals.errors > 0 ? ` (${totals.errors} con error)` : ''}`];
+    const tokens = totals.promptTokens + totals.completionTokens;
+    if (tokens > 0) parts.push(`${tokens} tokens (${totals.promptTokens} prompt + ${totals.completionTokens} respuesta)`);
+    if (totals.ttsCharacters > 0) parts.push(`${totals.ttsCharacters} caracteres`);
+    if (totals.audioSeconds > 0) parts.push(`${Math.round(totals.audioSeconds)} s de audio`);
+    const prefix = label ? `${label}: ` : '';
+    if (totals.unpriced === totals.calls) return `${prefix}${parts.join(', ')} · <i>sin precio</i>`;
+    const cost = totals.cost > 0 && totals.cost < 0.01 ? totals.cost.toFixed(4) : totals.cost.toFixed(2);
+    const unpriced = totals.unpriced > 0 ? ` (${totals.unpriced} sin precio)` : '';
+    return `${prefix}${parts.join(', ')} · <b>${cost} ${CONFIG.USAGE.CURRENCY}</b>${unpriced}`;
   }
 
-  /** Configura la instancia de Telegraf, middleware y handlers. */
-  setupBot() {
-    Logger.log("JavierBot.setupBot: Configurando Telegraf...");
+  // -----------------------------------------------------
+  // -- Comandos de Administración                      --
+  // -----------------------------------------------------
 
-    // Obtener token del bot desde .env
-    const botToken = process.env.BOT_TOKEN;
-    if (!botToken) {
-      Logger.error('JavierBot.setupBot: ¡ERROR CRÍTICO! BOT_TOKEN no está definido en .env.');
-      process.exit(1); // Salir si no hay token
+  /** Maneja /cache (admins): `/cache stats` muestra el estado de la caché de voz y `/cache clear` la vacía. */
+  async handleCacheCommand(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: /cache solicitado por usuario ${userId}: "${ctx.message.text}"`);
+    if (!(await this.ensureAdmin(ctx, 'cache'))) return;
+
+    const action = (ctx.message.text.trim().split(/\s+/)[1] || 'stats').toLowerCase();
+    const cache = ApiService.getTtsCache();
+    if (!cache) {
+      await ctx.reply('ℹ️ La caché de voz está desactivada (TTS_CACHE_ENABLED=false).').catch(()=>{});
+      return;
     }
+    const toMb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
 
-    // Crear instancia de Telegraf con timeouts configurados
-    try {
-      this.bot = new Telegraf(botToken.trim(), {
-        handlerTimeout: CONFIG.BOT.TIMEOUT,
-        telegram: { timeout: CONFIG.BOT.TELEGRAM_TIMEOUT }
-      });
-      Logger.log("JavierBot.setupBot: Instancia de Telegraf creada.");
-    } catch (error) {
-      Logger.error("JavierBot.setupBot: Error creando instancia de Telegraf", error);
-      process.exit(1); // Salir si falla la creación
+    if (action === 'clear') {
+      const { entries, bytes } = cache.clear();
+      Logger.log(`Handler: /cache Admin ${userId} vació la caché de voz (${entries} audios, ${toMb(bytes)} MB)`);
+      await ctx.reply(`🧹 Caché de voz vaciada: ${entries} audios borrados (${toMb(bytes)} MB).`).catch(()=>{});
+      return;
+    }
+    if (action !== 'stats') {
+      await ctx.reply('⚠️ Uso: /cache stats o /cache clear.').catch(()=>{});
+      return;
     }
 
-    // --- Middleware Principal ---
-    // Se ejecuta para cada update recibido por el bot.
-    this.bot.use(async (ctx, next) => {
-      const userId = ctx.from?.id; // ID del usuario que envía el mensaje/comando
+    const { entries, bytes, maxBytes, hits, misses } = cache.stats();
+    const hitRate = hits + misses > 0 ? ` (${Math.round(hits / (hits + misses) * 100)}% de aciertos)` : '';
+    await ctx.reply(
+      `🗄️ <b>Caché de voz (TTS)</b>\n\n` +
+      `• Audios: ${entries}\n` +
+      `• Tamaño: ${toMb(bytes)} MB de ${toMb(maxBytes)} MB\n` +
+      `• Desde el arranque: ${hits} servidos desde la caché, ${misses} generados${hitRate}\n` +
+      `• Directorio: <code>${Utils.escapeHtml(cache.dir)}</code>`,
+      { parse_mode: 'HTML' }
+    ).catch(()=>{});
+  }
 
-      // Ignorar updates sin información de usuario (ej. en canales si no se manejan)
-      if (!userId) {
-        // Logger.warn("Middleware: Recibido update sin ctx.from.id, ignorando.");
-        return;
-      }
+  /**
+   * Verifica que quien envía el comando es administrador; si no, le avisa.
+   * @returns {Promise<boolean>} - `true` si es administrador.
+   */
+  async ensureAdmin(ctx, commandName) {
+    const userId = ctx.from.id;
+    if (this.stateManager.isAdmin(userId)) return true;
+    Logger.warn(`Handler: /${commandName} denegado, usuario ${userId} no es administrador.`);
+    await ctx.reply('⛔ Este comando solo está disponible para administradores.').catch(()=>{});
+    return false;
+  }
 
-      // 1. Verificar Autorización
-      if (!this.stateManager.isAuthorized(userId)) {
-        Logger.warn(`Middleware: Usuario NO AUTORIZADO ${userId} intentó usar el bot.`);
-        try {
-          // Informar al usuario no autorizado
-          await ctx.reply(
-            `❌ No estás autorizado para usar este bot.\nTu ID: ${userId}\nContacta al administrador.`
-          );
-        } catch (replyError) {
-          Logger.error(`Middleware: Error enviando mensaje de 'no autorizado' a ${userId}`, replyError);
-        }
-        return; // Detener el procesamiento para este usuario
-      }
+  /**
+   * Extrae el User ID objetivo de un comando de administración (`/allow 12345`).
+   * @returns {number|null} - El ID, o `null` si no se proporcionó uno válido.
+   */
+  parseTargetUserId(ctx) {
+    const arg = ctx.message.text.split(/\s+/)[1];
+    const targetId = /^\d+$/.test(arg ?? '') ? parseInt(arg, 10) : NaN; // parseInt aceptaría "12abc" como el usuario 12
+    return Number.isInteger(targetId) && targetId > 0 ? targetId : null;
+  }
 
-      // 2. Crear/Actualizar Sesión del Usuario
-      // (Aunque no se use mucho ahora, es buena práctica tenerla)
-      if (!this.stateManager.userSessions.has(userId)) {
-        this.stateManager.createUserSession(userId);
-      }
-      const session = this.stateManager.userSessions.get(userId);
-      session.lastAction = Date.now(); // Actualizar timestamp de última acción
+  /** Describe a un usuario con su nombre de Telegram (si lo conocemos) y su ID. */
+  describeUser(userId) {
+    const profile = this.stateManager.userSessions.get(userId)?.profile || {};
+    const name = [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+    const username = profile.username ? ` @${profile.username}` : '';
+    return `${name || 'Desconocido'}${username} (${userId})`;
+  }
 
-      // 3. Continuar con el Siguiente Middleware o Handler
-      // Logger.log(`Middleware: Procesando update para usuario autorizado ${userId}`); // Puede ser verboso
-      await next();
-    });
+  /**
+   * Lógica común de los comandos /allow, /revoke, /promote y /demote.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} commandName - Nombre del comando (para logs y ayuda).
+   * @param {(targetId: number) => string} action - Aplica el cambio y devuelve el mensaje de confirmación.
+   */
+  async runUserAdminCommand(ctx, commandName, action) {
+    if (!(await this.ensureAdmin(ctx, commandName))) return;
 
-    // Configurar comandos, manejadores de mensajes y errores
-    this.setupCommands();
-    this.setupMessageHandlers();
-    this.setupErrorHandler();
-    Logger.log("JavierBot.setupBot: Configuración de Telegraf completada.");
+    const targetId = this.parseTargetUserId(ctx);
+    if (!targetId) {
+      await ctx.reply(`⚠️ Debes indicar un ID de usuario de Telegram.\nEjemplo: /${commandName} 123456789`).catch(()=>{});
+      return;
+    }
+    Logger.log(`Handler: /${commandName} ${targetId} solicitado por admin ${ctx.from.id}`);
+    await ctx.reply(action(targetId)).catch(()=>{});
   }
 
-  /** Registra los comandos del bot (ej. /help, /t2v). */
-  setupCommands() {
-    Logger.log("JavierBot.setupCommands: Configurando comandos...");
-    this.bot.command(['start', 'help'], this.handleHelp.bind(this)); // Comando de ayuda
-    this.bot.command('t', this.handleTextCommand.bind(this));         // Comando para procesar con GPT y responder texto
-    this.bot.command('tv', this.handleTextToVoiceCommand.bind(this));// Comando para convertir texto a voz directamente
-    this.bot.command('vv', this.handleVoiceToVoiceCommand.bind(this));// Comando para iniciar transformación de voz a voz
-    this.bot.command('reset', this.handleResetConversation.bind(this));// Comando para reiniciar historial GPT
-    // Aquí se podrían añadir comandos solo para administradores en el futuro
-    // this.bot.command('admincmd', this.handleAdminCommand.bind(this));
+  /** Maneja /allow <id>: autoriza a un usuario sin editar .env ni reiniciar. */
+  async handleAllowUser(ctx) {
+    await this.runUserAdminCommand(ctx, 'allow', (targetId) =>
+      this.stateManager.authorizeUser(targetId)
+        ? `✅ Usuario ${this.describeUser(targetId)} autorizado.`
+        : `ℹ️ El usuario ${this.describeUser(targetId)} ya estaba autorizado.`
+    );
   }
 
-  /** Registra los manejadores para diferentes tipos de mensajes. */
-  setupMessageHandlers() {
-    Logger.log("JavierBot.setupMessageHandlers: Configurando manejadores de mensajes...");
-    // Manejador para mensajes de texto (que no son comandos)
-    this.bot.on('text', this.handleMessage.bind(this));
-    // Manejador para mensajes de voz grabados en Telegram
-    this.bot.on('voice', this.handleVoiceMessage.bind(this));
-    // Manejador para archivos de audio enviados
-    this.bot.on('audio', this.handleAudioMessage.bind(this));
-    // Se podrían añadir manejadores para 'photo', 'document', etc. si fuera necesario
+  /** Maneja /revoke <id>: retira el acceso a un usuario. */
+  async handleRevokeUser(ctx) {
+    await this.runUserAdminCommand(ctx, 'revoke', (targetId) => {
+      if (targetId === ctx.from.id) return '⚠️ No puedes revocar tu propio acceso.';
+      return this.stateManager.revokeUser(targetId)
+        ? `🚫 Acceso revocado para ${this.describeUser(targetId)}.`
+        : `ℹ️ El usuario ${this.describeUser(targetId)} no tenía acceso.`;
+    });
   }
 
-  /** Configura el manejador global de errores de Telegraf. */
-  setupErrorHandler() {
-    Logger.log("JavierBot.setupErrorHandler: Configurando manejador de errores global...");
-    this.bot.catch((error, ctx) => {
-      const userId = ctx.from?.id || 'unknown'; // Intentar obtener el ID del usuario
-      Logger.error(`ErrorHandler: Error global capturado para usuario ${userId}`, error);
+  /** Maneja /promote <id>: convierte a un usuario en administrador. */
+  async handlePromoteUser(ctx) {
+    await this.runUserAdminCommand(ctx, 'promote', (targetId) =>
+      this.stateManager.promoteUser(targetId)
+        ? `⭐ ${this.describeUser(targetId)} ahora es administrador.`
+        : `ℹ️ ${this.describeUser(targetId)} ya era administrador.`
+    );
+  }
 
-      // Intentar notificar al usuario sobre el error genérico
-      try {
-        ctx.reply('❌ Lo siento, ocurrió un error inesperado al procesar tu solicitud.').catch((replyError) => {
-          // Si incluso enviar el mensaje de error falla, loguearlo
-          Logger.error(`ErrorHandler: No se pudo enviar mensaje de error global al usuario ${userId}`, replyError);
-        });
-      } catch (e) {
-        // Error dentro del propio manejador de errores (muy improbable)
-        Logger.error(`ErrorHandler: Error dentro del propio manejador de errores para ${userId}`, e);
-      }
+  /** Maneja /demote <id>: quita el rol de administrador (el usuario sigue autorizado). */
+  async handleDemoteUser(ctx) {
+    await this.runUserAdminCommand(ctx, 'demote', (targetId) => {
+      if (targetId === ctx.from.id) return '⚠️ No puedes quitarte a ti mismo el rol de administrador.';
+      return this.stateManager.demoteUser(targetId)
+        ? `⬇️ ${this.describeUser(targetId)} ya no es administrador.`
+        : `ℹ️ ${this.describeUser(targetId)} no era administrador.`;
+    });
+  }
 
-      // IMPORTANTE: Limpiar estados pendientes del usuario para evitar bloqueos
-      if (userId !== 'unknown') {
-        this.stateManager.clearPendingOperation(userId);
-        this.stateManager.clearPendingVoiceTransformation(userId);
-        Logger.warn(`ErrorHandler: Operaciones/V2V pendientes limpiadas para ${userId} debido a error global.`);
-      }
+  /** Maneja /users: lista los usuarios autorizados con su nombre de Telegram y última actividad. */
+  async handleListUsers(ctx) {
+    if (!(await this.ensureAdmin(ctx, 'users'))) return;
+    Logger.log(`Handler: /users solicitado por admin ${ctx.from.id}`);
+
+    const userIds = new Set([...this.stateManager.authorizedUsers, ...this.stateManager.adminUsers]);
+    if (userIds.size === 0) {
+      await ctx.reply('ℹ️ No hay usuarios autorizados.').catch(()=>{});
+      return;
+    }
+
+    // Ordenar por actividad más reciente primero
+    const lastAction = (id) => this.stateManager.userSessions.get(id)?.lastAction || 0;
+    const lines = Array.from(userIds)
+      .sort((a, b) => lastAction(b) - lastAction(a))
+      .map(id => {
+        const role = this.stateManager.isAdmin(id) ? '⭐' : '👤';
+        const access = this.stateManager.isAuthorized(id) ? '' : ' <i>(admin sin autorización)</i>';
+        return `${role} ${Utils.escapeHtml(this.describeUser(id))}${access}\n    Última actividad: ${Utils.formatTimeAgo(lastAction(id))}`;
+      });
+
+    await ctx.reply(`<b>Usuarios autorizados (${userIds.size}):</b>\n\n${lines.join('\n')}`, { parse_mode: 'HTML' }).catch(error => {
+      Logger.error(`Handler: /users Error enviando lista a ${ctx.from.id}`, error);
     });
   }
 
   // -----------------------------------------------------
-  // -- Manejadores de Comandos Específicos             --
+  // -- Flujo de Solicitud de Acceso                    --
   // -----------------------------------------------------
 
-  /** Maneja los comandos /start y /help mostrando el mensaje de ayuda. */
-  async handleHelp(ctx) {
+  /**
+   * Enruta los botones inline del flujo de acceso:
+   * `access:request` (usuario no autorizado), `access:approve:<id>` y `access:deny:<id>` (admins).
+   */
+  async handleAccessCallback(ctx) {
+    const [, action, targetArg] = ctx.callbackQuery.data.split(':');
+    if (action === 'request') {
+      await this.handleAccessRequest(ctx);
+    } else if (action === 'approve' || action === 'deny') {
+      await this.handleAccessDecision(ctx, parseInt(targetArg, 10), action === 'approve');
+    } else {
+      await ctx.answerCbQuery().catch(()=>{});
+    }
+  }
+
+  /** Un usuario no autorizado pulsa "Solicitar acceso": se notifica a todos los administradores. */
+  async handleAccessRequest(ctx) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: /help solicitado por usuario ${userId}`);
 
-    // Texto de ayuda formateado en HTML, con correcciones
-    const helpText = `
-🎬 Bot de Javier Soto - Asistente de Dirección
+    if (this.stateManager.isAuthorized(userId)) {
+      await ctx.answerCbQuery('✅ Ya tienes acceso al bot.').catch(()=>{});
+      return;
+    }
 
-Puedes conversar conmigo como si estuvieras hablando con Javier Soto.
+    // Throttling: una solicitud por usuario cada cierto tiempo (más tiempo si fue denegada)
+    const waitMs = this.stateManager.getAccessRequestWait(userId);
+    if (waitMs > 0) {
+      const hours = Math.ceil(waitMs / (60 * 60 * 1000));
+      Logger.warn(`AccessRequest: Solicitud repetida de ${userId} ignorada (faltan ~${hours} h).`);
+      const status = this.stateManager.getAccessRequest(userId)?.status;
+      await ctx.answerCbQuery(
+        status === 'denied'
+          ? `Tu solicitud fue denegada. Podrás volver a pedir acceso en unas ${hours} h.`
+          : `Ya enviaste una solicitud. Podrás volver a intentarlo en unas ${hours} h.`,
+        { show_alert: true }
+      ).catch(()=>{});
+      return;
+    }
 
-Comandos:
-/t mensaje - Procesa el mensaje con GPT y responde con texto (si GPT está habilitado).
-/tv [opciones] "mensaje" - Convierte el mensaje directamente a voz.
-   Opciones (opcionales):
-    <code>-s valor</code> : Estabilidad (0.0 a 1.0, +estable vs +expresivo, default: ${CONFIG.ELEVEN_LABS.STABILITY})
-    <code>-x valor</code> : Exageración Estilo (>= 0.0, default: ${CONFIG.ELEVEN_LABS.STYLE})
-    <code>-v valor</code> : Velocidad (0.7 a 1.2, default: ${CONFIG.ELEVEN_LABS.SPEED})
-    <i>Ejemplo:</i> <code>/tv -s 0.4 -v 1.1 "Este es un mensaje de prueba."</code>
-/vv - Pide un mensaje de voz/audio para transformarlo a la voz de Javier. Envía el audio después de usar este comando.
-/reset - Reinicia tu conversación actual con GPT.
-/help - Mostrar esta ayuda.
+    const adminIds = Array.from(this.stateManager.adminUsers);
+    if (adminIds.length === 0) {
+      Logger.warn(`AccessRequest: Usuario ${userId} pidió acceso pero no hay administradores configurados.`);
+      await ctx.answerCbQuery('No hay administradores disponibles. Contacta con el responsable del bot.', { show_alert: true }).catch(()=>{});
+      return;
+    }
 
-Consejos para ElevenLabs (/tv):
-• Añade pausas naturales con puntos suspensivos (...)
-• Usa expresiones como "Mmm...", "Eh..." para sonar más natural.
-• Usa tags para pausas: <code><break /></code> (corta) o <code><break time="Xs"/></code> (X segundos).
-    <i>Ejemplo de texto para /tv:</i> <code>"Hola <break time="0.7s"/> ¿cómo estás? <break /> Espero que bien."</code>
+    const profile = {
+      firstName: ctx.from.first_name || '',
+      lastName: ctx.from.last_name || '',
+      username: ctx.from.username || ''
+    };
+    const request = this.stateManager.createAccessRequest(userId, profile);
+
+    // Notificar a cada administrador con botones de Aprobar/Denegar
+    const fullName = [profile.firstName, profile.lastName].filter(Boolean).join(' ') || 'Sin nombre';
+    const adminText =
+      `🔔 <b>Solicitud de acceso</b>\n\n` +
+      `Nombre: ${Utils.escapeHtml(fullName)}\n` +
+      `Usuario: ${profile.username ? '@' + Utils.escapeHtml(profile.username) : '(sin username)'}\n` +
+      `ID: <code>${userId}</code>`;
+    const keyboard = Markup.inlineKeyboard([
+      Markup.button.callback('✅ Aprobar', `access:approve:${userId}`),
+      Markup.button.callback('❌ Denegar', `access:deny:${userId}`)
+    ]);
+    for (const adminId of adminIds) {
+      try {
+        const sent = await ctx.telegram.sendMessage(adminId, adminText, { parse_mode: 'HTML', ...keyboard });
+        request.adminMessages.push({ chatId: adminId, messageId: sent.message_id });
+      } catch (error) {
+        // El admin puede no haber iniciado nunca un chat con el bot
+        Logger.error(`AccessRequest: No se pudo notificar al admin ${adminId}`, error);
+      }
+    }
+    this.stateManager.scheduleSave();
 
-Simplemente escribe un mensaje para hablar conmigo (usará GPT si está habilitado).
+    if (request.adminMessages.length === 0) {
+      await ctx.answerCbQuery('No se pudo contactar con ningún administrador. Inténtalo más tarde.', { show_alert: true }).catch(()=>{});
+      return;
+    }
+    await ctx.answerCbQuery('📨 Solicitud enviada.').catch(()=>{});
+    await ctx.editMessageText(`📨 Solicitud de acceso enviada a los administradores.\nTu ID: ${userId}\nTe avisaré cuando la revisen.`).catch(()=>{});
+  }
 
-Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballero]</a> para Javier Soto.
-    `;
+  /** Un administrador pulsa Aprobar/Denegar en una solicitud de acceso. */
+  async handleAccessDecision(ctx, targetId, approved) {
+    const adminId = ctx.from.id;
+    if (!this.stateManager.isAdmin(adminId)) {
+      await ctx.answerCbQuery('⛔ Solo los administradores pueden resolver solicitudes.').catch(()=>{});
+      return;
+    }
+    if (!Number.isInteger(targetId)) {
+      await ctx.answerCbQuery('Solicitud inválida.').catch(()=>{});
+      return;
+    }
 
-    try {
-      // Enviar mensaje usando modo HTML y deshabilitando previsualización de enlaces
-      await ctx.reply(helpText, { parse_mode: 'HTML', disable_web_page_preview: true });
-      Logger.log(`Handler: Mensaje de ayuda enviado a ${userId}`);
-    } catch (error) {
-      Logger.error(`Handler: Error enviando ayuda (HTML) a ${userId}`, error);
-      // Si falla el HTML (ej. por un error de formato inesperado), intentar enviar como texto plano
-      try {
-        const plainHelpText = helpText
-            .replace(/<a href="[^"]*">([^<]*)<\/a>/gi, '$1 ($&)') // Mantener URL en texto plano
-            .replace(/<code>(.*?)<\/code>/gi, '$1')
-            .replace(/<i>(.*?)<\/i>/gi, '_$1_') // Convertir a Markdown
-            .replace(/<b>(.*?)<\/b>/gi, '*$1*') // Convertir a Markdown
-            .replace(/</g, '<').replace(/>/g, '>').replace(/"/g, '"'); // Revertir escaping
-        await ctx.reply(plainHelpText);
-        Logger.log(`Handler: Mensaje de ayuda enviado (fallback texto plano) a ${userId}`);
-      } catch (fallbackError) {
-        Logger.error(`Handler: Error enviando ayuda (Fallback Texto Plano) a ${userId}`, fallbackError);
-        // Último recurso si todo falla
-        await ctx.reply('Error al mostrar la ayuda. Comandos: /t, /t2v, /v2v, /reset, /help').catch(() => {});
-      }
+    const request = this.stateManager.resolveAccessRequest(targetId, approved, adminId);
+    if (!request) {
+      // Otro admin ya la resolvió, o la solicitud no existe
+      const existing = this.stateManager.getAccessRequest(targetId);
+      await ctx.answerCbQuery(existing ? `Esta solicitud ya fue ${existing.status === 'approved' ? 'aprobada' : 'denegada'}.` : 'Solicitud no encontrada.').catch(()=>{});
+      return;
+    }
+
+    // Actualizar el mensaje de todos los admins para que nadie la resuelva dos veces
+    const resultText =
+      `${approved ? '✅ Acceso aprobado' : '❌ Acceso denegado'} para ${Utils.escapeHtml(this.describeAccessRequester(targetId, request))}\n` +
+      `Resuelto por ${Utils.escapeHtml(this.describeUser(adminId))}`;
+    for (const { chatId, messageId } of request.adminMessages) {
+      await ctx.telegram.editMessageText(chatId, messageId, undefined, resultText, { parse_mode: 'HTML' }).catch(()=>{});
     }
+    await ctx.answerCbQuery(approved ? 'Usuario autorizado.' : 'Solicitud denegada.').catch(()=>{});
+
+    // Notificar al solicitante
+    const userText = approved
+      ? '✅ ¡Tu solicitud de acceso ha sido aprobada! Escribe /help para ver lo que puedo hacer.'
+      : '❌ Tu solicitud de acceso ha sido denegada.';
+    await ctx.telegram.sendMessage(targetId, userText).catch(error => {
+      Logger.error(`AccessRequest: No se pudo notificar la resolución al usuario ${targetId}`, error);
+    });
   }
 
-  /** Maneja el comando /t: procesa con GPT y responde texto. */
-  async handleTextCommand(ctx) {
+  /** Describe al solicitante con los datos guardados en su solicitud (aún no tiene sesión). */
+  describeAccessRequester(userId, request) {
+    const { firstName, lastName, username } = request.profile || {};
+    const name = [firstName, lastName].filter(Boolean).join(' ');
+    return `${name || 'Desconocido'}${username ? ` @${username}` : ''} (${userId})`;
+  }
+
+  // -----------------------------------------------------
+  // -- Manejadores de Tipos de Mensajes Específicos    --
+  // -----------------------------------------------------
+
+  /** Maneja mensajes de texto que NO son comandos. */
+  async handleMessage(ctx) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: /t solicitado por usuario ${userId}`);
+    const userMessage = ctx.message?.text; // Mensaje de texto del usuario
 
-    // Verificar si GPT está habilitado
-    if (!openai) {
-      await ctx.reply('⚠️ La función de chat con IA (/t) está desactivada.').catch(()=>{});
+    // Ignorar si no es un mensaje de texto válido o si empieza con / (es un comando)
+    if (!userMessage || userMessage.trim().length < 1 || userMessage.startsWith('/')) {
+      // Logger.log(`Handler: Mensaje de texto ignorado (vacío o comando) de ${userId}`);
       return;
     }
 
-    // Extraer el texto después del comando /t
-    const textMatch = ctx.message.text.match(/^\/t\s+(.+)$/s); // Busca uno o más caracteres después de /t y espacio(s)
+    // Logger.log(`Handler: Mensaje de texto recibido de ${userId}: "${userMessage.substring(0, 50)}..."`);
 
-    // Validar que se proporcionó texto
-    if (!textMatch || !textMatch[1]?.trim()) {
-      await ctx.reply('⚠️ Debes proporcionar un mensaje después de /t.\nEjemplo: `/t ¿Cómo fue el rodaje?`', { parse_mode: 'MarkdownV2' }).catch(()=>{});
+    // 1. Verificar si se esperaba un audio para V2V (en modo lote, el texto no lo interrumpe)
+    await this.expireVoiceWaits();
+    const pendingV2V = this.stateManager.getPendingVoiceTransformation(userId);
+    if (pendingV2V?.batch) {
+      await ctx.reply('🎙️ Estás en el modo lote de /vv: envíame mensajes de voz, audios o vídeos, o usa /done para terminar.').catch(()=>{});
       return;
     }
+    if (pendingV2V) {
+      // Si se esperaba audio y llega texto, cancelar V2V y avisar
+      await ctx.reply('🎙️ Estaba esperando un mensaje de voz o audio para transformar (/v2v). Como enviaste texto, he cancelado esa operación. Usa /v2v de nuevo si necesitas transformar un audio.').catch(()=>{});
+      this.stateManager.clearPendingVoiceTransformation(userId); // Limpiar estado V2V
+      return; // No procesar como mensaje GPT
+    }
 
-    const userMessage = textMatch[1].trim(); // Texto proporcionado por el usuario
-    Logger.log(`Handler: /t procesando mensaje: "${userMessage.substring(0, 50)}..."`);
+    // Si se esperaba un audio para /transcribe, cancelar esa espera y seguir con el texto
+    if (this.stateManager.hasPendingTranscription(userId)) {
+      this.stateManager.clearPendingTranscription(userId);
+      await ctx.reply('📝 Como enviaste texto, he cancelado la transcripción pendiente (/transcribe).').catch(()=>{});
+    }
 
-    // Llamar a la función que maneja la lógica de GPT
+    // 2. Verificar si GPT está habilitado
+    if (!ApiService.isChatAvailable()) {
+      await ctx.reply('⚠️ La función de chat con IA está desactivada. Solo los comandos /t2v, /v2v y /help están disponibles.').catch(()=>{});
+      return;
+    }
+
+    // 3. Si no había V2V pendiente y GPT está activo, procesar con GPT
     await this.processGPTMessage(ctx, userMessage);
   }
 
-  /** Maneja el comando /t2v: convierte texto a voz con opciones. */
-  async handleTextToVoiceCommand(ctx) {
+  /** Maneja mensajes de voz (grabados directamente en Telegram). */
+  async handleVoiceMessage(ctx) {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
-    Logger.log(`Handler: /t2v solicitado por ${userId}: "${messageText}"`);
+    Logger.log(`Handler: Mensaje de VOZ recibido de ${userId}`);
 
-    // --- 1. Parsear Argumentos y Texto ---
-    const parts = messageText.split(/\s+/); // Dividir por uno o más espacios
-    parts.shift(); // Quitar el comando "/t2v"
+    // Verificar si se esperaba este mensaje para una transformación V2V
+    await this.expireVoiceWaits();
+    const pendingV2V = this.stateManager.consumePendingVoiceTransformation(userId);
+    if (pendingV2V) {
+      // Sí -> Llamar a la función de procesamiento V2V
+      await this.processVoiceTransformation(ctx, ctx.message.voice, 'mensaje de voz', { options: pendingV2V.options });
+    } else {
+      // No -> Transcribirlo (solo texto si se usó /transcribe; si no, se responde como a un mensaje escrito)
+      const onlyTranscript = this.stateManager.hasPendingTranscription(userId);
+      await this.processVoiceTranscription(ctx, ctx.message.voice, 'mensaje de voz', { chat: !onlyTranscript });
+    }
+  }
 
-    const overrideOptions = {}; // Objeto para guardar las opciones -s, -x, -v
-    const textParts = [];       // Array para guardar las partes del texto a convertir
-    let currentFlag = null;     // Guarda el último flag encontrado (-s, -x, -v)
-    let parsingError = null;    // Guarda el primer error de parsing encontrado
+  /** Maneja archivos de audio enviados al chat. */
+  async handleAudioMessage(ctx) {
+    const userId = ctx.from.id;
+    Logger.log(`Handler: Mensaje de AUDIO recibido de ${userId}`);
 
-    // Iterar sobre las partes del mensaje después del comando
-    for (const part of parts) {
-      if (part === '-s') { currentFlag = 'stability'; continue; } // Encontrado flag -s
-      if (part === '-x') { currentFlag = 'style'; continue; }     // Encontrado flag -x
-      if (part === '-v') { currentFlag = 'speed'; continue; }     // Encontrado flag -v
-
-      // Si teníamos un flag esperando un valor...
-      if (currentFlag) {
-        const value = parseFloat(part); // Intentar convertir la parte a número
-        if (!isNaN(value)) {
-          // Si es un número válido, guardarlo en las opciones
-          // La validación de rango final la hará ApiService.generateVoice
-          if (currentFlag === 'stability') overrideOptions.stability = value;
-          else if (currentFlag === 'style') overrideOptions.style = value;
-          else if (currentFlag === 'speed') overrideOptions.speed = value;
-        } else {
-          // Si no es un número, registrar error y detener parsing (o se podría continuar ignorando)
-          parsingError = `Se esperaba un número después de -${currentFlag.charAt(0)}, pero se recibió '${part}'.`;
-          Logger.warn(`Handler: /t2v Error parsing para ${userId}: ${parsingError}`);
-          break; // Detener el bucle al encontrar un error
-        }
-        currentFlag = null; // Resetear el flag, ya se consumió el valor o hubo error
-      } else {
-        // Si no hay flag pendiente, esta parte pertenece al texto a convertir
-        textParts.push(part);
-      }
+    // Verificar si se esperaba este mensaje para una transformación V2V
+    await this.expireVoiceWaits();
+    const pendingV2V = this.stateManager.consumePendingVoiceTransformation(userId);
+    if (pendingV2V) {
+      // Sí -> Llamar a la función de procesamiento V2V
+      await this.processVoiceTransformation(ctx, ctx.message.audio, 'archivo de audio', { options: pendingV2V.options });
+    } else {
+      // No -> Transcribirlo (solo texto si se usó /transcribe; si no, se responde como a un mensaje escrito)
+      const onlyTranscript = this.stateManager.hasPendingTranscription(userId);
+      await this.processVoiceTranscription(ctx, ctx.message.audio, 'archivo de audio', { chat: !onlyTranscript });
     }
+  }
 
-    // Verificar si quedó un flag sin valor al final y no hubo otro error antes
-    if (currentFlag && !parsingError) {
-      parsingError = `La opción -${currentFlag.charAt(0)} se especificó al final sin un valor.`;
-      Logger.warn(`Handler: /t2v Error parsing para ${userId}: ${parsingError}`);
+  /**
+   * Maneja notas de vídeo, vídeos y documentos de vídeo: con /vv pendiente, transforma la voz de su pista
+   * de audio (y, con `/vv video`, devuelve el vídeo con la voz nueva).
+   */
+  async handleVideoMessage(ctx) {
+    const userId = ctx.from.id;
+    const kind = ['video_note', 'video', 'document'].find(type => type in ctx.message);
+    const typeLabel = kind === 'video_note' ? 'nota de vídeo' : 'vídeo';
+    Logger.log(`Handler: ${typeLabel} (${kind}) recibido de ${userId}`);
+
+    await this.expireVoiceWaits();
+    const pendingV2V = this.stateManager.consumePendingVoiceTransformation(userId);
+    if (!pendingV2V) {
+      await ctx.reply('🎬 Para transformar la voz de un vídeo, usa /vv y envíamelo después (con <code>/vv video</code> te devuelvo el vídeo con la voz nueva).', { parse_mode: 'HTML' }).catch(()=>{});
+      return;
     }
+    await this.processVoiceTransformation(ctx, ctx.message[kind], typeLabel, { options: pendingV2V.options, video: { kind, remux: pendingV2V.remux } });
+  }
 
-    // Si hubo algún error de parsing, notificar al usuario y salir
-    if (parsingError) {
-      await ctx.reply(`⚠️ Error en las opciones: ${parsingError}\nUso correcto: \`/t2v [-s 0.5] [-x 0.8] [-v 1.1] "Tu mensaje aquí"\``, { parse_mode: 'MarkdownV2' }).catch(()=>{});
+  /**
+   * Maneja documentos: los de vídeo se tratan como vídeos (handleVideoMessage), un .srt tras /dub se dobla
+   * (processDubDocument), los guiones (.txt, .csv, .srt) generan voz por lotes (processScriptDocument)
+   * y el resto se ignora.
+   */
+  async handleDocumentMessage(ctx) {
+    const document = ctx.message.document;
+    if (document.mime_type?.startsWith('video/')) {
+      await this.handleVideoMessage(ctx);
+      return;
+    }
+    const format = ScriptParser.detectFormat(document.file_name);
+    const pendingDub = this.stateManager.getPendingDub(ctx.from.id);
+    if (pendingDub) {
+      if (format !== '.srt') {
+        await ctx.reply('⚠️ Para /dub necesito un archivo de subtítulos .srt. Envíalo o usa /cancel para dejarlo.').catch(()=>{});
+        return;
+      }
+      this.stateManager.clearPendingDub(ctx.from.id);
+      await this.processDubDocument(ctx, document, pendingDub);
       return;
     }
+    if (format) {
+      await this.processScriptDocument(ctx, document, format);
+      return;
+    }
+    Logger.log(`Handler: Documento ignorado de ${ctx.from.id} (${document.mime_type || 'tipo desconocido'})`);
+  }
 
-    // Unir las partes del texto y quitar espacios extra
-    const textToConvert = textParts.join(' ').trim();
+  /**
+   * Comprueba el tamaño de un guion y la cola del usuario, lo descarga y lo lee (ver ScriptParser).
+   * Si algo falla, o el guion está vacío o tiene demasiadas líneas, avisa al usuario.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {object} document - Objeto 'document' del mensaje de Telegram.
+   * @param {string} format - '.txt', '.csv' o '.srt'.
+   * @returns {Promise<Array<object>|null>} - Líneas del guion, o `null` si no se puede procesar.
+   */
+  async readScriptDocument(ctx, document, format) {
+    const userId = ctx.from.id;
+    if (document.file_size > CONFIG.BATCH_TTS.MAX_FILE_SIZE) {
+      await ctx.reply(`⚠️ El guion pesa ${(document.file_size / 1024).toFixed(0)} KB y el máximo es ${CONFIG.BATCH_TTS.MAX_FILE_SIZE / 1024} KB.`).catch(()=>{});
+      return null;
+    }
+    if (!(await this.ensureQueueCapacity(ctx))) return null;
 
-    // Verificar que efectivamente hay texto para convertir
-    if (!textToConvert) {
-      await ctx.reply('⚠️ No proporcionaste texto para convertir a voz después de las opciones.\nEjemplo: `/t2v -s 0.4 "Hola mundo"`', { parse_mode: 'MarkdownV2' }).catch(()=>{});
-      return;
+    let entries;
+    let scriptPath = null;
+    try {
+      scriptPath = await this.downloadTelegramFile(ctx, document, 'script', format);
+      entries = ScriptParser.parse(fs.readFileSync(scriptPath), format);
+    } catch (error) {
+      Logger.error(`Handler: Error leyendo el guion de ${userId}`, error);
+      await ctx.reply(`❌ No he podido leer el guion: ${error.message || 'Error desconocido'}`).catch(()=>{});
+      return null;
+    } finally {
+      if (scriptPath) fs.rmSync(scriptPath, { force: true });
     }
 
-    // --- 2. Verificar Operación Pendiente ---
-    if (this.stateManager.hasPendingOperation(userId)) {
-      Logger.warn(`Handler: /t2v Usuario ${userId} ya tiene operación pendiente.`);
-      await ctx.reply('⏳ Ya estoy procesando tu solicitud anterior. Por favor, espera un momento.').catch(()=>{});
+    if (entries.length === 0) {
+      await ctx.reply('⚠️ El guion no tiene ninguna línea con texto.').catch(()=>{});
+      return null;
+    }
+    if (entries.length > CONFIG.BATCH_TTS.MAX_ENTRIES) {
+      await ctx.reply(`⚠️ El guion tiene ${entries.length} líneas y el máximo por lote es ${CONFIG.BATCH_TTS.MAX_ENTRIES}. Divídelo en varios archivos.`).catch(()=>{});
+      return null;
+    }
+    return entries;
+  }
+
+  /**
+   * Voz por lotes: descarga y lee un guion (ver ScriptParser), verifica cola y cuotas con los caracteres
+   * de todas sus líneas (salvo las que ya están en la caché) y encola la generación.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {object} document - Objeto 'document' del mensaje de Telegram.
+   * @param {string} format - '.txt', '.csv' o '.srt'.
+   */
+  async processScriptDocument(ctx, document, format) {
+    const userId = ctx.from.id;
+    const fileName = document.file_name || `guion${format}`;
+    Logger.log(`Handler: Guion ${format} para voz por lotes recibido de ${userId}: ${fileName}`);
+
+    const entries = await this.readScriptDocument(ctx, document, format);
+    if (!entries) return;
+
+    // Los audios en caché no gastan cuota (como en /tv)
+    const ttsChars = entries
+      .filter(entry => !entry.error && !ApiService.isVoiceCached(entry.text, this.getVoiceOptions(userId, entry.options)))
+      .reduce((total, entry) => total + entry.text.length, 0);
+    const quota = this.quotas.check(userId, { requests: true, ttsChars });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
       return;
     }
 
-    // --- 3. Ejecutar Conversión ---
-    this.stateManager.setPendingOperation(userId, 't2v_converting'); // Marcar inicio
-    let loadingMessage = null; // Para mostrar feedback al usuario
-    let audioFilePath = null;  // Para guardar la ruta del archivo y limpiarlo después
+    this.enqueueJob(ctx, { type: 'batch_tts', kinds: ['tts'], label: `Voz por lotes: ${fileName} (${entries.length} líneas)` },
+      (statusMessage, signal) => this.runScriptBatchJob(ctx, entries, fileName, statusMessage, signal));
+  }
 
-    Logger.log(`Handler: /t2v Texto a convertir: "${textToConvert.substring(0, 70)}..."`);
-    Logger.debug("Handler: /t2v Opciones override:", overrideOptions);
+  /**
+   * Ejecuta una voz por lotes ya sacada de la cola: genera un audio por línea (una línea fallida no detiene
+   * el lote) y envía un ZIP con los audios numerados y un manifest.csv con el resultado de cada línea.
+   * @param {Array<object>} entries - Líneas del guion (ver ScriptParser.parse).
+   * @param {string} fileName - Nombre del guion (para el ZIP y los mensajes).
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como mensaje de progreso.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runScriptBatchJob(ctx, entries, fileName, statusMessage, signal) {
+    const userId = ctx.from.id;
+    const digits = Math.max(3, String(entries.length).length);
+    const results = [];   // Una por línea: { entry, number, file, error }
+    const zipFiles = [];  // Audios generados: { name, data }
+    let loadingMessage = null;
+    let lastProgressAt = 0;
 
+    Logger.log(`runScriptBatchJob: Iniciando voz por lotes de «${fileName}» (${entries.length} líneas) para ${userId}`);
     try {
-      // Enviar mensaje inicial de "cargando" y acción de chat
-      loadingMessage = await ctx.reply('🎤 Preparando conversión a voz...').catch(()=>{/* Ignorar si falla */});
-      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{});
-
-      // Actualizar mensaje para indicar progreso (si el mensaje inicial se envió)
-      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '🗣️ Generando audio con ElevenLabs...').catch(()=>{});
+      loadingMessage = await this.showStatus(ctx, statusMessage, `🗣️ Generando ${entries.length === 1 ? 'el audio' : `${entries.length} audios`} de «${fileName}»...`);
+
+      for (const [index, entry] of entries.entries()) {
+        Utils.throwIfCancelled(signal);
+        const number = String(index + 1).padStart(digits, '0');
+        const failed = results.filter(result => result.error).length;
+        if (loadingMessage && Date.now() - lastProgressAt >= CONFIG.BATCH_TTS.PROGRESS_INTERVAL) {
+          lastProgressAt = Date.now();
+          await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined,
+            `🗣️ Generando audios: ${index + 1} de ${entries.length}${failed > 0 ? ` (${failed} con error)` : ''}...`).catch(()=>{});
+        }
+        if (entry.error) {
+          results.push({ entry, number, file: '', error: entry.error });
+          continue;
+        }
 
-      // Llamar al servicio para generar la voz, pasando texto y opciones
-      audioFilePath = await ApiService.generateVoice(textToConvert, overrideOptions);
+        let audioFilePath = null;
+        try {
+          const options = this.getVoiceOptions(userId, entry.options);
+          const cached = ApiService.isVoiceCached(entry.text, options);
+          if (!cached && !this.quotas.check(userId, { ttsChars: entry.text.length }).allowed) {
+            throw new Error('Cuota de voz agotada.');
+          }
+          audioFilePath = await ApiService.generateVoice(entry.text, options, { userId, signal, onChunkDone: this.ttsQuotaRecorder(userId) });
+
+          // 001.mp3 o, si la línea tiene id propio, 001_id.mp3
+          const suffix = entry.id !== String(index + 1) && ScriptParser.slug(entry.id) ? `_${ScriptParser.slug(entry.id)}` : '';
+          const file = `${number}${suffix}${path.extname(audioFilePath)}`;
+          zipFiles.push({ name: file, data: fs.readFileSync(audioFilePath) });
+          results.push({ entry, number, file, error: null });
+        } catch (error) {
+          if (signal.aborted) throw error;
+          Logger.warn(`runScriptBatchJob: Línea ${entry.line} de «${fileName}» fallida para ${userId}: ${error.message}`);
+          results.push({ entry, number, file: '', error: error.message || 'Error desconocido' });
+        } finally {
+          if (audioFilePath) fs.rmSync(audioFilePath, { force: true });
+        }
+      }
 
-      // Actualizar mensaje para indicar envío
-      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '📤 Enviando mensaje de voz...').catch(()=>{});
-      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_voice').catch(()=>{});
+      // Manifest con el resultado de cada línea (con BOM, para que Excel muestre bien las tildes)
+      const manifest = UsageLedger.toCsv([
+        ['n', 'id', 'archivo', 'estado', 'linea', 'inicio', 'fin', 'caracteres', 'ajustes', 'error', 'texto'],
+        ...results.map(({ entry, number, file, error }) => [
+          number, entry.id, file, error ? 'error' : 'ok', entry.line,
+          entry.startMs !== null ? ScriptParser.formatSrtTime(entry.startMs) : '',
+          entry.endMs !== null ? ScriptParser.formatSrtTime(entry.endMs) : '',
+          entry.text.length, entry.settings, error || '', entry.text
+        ])
+      ]);
+      zipFiles.push({ name: 'manifest.csv', data: Buffer.from(`\uFEFF${manifest}`, 'utf8') });
+      const zip = Utils.createZip(zipFiles);
+      if (zip.length > CONFIG.BOT.MAX_UPLOAD_SIZE) {
+        throw new Error(`el ZIP ocupa ${(zip.length / 1024 / 1024).toFixed(1)} MB y Telegram no deja enviar más de ${CONFIG.BOT.MAX_UPLOAD_SIZE / 1024 / 1024} MB. Divide el guion en varios archivos.`);
+      }
+      Utils.throwIfCancelled(signal);
 
-      // Enviar el archivo de audio como mensaje de voz
-      // Usar fs.createReadStream para eficiencia con archivos grandes
-      await ctx.replyWithAudio({ source: fs.createReadStream(audioFilePath) });
-      Logger.log(`Handler: /t2v Mensaje de voz enviado con éxito a usuario ${userId}`);
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '📤 Enviando los audios...').catch(()=>{});
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_document').catch(()=>{});
+      const failedLines = results.filter(result => result.error).map(result => result.entry.line);
+      const caption = `✅ ${entries.length - failedLines.length} de ${entries.length} audios generados.` + (failedLines.length > 0
+        ? `\n⚠️ Con error: ${failedLines.length === 1 ? 'línea' : 'líneas'} ${failedLines.slice(0, 10).join(', ')}${failedLines.length > 10 ? '…' : ''} (detalles en manifest.csv).`
+        : '');
+      await ctx.replyWithDocument({ source: zip, filename: `${path.parse(fileName).name}_audios.zip` }, { caption });
+      Logger.log(`runScriptBatchJob: Lote «${fileName}» enviado a ${userId} (${entries.length - failedLines.length}/${entries.length} audios)`);
 
-      // Eliminar el mensaje de "cargando" si se envió
       if (loadingMessage) await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{});
-
     } catch (error) {
-      // --- Manejo de Errores en la Conversión ---
-      Logger.error(`Handler: /t2v Error durante la conversión para usuario ${userId}`, error);
-      const userErrorMessage = `❌ Error al generar la voz: ${error.message || 'Error desconocido'}`;
-      // Intentar editar el mensaje de carga con el error, o enviar uno nuevo si falla
+      if (signal.aborted) Logger.log(`runScriptBatchJob: Voz por lotes cancelada por usuario ${userId}`);
+      else Logger.error(`runScriptBatchJob: Error en la voz por lotes para usuario ${userId}`, error);
+      const userErrorMessage = signal.aborted
+        ? `🛑 Voz por lotes cancelada (${results.length} de ${entries.length} líneas procesadas).`
+        : `❌ Error en la voz por lotes: ${error.message || 'Error desconocido'}`;
       if (loadingMessage) {
-        await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => {
-          await ctx.reply(userErrorMessage).catch(()=>{}); // Fallback si la edición falla
-        });
+        await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => await ctx.reply(userErrorMessage).catch(()=>{}));
       } else {
-        // Si no hubo mensaje de carga, enviar el error directamente
         await ctx.reply(userErrorMessage).catch(()=>{});
       }
-    } finally {
-      // --- Limpieza (SIEMPRE se ejecuta) ---
-      // Limpiar el archivo temporal si se creó
-      if (audioFilePath && fs.existsSync(audioFilePath)) {
-        try {
-          fs.unlinkSync(audioFilePath);
-          // Logger.log(`Handler: /t2v Archivo temporal TTS eliminado: ${audioFilePath}`); // Verboso
-        } catch (cleanupError) {
-          Logger.error(`Handler: /t2v Error eliminando archivo temporal TTS: ${audioFilePath}`, cleanupError);
-        }
-      }
-      // Limpiar la marca de operación pendiente para el usuario
-      this.stateManager.clearPendingOperation(userId);
-      // Logger.log(`Handler: /t2v Operación finalizada para usuario ${userId}`); // Verboso
     }
   }
 
-  /** Maneja el comando /v2v: prepara al bot para recibir un audio. */
-  async handleVoiceToVoiceCommand(ctx) {
+  /**
+   * Doblaje (/dub): lee un .srt, comprueba la duración de la pista y las cuotas con los caracteres de todos
+   * sus subtítulos (salvo los que ya están en la caché) y encola el montaje de la pista (runDubJob).
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {object} document - Objeto 'document' del mensaje de Telegram.
+   * @param {{options: object, format: string}} request - Opciones de voz de /dub y formato de salida ('mp3' o 'wav').
+   */
+  async processDubDocument(ctx, document, request) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: /v2v solicitado por usuario ${userId}`);
-
-    // Verificar si ya hay otra operación larga en curso
-    if (this.stateManager.hasPendingOperation(userId)) {
-      Logger.warn(`Handler: /v2v Usuario ${userId} ya tiene operación pendiente.`);
-      await ctx.reply('⏳ Ya estoy procesando tu solicitud anterior. Por favor, espera.').catch(()=>{});
+    const fileName = document.file_name || 'subtitulos.srt';
+    Logger.log(`Handler: .srt para doblaje recibido de ${userId}: ${fileName}`);
+
+    const entries = await this.readScriptDocument(ctx, document, '.srt');
+    if (!entries) return;
+    const cues = entries.filter(entry => !entry.error);
+    if (cues.length === 0) {
+      await ctx.reply('⚠️ El .srt no tiene ningún subtítulo válido con tiempos y texto.').catch(()=>{});
       return;
     }
-    // Verificar si ya está esperando un audio para V2V
-    if (this.stateManager.getPendingVoiceTransformation(userId)) {
-      await ctx.reply('🎙️ Ya estoy esperando tu mensaje de voz o archivo de audio. ¡Envíalo ahora!').catch(()=>{});
+    const endMs = Math.max(...cues.map(cue => cue.endMs));
+    if (endMs > CONFIG.DUB.MAX_SECONDS * 1000) {
+      await ctx.reply(`⚠️ Los subtítulos llegan hasta ${ScriptParser.formatSrtTime(endMs)} y el máximo para un doblaje es ${Utils.formatDuration(CONFIG.DUB.MAX_SECONDS * 1000)}. Divide el .srt en varias partes.`).catch(()=>{});
       return;
     }
 
-    try {
-      // Marcar en el estado que este usuario está esperando un audio para V2V
-      this.stateManager.setPendingVoiceTransformation(userId, ctx.message.message_id);
-      // Informar al usuario que envíe el audio
-      await ctx.reply('✅ Listo. Ahora envíame el mensaje de voz o el archivo de audio que quieres transformar.');
-    } catch (error) {
-      Logger.error(`Handler: /v2v Error al preparar el estado para ${userId}`, error);
-      // Limpiar el estado si falla la preparación
-      this.stateManager.clearPendingVoiceTransformation(userId);
-      await ctx.reply(`❌ Hubo un error al iniciar la transformación de voz: ${error.message}`).catch(()=>{});
+    // El WAV (PCM mono de 16 bits) no se puede enviar si pasa del límite de Telegram: comprobarlo antes de gastar cuota.
+    // En MP3 solo importa si ffmpeg no está disponible, porque entonces la pista se enviaría en WAV
+    const wavBytes = 44 + Math.ceil(endMs * CONFIG.DUB.SAMPLE_RATE / 1000) * 2;
+    if (wavBytes > CONFIG.BOT.MAX_UPLOAD_SIZE) {
+      const limitMb = CONFIG.BOT.MAX_UPLOAD_SIZE / 1024 / 1024;
+      const ffmpegAvailable = request.format === 'mp3' && await Utils.runCommand(CONFIG.VOICE.FFMPEG_PATH, ['-version']).then(() => true, () => false);
+      if (!ffmpegAvailable) {
+        await ctx.reply(`⚠️ En WAV la pista ocuparía ${(wavBytes / 1024 / 1024).toFixed(1)} MB y Telegram no deja enviar más de ${limitMb} MB. ` +
+          (request.format === 'wav' ? 'Usa /dub mp3 o divide el .srt en varias partes.' : 'No puedo convertirla a MP3 (ffmpeg no está disponible): divide el .srt en varias partes.')).catch(()=>{});
+        return;
+      }
     }
+
+    // Los audios en caché no gastan cuota (como en /tv)
+    const voiceOptions = this.getDubVoiceOptions(userId, request.options);
+    const ttsChars = cues
+      .filter(cue => !ApiService.isVoiceCached(cue.text, voiceOptions))
+      .reduce((total, cue) => total + cue.text.length, 0);
+    const quota = this.quotas.check(userId, { requests: true, ttsChars });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
+      return;
+    }
+
+    this.enqueueJob(ctx, { type: 'dub', kinds: ['tts'], label: `Doblaje: ${fileName} (${cues.length} subtítulos)` },
+      (statusMessage, signal) => this.runDubJob(ctx, entries, fileName, request, statusMessage, signal));
   }
 
-  /** Maneja el comando /reset: limpia el historial de conversación GPT. */
-  async handleResetConversation(ctx) {
+  /** Opciones de voz de /dub: las de /tv, pero siempre sin comprimir (la pista se monta en PCM). */
+  getDubVoiceOptions(userId, overrides = {}) {
+    return { ...this.getVoiceOptions(userId, overrides), outputFormat: CONFIG.ELEVEN_LABS.LOSSLESS_OUTPUT_FORMAT };
+  }
+
+  /**
+   * Ejecuta un doblaje ya sacado de la cola: genera la voz de cada subtítulo y la coloca en su tiempo de inicio
+   * en una sola pista. Si un audio dura más que su subtítulo, se genera de nuevo más rápido (hasta
+   * CONFIG.ELEVEN_LABS.MAX_SPEED, el máximo que acepta el proveedor); los que aun así no caben se mezclan igualmente y se listan en un informe.
+   * Un subtítulo fallido queda en silencio y no detiene el doblaje.
+   * @param {Array<object>} entries - Bloques del .srt (ver ScriptParser.parse); los que tienen error solo van al informe.
+   * @param {string} fileName - Nombre del .srt (para el archivo y los mensajes).
+   * @param {{options: object, format: string}} request - Opciones de voz de /dub y formato de salida ('mp3' o 'wav').
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como mensaje de progreso.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runDubJob(ctx, entries, fileName, { options, format }, statusMessage, signal) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: /reset solicitado por usuario ${userId}`);
+    const sampleRate = CONFIG.DUB.SAMPLE_RATE;
+    const cues = entries.filter(entry => !entry.error);
+    const { MIN_SPEED, MAX_SPEED } = CONFIG.ELEVEN_LABS;
+    const baseSpeed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, options.speed ?? CONFIG.ELEVEN_LABS.SPEED));
+    const clips = [];    // Audios generados: { cue, samples, speed, overflowMs }
+    const failed = [];   // Subtítulos sin audio: { entry, error }
+    const tempFiles = [];
+    let loadingMessage = null;
+    let lastProgressAt = 0;
+
+    // Genera la voz de un subtítulo a una velocidad (con cuota y caché como en /tv) y la devuelve en PCM
+    const generate = async (cue, speed) => {
+      const voiceOptions = this.getDubVoiceOptions(userId, { ...options, speed });
+      if (!ApiService.isVoiceCached(cue.text, voiceOptions) && !this.quotas.check(userId, { ttsChars: cue.text.length }).allowed) {
+        throw new Error('Cuota de voz agotada.');
+      }
+      const audioFilePath = await ApiService.generateVoice(cue.text, voiceOptions, { userId, signal, onChunkDone: this.ttsQuotaRecorder(userId) });
+      try {
+        return await AudioProcessor.loadPcm(audioFilePath, sampleRate, { signal });
+      } finally {
+        fs.rmSync(audioFilePath, { force: true });
+      }
+    };
 
-    // No hacer nada si GPT está deshabilitado
-    if (!openai) {
-      await ctx.reply('⚠️ La función de chat con IA no está activa, no hay conversación que reiniciar.').catch(()=>{});
-      return;
-    }
+    Logger.log(`runDubJob: Iniciando doblaje de «${fileName}» (${cues.length} subtítulos, ${format}) para ${userId}`);
+    try {
+      loadingMessage = await this.showStatus(ctx, statusMessage, `🎞️ Doblando ${cues.length === 1 ? 'el subtítulo' : `${cues.length} subtítulos`} de «${fileName}»...`);
+
+      for (const [index, cue] of cues.entries()) {
+        Utils.throwIfCancelled(signal);
+        if (loadingMessage && Date.now() - lastProgressAt >= CONFIG.BATCH_TTS.PROGRESS_INTERVAL) {
+          lastProgressAt = Date.now();
+          await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined,
+            `🎞️ Doblando: subtítulo ${index + 1} de ${cues.length}${failed.length > 0 ? ` (${failed.length} con error)` : ''}...`).catch(()=>{});
+        }
 
-    // Eliminar el historial de conversación del StateManager
-    this.stateManager.conversations.delete(userId);
+        try {
+          const slot = Math.round((cue.endMs - cue.startMs) * sampleRate / 1000);
+          let speed = baseSpeed;
+          let samples = await generate(cue, speed);
+          // La velocidad del proveedor no acorta el audio de forma exacta: se pide la proporción que falta (redondeada hacia arriba)
+          if (samples.length > slot && slot > 0 && speed < MAX_SPEED) {
+            const fitted = Math.min(MAX_SPEED, Math.ceil(speed * samples.length / slot * 100) / 100);
+            try {
+              const faster = await generate(cue, fitted);
+              if (faster.length < samples.length) {
+                samples = faster;
+                speed = fitted;
+              }
+            } catch (error) {
+              if (signal.aborted) throw error;
+              Logger.warn(`runDubJob: No se pudo acelerar el subtítulo ${cue.id} de «${fileName}» para ${userId}, se usa a velocidad ${speed}: ${error.message}`);
+            }
+          }
+          clips.push({ cue, samples, speed, overflowMs: Math.max(0, Math.round((samples.length - slot) * 1000 / sampleRate)) });
+        } catch (error) {
+          if (signal.aborted) throw error;
+          Logger.warn(`runDubJob: Subtítulo ${cue.id} de «${fileName}» fallido para ${userId}: ${error.message}`);
+          failed.push({ entry: cue, error: error.message || 'Error desconocido' });
+        }
+      }
+      if (clips.length === 0) throw new Error('no se pudo generar la voz de ningún subtítulo.');
+
+      // Pista mono con cada audio en el inicio de su subtítulo (si se solapan, se mezclan)
+      const start = (clip) => Math.round(clip.cue.startMs * sampleRate / 1000);
+      const track = new Int16Array(Math.max(...cues.map(cue => Math.round(cue.endMs * sampleRate / 1000)), ...clips.map(clip => start(clip) + clip.samples.length)));
+      for (const clip of clips) AudioProcessor.mixPcm(track, clip.samples, start(clip));
+      Utils.throwIfCancelled(signal);
+
+      const baseName = `${path.parse(fileName).name}_doblaje`;
+      const wavPath = AudioProcessor.tempPath('dub', '.wav');
+      tempFiles.push(wavPath);
+      fs.writeFileSync(wavPath, Utils.pcmToWav(Buffer.from(track.buffer), sampleRate));
+      let outputPath = wavPath;
+      let notice = '';
+      if (format === 'mp3') {
+        if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '🎚️ Convirtiendo la pista a MP3...').catch(()=>{});
+        try {
+          outputPath = await Utils.convertAudio(wavPath, '.mp3', { signal });
+          tempFiles.push(outputPath);
+        } catch (error) {
+          if (signal.aborted) throw error;
+          Logger.warn(`runDubJob: No se pudo convertir el doblaje a MP3 para ${userId}, se envía en WAV: ${error.message}`);
+          notice = '\nℹ️ No se pudo convertir a MP3; va en WAV.';
+        }
+      }
+      const size = fs.statSync(outputPath).size;
+      if (size > CONFIG.BOT.MAX_UPLOAD_SIZE) {
+        throw new Error(`la pista ocupa ${(size / 1024 / 1024).toFixed(1)} MB y Telegram no deja enviar más de ${CONFIG.BOT.MAX_UPLOAD_SIZE / 1024 / 1024} MB.` +
+          (path.extname(outputPath) === '.wav' ? ' Prueba con /dub mp3 o divide el .srt en varias partes.' : ' Divide el .srt en varias partes.'));
+      }
+      Utils.throwIfCancelled(signal);
+
+      // Resumen en el pie e informe aparte con los subtítulos que no caben en su tiempo y los fallidos
+      const accelerated = clips.filter(clip => clip.speed !== baseSpeed);
+      const overflowed = clips.filter(clip => clip.overflowMs > 0);
+      const caption = `✅ Doblaje de «${fileName}»: ${clips.length} de ${cues.length} subtítulos en ${ScriptParser.formatSrtTime(track.length * 1000 / sampleRate)}.` +
+        (accelerated.length > 0 ? `\n⏩ ${accelerated.length === 1 ? '1 acelerado' : `${accelerated.length} acelerados`} para caber en su tiempo.` : '') +
+        (overflowed.length > 0 ? `\n⚠️ ${overflowed.length === 1 ? '1 no cabe' : `${overflowed.length} no caben`} en su tiempo (ver informe).` : '') +
+        (failed.length > 0 ? `\n❌ ${failed.length === 1 ? '1 con error' : `${failed.length} con error`} (en silencio).` : '') +
+        (cues.length < entries.length ? `\n🚫 ${entries.length - cues.length} ${entries.length - cues.length === 1 ? 'bloque no válido' : 'bloques no válidos'} del .srt (ver informe).` : '') + notice;
+
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '📤 Enviando el doblaje...').catch(()=>{});
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_document').catch(()=>{});
+      const extension = path.extname(outputPath);
+      const file = { source: fs.createReadStream(outputPath), filename: `${baseName}${extension}` };
+      if (extension === '.mp3') await ctx.replyWithAudio(file, { caption });
+      else await ctx.replyWithDocument(file, { caption }); // El reproductor de audio de Telegram solo admite MP3 y M4A
+      Logger.log(`runDubJob: Doblaje «${fileName}» enviado a ${userId} (${clips.length}/${cues.length} subtítulos, ${overflowed.length} no caben)`);
+
+      if (overflowed.length > 0 || failed.length > 0 || cues.length < entries.length) {
+        const report = [
+          ...overflowed.map(({ cue, speed, overflowMs }) =>
+            `⚠️ #${cue.id} (${ScriptParser.formatSrtTime(cue.startMs)} → ${ScriptParser.formatSrtTime(cue.endMs)}): se pasa ${(overflowMs / 1000).toFixed(1)} s a velocidad ${speed}. «${Utils.truncate(cue.text, 60)}»`),
+          ...[...entries.filter(entry => entry.error).map(entry => ({ entry, error: entry.error })), ...failed]
+            .sort((a, b) => a.entry.line - b.entry.line).map(({ entry, error }) =>
+            `❌ #${entry.id} (línea ${entry.line}): ${error}`)
+        ];
+        await this.sendLongText(ctx, `📋 Informe del doblaje de «${fileName}»:\n\n${report.join('\n')}`);
+      }
 
-    // Confirmar al usuario
-    await ctx.reply('🔄 Tu conversación conmigo ha sido reiniciada. Podemos empezar de nuevo.').catch(error => {
-      Logger.error(`Handler: /reset Error confirmando reinicio a usuario ${userId}`, error);
-    });
+      if (loadingMessage) await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{});
+    } catch (error) {
+      if (signal.aborted) Logger.log(`runDubJob: Doblaje cancelado por usuario ${userId}`);
+      else Logger.error(`runDubJob: Error en el doblaje para usuario ${userId}`, error);
+      const userErrorMessage = signal.aborted
+        ? `🛑 Doblaje cancelado (${clips.length + failed.length} de ${cues.length} subtítulos procesados).`
+        : `❌ Error en el doblaje: ${error.message || 'Error desconocido'}`;
+      if (loadingMessage) {
+        await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => await ctx.reply(userErrorMessage).catch(()=>{}));
+      } else {
+        await ctx.reply(userErrorMessage).catch(()=>{});
+      }
+    } finally {
+      AudioProcessor.cleanup(tempFiles);
+    }
   }
 
   // -----------------------------------------------------
-  // -- Manejadores de Tipos de Mensajes Específicos    --
+  // -- Cola de Trabajos                                --
   // -----------------------------------------------------
 
-  /** Maneja mensajes de texto que NO son comandos. */
-  async handleMessage(ctx) {
-    const userId = ctx.from.id;
-    const userMessage = ctx.message?.text; // Mensaje de texto del usuario
-
-    // Ignorar si no es un mensaje de texto válido o si empieza con / (es un comando)
-    if (!userMessage || userMessage.trim().length < 1 || userMessage.startsWith('/')) {
-      // Logger.log(`Handler: Mensaje de texto ignorado (vacío o comando) de ${userId}`);
-      return;
-    }
+  /** Proveedor que atiende cada tipo de operación (recurso de la cola con su propio límite de concurrencia). */
+  getProviderName(kind) {
+    return { chat: CONFIG.GPT.PROVIDER, tts: CONFIG.VOICE.TTS_PROVIDER, sts: CONFIG.VOICE.STS_PROVIDER, stt: CONFIG.STT.PROVIDER }[kind];
+  }
 
-    // Logger.log(`Handler: Mensaje de texto recibido de ${userId}: "${userMessage.substring(0, 50)}..."`);
+  /**
+   * Verifica que el usuario puede encolar otro trabajo; si ya tiene demasiados en espera, le avisa.
+   * @returns {Promise<boolean>}
+   */
+  async ensureQueueCapacity(ctx) {
+    const userId = ctx.from.id;
+    const waiting = this.jobs.getUserJobs(userId).filter(job => job.status === 'waiting').length;
+    if (waiting < CONFIG.QUEUE.MAX_JOBS_PER_USER) return true;
+    Logger.warn(`JavierBot: Usuario ${userId} alcanzó el máximo de trabajos en cola (${waiting}).`);
+    await ctx.reply(`⏳ Ya tienes ${waiting} operaciones esperando en la cola. Espera a que avancen (/queue) antes de pedir más.`).catch(()=>{});
+    return false;
+  }
 
-    // 1. Verificar si se esperaba un audio para V2V
-    const pendingV2V = this.stateManager.getPendingVoiceTransformation(userId);
-    if (pendingV2V) {
-      // Si se esperaba audio y llega texto, cancelar V2V y avisar
-      await ctx.reply('🎙️ Estaba esperando un mensaje de voz o audio para transformar (/v2v). Como enviaste texto, he cancelado esa operación. Usa /v2v de nuevo si necesitas transformar un audio.').catch(()=>{});
-      this.stateManager.clearPendingVoiceTransformation(userId); // Limpiar estado V2V
-      return; // No procesar como mensaje GPT
-    }
+  /**
+   * Encola un trabajo largo del usuario. Si no puede empezar enseguida, se le muestra su posición en un
+   * mensaje que se actualiza mientras espera y que el trabajo reutiliza después como mensaje de progreso.
+   * No espera a que el trabajo termine (así los updates de otros usuarios siguen llegando).
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {{type: string, kinds: Array<'chat'|'tts'|'sts'|'stt'>, label: string}} options - Tipo, operaciones que usa y descripción para /queue.
+   * @param {(statusMessage: object|null, signal: AbortSignal) => Promise<void>} run - Ejecuta el trabajo (maneja sus
+   *   propios errores y se detiene cuando la señal se aborta con /cancel).
+   * @returns {object} - El trabajo encolado (ver JobQueue.enqueue).
+   */
+  enqueueJob(ctx, { type, kinds, label }, run) {
+    let statusMessage = null;
+    let statusUpdate = Promise.resolve(); // Las ediciones del mensaje de estado se hacen de una en una
+    return this.jobs.enqueue({
+      userId: ctx.from.id,
+      type,
+      label,
+      resources: kinds.map(kind => this.getProviderName(kind)),
+      onPosition: (position) => {
+        const text = `⏳ En cola: posición ${position}. Empezaré en cuanto haya hueco (/queue para ver tus operaciones).`;
+        statusUpdate = statusUpdate.then(async () => {
+          if (statusMessage) await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, text).catch(()=>{});
+          else statusMessage = await ctx.reply(text).catch(() => null);
+        });
+      },
+      onCancel: () => {
+        statusUpdate = statusUpdate.then(async () => {
+          if (statusMessage) await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, '🛑 Operación cancelada antes de empezar.').catch(()=>{});
+        });
+      },
+      run: async (job) => {
+        await statusUpdate; // No empezar hasta que el mensaje "En cola" (si lo hay) exista
+        await run(statusMessage, job.signal);
+      }
+    });
+  }
 
-    // 2. Verificar si GPT está habilitado
-    if (!openai) {
-      await ctx.reply('⚠️ La función de chat con IA está desactivada. Solo los comandos /t2v, /v2v y /help están disponibles.').catch(()=>{});
-      return;
+  /**
+   * Vuelve a verificar las cuotas al empezar un trabajo: al encolarlo se comprobaron contra el mismo saldo
+   * que los trabajos que tenía delante, que pueden haberlo gastado mientras esperaba. Sin cuota, avisa
+   * (en el mensaje "En cola" si lo hubo) y el trabajo no debe seguir.
+   * @param {object|null} statusMessage - Mensaje "En cola" del trabajo.
+   * @param {object} amounts - Consumo previsto (como en QuotaManager.check, sin `requests`: ya se contó al encolar).
+   * @returns {Promise<boolean>} - true si hay cuota para el trabajo.
+   */
+  async ensureQuotaAtStart(ctx, statusMessage, amounts) {
+    const quota = this.quotas.check(ctx.from.id, amounts);
+    if (quota.allowed) return true;
+    Logger.log(`JavierBot.ensureQuotaAtStart: Trabajo de usuario ${ctx.from.id} descartado al empezar: sin cuota`);
+    if (statusMessage) {
+      await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, quota.message).catch(async () => await ctx.reply(quota.message).catch(()=>{}));
+    } else {
+      await ctx.reply(quota.message).catch(()=>{});
     }
+    return false;
+  }
 
-    // 3. Si no había V2V pendiente y GPT está activo, procesar con GPT
-    await this.processGPTMessage(ctx, userMessage);
+  /**
+   * Muestra el mensaje de progreso de un trabajo: edita el mensaje "En cola" si lo hubo o envía uno nuevo.
+   * @returns {Promise<object|null>} - El mensaje de progreso (null si no se pudo enviar).
+   */
+  async showStatus(ctx, statusMessage, text) {
+    if (!statusMessage) return ctx.reply(text).catch(() => null);
+    await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, text).catch(()=>{});
+    return statusMessage;
   }
 
-  /** Maneja mensajes de voz (grabados directamente en Telegram). */
-  async handleVoiceMessage(ctx) {
+  /**
+   * Maneja /cancel: aborta la operación en curso del usuario (llamadas HTTP y reintentos incluidos),
+   * descarta las que tenga en cola y cancela las esperas de audio de /vv y /transcribe y la del .srt de /dub.
+   */
+  async handleCancelCommand(ctx) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: Mensaje de VOZ recibido de ${userId}`);
-
-    // Verificar si se esperaba este mensaje para una transformación V2V
-    const pendingV2V = this.stateManager.getPendingVoiceTransformation(userId);
-    if (pendingV2V) {
-      // Sí -> Llamar a la función de procesamiento V2V
-      await this.processVoiceTransformation(ctx, ctx.message.voice, 'mensaje de voz');
-    } else {
-      // No -> Informar al usuario que debe usar /v2v primero
-      await ctx.reply('🎙️ Recibí tu mensaje de voz. Si querías transformarlo a la voz de Javier, por favor, usa primero el comando /v2v y luego envía el mensaje de voz.').catch(()=>{});
+    Logger.log(`Handler: /cancel solicitado por usuario ${userId}`);
+    const waitingForAudio = !!this.stateManager.getPendingVoiceTransformation(userId) || this.stateManager.hasPendingTranscription(userId);
+    const waitingForDub = !!this.stateManager.getPendingDub(userId);
+    this.stateManager.clearPendingVoiceTransformation(userId);
+    this.stateManager.clearPendingTranscription(userId);
+    this.stateManager.clearPendingDub(userId);
+    const { running, waiting } = this.jobs.cancelUserJobs(userId);
+
+    const cancelled = [];
+    if (running > 0) cancelled.push('la operación en curso');
+    if (waiting > 0) cancelled.push(waiting === 1 ? '1 operación en cola' : `${waiting} operaciones en cola`);
+    if (waitingForAudio) cancelled.push('la espera de audio (/vv o /transcribe)');
+    if (waitingForDub) cancelled.push('la espera del .srt de /dub');
+    if (cancelled.length === 0) {
+      await ctx.reply('ℹ️ No tienes ninguna operación en curso que cancelar.').catch(()=>{});
+      return;
     }
+    const list = cancelled.length > 1 ? `${cancelled.slice(0, -1).join(', ')} y ${cancelled[cancelled.length - 1]}` : cancelled[0];
+    await ctx.reply(`🛑 Cancelado: ${list}.`).catch(()=>{});
   }
 
-  /** Maneja archivos de audio enviados al chat. */
-  async handleAudioMessage(ctx) {
+  /** Maneja /queue: lista las operaciones del usuario en curso y en espera. */
+  async handleQueueCommand(ctx) {
     const userId = ctx.from.id;
-    Logger.log(`Handler: Mensaje de AUDIO recibido de ${userId}`);
-
-    // Verificar si se esperaba este mensaje para una transformación V2V
-    const pendingV2V = this.stateManager.getPendingVoiceTransformation(userId);
-    if (pendingV2V) {
-      // Sí -> Llamar a la función de procesamiento V2V
-      await this.processVoiceTransformation(ctx, ctx.message.audio, 'archivo de audio');
-    } else {
-      // No -> Informar al usuario que debe usar /v2v primero
-      await ctx.reply('🎙️ Recibí tu archivo de audio. Si querías transformarlo a la voz de Javier, por favor, usa primero el comando /v2v y luego envía el archivo.').catch(()=>{});
+    Logger.log(`Handler: /queue solicitado por usuario ${userId}`);
+    const jobs = this.jobs.getUserJobs(userId);
+    if (jobs.length === 0) {
+      await ctx.reply('📭 No tienes operaciones en curso ni en cola.').catch(()=>{});
+      return;
     }
+    const now = Date.now();
+    const lines = jobs.map((job, index) => job.status === 'running'
+      ? `${index + 1}. ▶️ ${Utils.escapeHtml(job.label)}: en curso (${Utils.formatDuration(now - job.startedAt)})`
+      : `${index + 1}. ⏳ ${Utils.escapeHtml(job.label)}: en espera, posición ${this.jobs.getPosition(job)} (${Utils.formatDuration(now - job.enqueuedAt)} esperando)`);
+    await ctx.reply(
+      `📋 <b>Tus operaciones</b>\n\n${lines.join('\n')}\n\n<i>En total hay ${this.jobs.runningCount} en curso y ${this.jobs.waitingCount} en espera.</i>`,
+      { parse_mode: 'HTML' }
+    ).catch(error => {
+      Logger.error(`Handler: /queue Error enviando la cola a ${userId}`, error);
+    });
   }
 
   // -----------------------------------------------------
@@ -1235,7 +6452,7 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
   // -----------------------------------------------------
 
   /**
-   * Procesa un mensaje de usuario con GPT, actualiza el historial y envía la respuesta.
+   * Procesa un mensaje de usuario con GPT: verifica cola y cuotas y encola la respuesta (ver runGPTJob).
    * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
    * @param {string} userMessage - Mensaje del usuario a procesar.
    */
@@ -1243,139 +6460,540 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
     const userId = ctx.from.id;
 
     // Doble verificación por si acaso se llama incorrectamente
-    if (!openai) {
-      Logger.warn(`processGPTMessage: Llamado para ${userId} pero OpenAI no disponible.`);
+    if (!ApiService.isChatAvailable()) {
+      Logger.warn(`processGPTMessage: Llamado para ${userId} pero el chat con IA no está disponible.`);
       await ctx.reply('⚠️ La función de chat con IA no está disponible.').catch(()=>{});
       return;
     }
 
-    // Verificar si ya hay otra operación larga en curso para este usuario
-    if (this.stateManager.hasPendingOperation(userId)) {
-      Logger.warn(`processGPTMessage: Usuario ${userId} ya tiene operación pendiente.`);
-      await ctx.reply('⏳ Ya estoy procesando tu solicitud anterior. Por favor, espera.').catch(()=>{});
+    // Verificar que el usuario no tiene ya demasiados trabajos en cola
+    if (!(await this.ensureQueueCapacity(ctx))) return;
+
+    // Verificar cuotas
+    const quota = this.quotas.check(userId, { requests: true, gptTokens: this.estimateGPTTokens(userId, userMessage) });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
       return;
     }
 
-    // Marcar inicio de operación GPT
-    this.stateManager.setPendingOperation(userId, 'gpt_generating');
+    // Encolar (en modo voz el trabajo también ocupa un hueco del proveedor de TTS)
+    const kinds = this.stateManager.getOutputMode(userId) === 'text' ? ['chat'] : ['chat', 'tts'];
+    this.enqueueJob(ctx, { type: 'gpt', kinds, label: `Respuesta de chat: «${Utils.truncate(userMessage, 40)}»` },
+      (statusMessage, signal) => this.runGPTJob(ctx, userMessage, statusMessage, signal));
+  }
+
+  /** Tokens GPT previstos para un mensaje: historial actual + mensaje nuevo, como mucho el presupuesto de contexto. */
+  estimateGPTTokens(userId, userMessage) {
+    return Math.min(
+      TokenCounter.countMessages(this.stateManager.getPromptMessages(userId)) + TokenCounter.countText(userMessage),
+      TokenCounter.getHistoryBudget()
+    );
+  }
+
+  /**
+   * Ejecuta un mensaje de chat ya sacado de la cola: actualiza el historial, genera la respuesta con GPT
+   * y la envía según el modo de respuesta del usuario.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} userMessage - Mensaje del usuario a procesar.
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como "Pensando...".
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runGPTJob(ctx, userMessage, statusMessage, signal) {
+    const userId = ctx.from.id;
     let loadingMessage = null; // Para feedback visual
 
+    // Con el historial de ahora (los trabajos anteriores lo han podido alargar)
+    if (!(await this.ensureQuotaAtStart(ctx, statusMessage, { gptTokens: this.estimateGPTTokens(userId, userMessage) }))) return;
+
     try {
       // Feedback inicial para el usuario
-      loadingMessage = await ctx.reply('🤔 Pensando...').catch(()=>{});
+      loadingMessage = await this.showStatus(ctx, statusMessage, '🤔 Pensando...');
       if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'typing').catch(()=>{});
 
       // Añadir mensaje del usuario al historial de conversación
       this.stateManager.addMessageToConversation(userId, 'user', userMessage);
 
-      // Obtener el historial completo (incluyendo prompt del sistema)
-      const conversation = this.stateManager.getConversation(userId);
+      // Ajustar el historial al presupuesto de tokens (resumiendo los turnos antiguos si hace falta)
+      await this.stateManager.compactConversation(userId, { signal });
+
+      // Obtener los mensajes a enviar (prompt del sistema, resumen y historial reciente)
+      const conversation = this.stateManager.getPromptMessages(userId);
 
       // Llamar a la API de GPT para generar la respuesta
-      const gptResponse = await ApiService.generateGPTResponse(conversation);
+      // En modo texto se muestra en streaming sobre el "Pensando..."; en modo voz se espera al texto completo
+      const outputMode = this.stateManager.getOutputMode(userId);
+      let gptResponse;
+      let alreadyDelivered = false; // true si el streaming ya dejó la respuesta final en el mensaje
+      if (CONFIG.GPT.STREAM && outputMode === 'text' && loadingMessage) {
+        ({ text: gptResponse, delivered: alreadyDelivered } = await this.streamGPTResponseToMessage(ctx, conversation, loadingMessage, signal));
+      } else {
+        gptResponse = await ApiService.generateGPTResponse(conversation, { userId, signal });
+      }
       // Logger.log(`processGPTMessage: Respuesta GPT para ${userId}: "${gptResponse.substring(0, 70)}..."`); // Verboso
 
+      // Contabilizar los tokens consumidos (prompt enviado + respuesta) para las cuotas
+      this.quotas.record(userId, { gptTokens: TokenCounter.countMessages(conversation) + TokenCounter.countText(gptResponse) });
+
       // Añadir la respuesta del asistente (GPT) al historial
       this.stateManager.addMessageToConversation(userId, 'assistant', gptResponse);
+      if (alreadyDelivered) return;
 
-      // Enviar la respuesta al usuario
-      // Intentar editar el mensaje "Pensando..." con la respuesta
-      if (loadingMessage) {
-        await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, gptResponse)
-          .catch(async (editError) => {
-            // Si la edición falla (ej. mensaje muy largo), enviar como mensaje nuevo y borrar el de carga
-            Logger.warn(`processGPTMessage: Falló edición de mensaje para ${userId}, enviando nuevo.`, editError);
-            await ctx.reply(gptResponse).catch(e => Logger.error(`processGPTMessage: Error enviando respuesta GPT (fallback) a ${userId}`, e));
-            await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{}); // Intentar borrar el "Pensando..."
-          });
-      } else {
-        // Si no se pudo enviar el mensaje "Pensando...", enviar la respuesta directamente
-        await ctx.reply(gptResponse).catch(e => Logger.error(`processGPTMessage: Error enviando respuesta GPT a ${userId}`, e));
+      // Enviar la respuesta como audio si el usuario eligió modo voz (o voz + texto)
+      let voiceError = null;
+      if (outputMode !== 'text') {
+        try {
+          await this.sendGPTResponseAsVoice(ctx, gptResponse, outputMode, loadingMessage, signal);
+          return;
+        } catch (error) {
+          if (signal.aborted) throw error; // Cancelado con /cancel: no enviar el texto como alternativa
+          // Si falla la voz, no perder la respuesta: continuar y enviarla como texto
+          Logger.error(`processGPTMessage: Error enviando respuesta como audio a ${userId}, se enviará texto`, error);
+          voiceError = error;
+        }
+      }
+
+      // Enviar la respuesta al usuario sobre el mensaje "Pensando..." (en varios mensajes si es muy larga)
+      await this.sendLongText(ctx, gptResponse, loadingMessage);
+      if (voiceError) {
+        await ctx.reply(`⚠️ No pude generar el audio (${voiceError.message || 'error desconocido'}), así que te he respondido por escrito.`).catch(()=>{});
       }
       // Logger.log(`processGPTMessage: Respuesta de texto GPT enviada a ${userId}`); // Verboso
 
     } catch (error) {
       // Manejo de errores durante el proceso GPT
-      Logger.error(`processGPTMessage: Error procesando mensaje GPT para ${userId}`, error);
-      const userErrorMessage = `❌ Error al contactar con la IA: ${error.message || 'Error desconocido'}`;
-      // Informar al usuario del error (editando o enviando nuevo)
+      if (signal.aborted) Logger.log(`processGPTMessage: Respuesta cancelada por usuario ${userId}`);
+      else Logger.error(`processGPTMessage: Error procesando mensaje GPT para ${userId}`, error);
+      // Si el stream se cortó a mitad, conservar lo que el usuario ya estaba leyendo y explicar el corte
+      let userErrorMessage;
+      if (signal.aborted) {
+        userErrorMessage = error.partialText ? `${error.partialText}\n\n🛑 Respuesta cancelada.` : '🛑 Respuesta cancelada.';
+      } else {
+        userErrorMessage = error.partialText
+          ? `${error.partialText}\n\n⚠️ La respuesta se interrumpió: ${error.message || 'Error desconocido'}`
+          : `❌ Error al contactar con la IA: ${error.message || 'Error desconocido'}`;
+      }
+      // Informar al usuario del error (editando o enviando nuevo; la respuesta parcial puede ser larga)
+      await this.sendLongText(ctx, userErrorMessage, loadingMessage);
+    }
+  }
+
+  /**
+   * Genera la respuesta GPT en streaming, editando progresivamente el mensaje "Pensando...".
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {Array<{role: string, content: string}>} conversation - Historial a enviar al modelo.
+   * @param {object} loadingMessage - Mensaje "Pensando..." que se irá editando.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   * @returns {Promise<{text: string, delivered: boolean}>} - Respuesta final y si ya quedó mostrada en el mensaje.
+   * @throws {Error} - Si la generación falla (con `partialText` si se cortó a mitad).
+   */
+  async streamGPTResponseToMessage(ctx, conversation, loadingMessage, signal) {
+    const editor = new ThrottledMessageEditor(ctx.telegram, ctx.chat.id, loadingMessage.message_id);
+    try {
+      const text = await ApiService.streamGPTResponse(conversation, (partialText) => {
+        editor.update(`${partialText.trimEnd()} ▌`); // Cursor para indicar que sigue escribiendo
+      }, { userId: ctx.from.id, signal });
+      const delivered = await editor.finish(text);
+      return { text, delivered };
+    } finally {
+      await editor.stop(); // Nunca dejar ediciones pendientes que pisen el mensaje final o de error
+    }
+  }
+
+  /**
+   * Envía una respuesta GPT como audio (modos 'voice' y 'both').
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} responseText - Respuesta generada por GPT.
+   * @param {string} outputMode - 'voice' (solo audio) o 'both' (audio con el texto como pie).
+   * @param {object|null} loadingMessage - Mensaje "Pensando..." a actualizar/eliminar.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   * @throws {Error} - Si falla la generación o el envío del audio (el llamador enviará texto).
+   */
+  async sendGPTResponseAsVoice(ctx, responseText, outputMode, loadingMessage, signal) {
+    const userId = ctx.from.id;
+    const captionLimit = 1024; // Límite de Telegram para el pie de un audio
+    let audioFilePath = null;
+
+    try {
+      // Sin cuota de TTS suficiente, el llamador enviará la respuesta por escrito con este aviso
+      const cached = ApiService.isVoiceCached(responseText, this.getVoiceOptions(userId)); // En caché no gasta cuota
+      const quota = this.quotas.check(userId, { ttsChars: cached ? 0 : responseText.length });
+      if (!quota.allowed) throw new Error(quota.message);
+
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '🗣️ Generando audio...').catch(()=>{});
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{});
+
+      audioFilePath = await ApiService.generateVoice(responseText, this.getVoiceOptions(userId), {
+        userId, signal, onProgress: this.voiceProgressReporter(ctx, loadingMessage), onChunkDone: this.ttsQuotaRecorder(userId)
+      });
+      Utils.throwIfCancelled(signal);
+
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_voice').catch(()=>{});
+      const withCaption = outputMode === 'both' && responseText.length <= captionLimit;
+      await this.sendAudioResult(ctx, audioFilePath, { caption: withCaption ? responseText : null, baseName: 'javier_respuesta', signal });
+      // En modo 'both' con un texto demasiado largo para el pie, enviarlo aparte
+      if (outputMode === 'both' && !withCaption) await this.sendLongText(ctx, responseText);
+      Logger.log(`sendGPTResponseAsVoice: Respuesta GPT enviada como audio (${outputMode}) a ${userId}`);
+
+      if (loadingMessage) await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{});
+    } finally {
+      if (audioFilePath && fs.existsSync(audioFilePath)) {
+        try {
+          fs.unlinkSync(audioFilePath);
+        } catch (cleanupError) {
+          Logger.error(`sendGPTResponseAsVoice: Error eliminando archivo temporal TTS: ${audioFilePath}`, cleanupError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Envía un audio generado (/tv, /vv, respuestas en voz) en el formato de entrega del usuario (/format),
+   * convirtiéndolo con ffmpeg si el proveedor lo generó en otro formato. Si la conversión no es posible
+   * (ej. ffmpeg no instalado), se envía en su formato original.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} audioFilePath - Audio a enviar (el llamador lo borra).
+   * @param {{caption?: string|null, baseName?: string, signal?: AbortSignal}} [options] - Pie, nombre del archivo
+   *   (sin extensión, para documentos) y señal de cancelación.
+   */
+  async sendAudioResult(ctx, audioFilePath, { caption = null, baseName = 'javier', signal = null } = {}) {
+    const userId = ctx.from.id;
+    const format = this.stateManager.getAudioFormat(userId);
+    const targetExtension = CONFIG.AUDIO_FORMATS[format].extension;
+    let filePath = audioFilePath;
+    let convertedFilePath = null;
+
+    try {
+      if (targetExtension && path.extname(audioFilePath).toLowerCase() !== targetExtension) {
+        try {
+          convertedFilePath = await Utils.convertAudio(audioFilePath, targetExtension, { signal });
+          filePath = convertedFilePath;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          Logger.warn(`sendAudioResult: No se pudo convertir el audio a ${targetExtension} para ${userId}, se envía en su formato original: ${error.message}`);
+        }
+      }
+      Utils.throwIfCancelled(signal);
+
+      const extension = path.extname(filePath).toLowerCase();
+      const file = { source: fs.createReadStream(filePath), filename: `${baseName}${extension}` };
+      const extra = caption ? { caption } : {};
+      if (format === 'voice' && ['.ogg', '.mp3'].includes(extension)) {
+        await ctx.replyWithVoice(file, extra); // Telegram también acepta MP3 como nota de voz (sin ffmpeg)
+      } else if (format === 'document' || !['.mp3', '.m4a'].includes(extension)) {
+        await ctx.replyWithDocument(file, extra); // El reproductor de audio de Telegram solo admite MP3 y M4A
+      } else {
+        await ctx.replyWithAudio(file, extra);
+      }
+    } finally {
+      if (convertedFilePath) fs.rmSync(convertedFilePath, { force: true });
+    }
+  }
+
+  /**
+   * Envía un texto que puede superar el límite de Telegram, dividido en varios mensajes por párrafos y frases.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {string} text - Texto a enviar.
+   * @param {object|null} [loadingMessage] - Mensaje de progreso a reutilizar para la primera parte.
+   */
+  async sendLongText(ctx, text, loadingMessage = null) {
+    const userId = ctx.from.id;
+    const parts = Utils.splitText(text, CONFIG.BOT.MAX_MESSAGE_LENGTH);
+    if (parts.length > 1) Logger.log(`sendLongText: Texto de ${text.length} caracteres enviado en ${parts.length} mensajes a ${userId}`);
+
+    for (const [index, part] of parts.entries()) {
+      if (index === 0 && loadingMessage) {
+        // Intentar editar el mensaje de progreso con la primera parte
+        const edited = await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, part)
+          .then(() => true)
+          .catch((editError) => {
+            Logger.warn(`sendLongText: Falló edición de mensaje para ${userId}, enviando nuevo.`, editError);
+            return false;
+          });
+        if (edited) continue;
+        await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{}); // Intentar borrar el mensaje de progreso
+      }
+      await ctx.reply(part).catch(e => Logger.error(`sendLongText: Error enviando la parte ${index + 1} de ${parts.length} a ${userId}`, e));
+    }
+  }
+
+  /**
+   * Devuelve el aviso de parte generada para ApiService.generateVoice: registra en las cuotas los caracteres de
+   * cada parte en cuanto el proveedor la cobra (los audios servidos desde la caché no avisan y no gastan cuota).
+   * @param {number} userId - ID del usuario.
+   * @returns {(chars: number) => void}
+   */
+  ttsQuotaRecorder(userId) {
+    return (chars) => this.quotas.record(userId, { ttsChars: chars });
+  }
+
+  /**
+   * Devuelve el aviso de progreso para ApiService.generateVoice: con textos largos (generados por partes)
+   * actualiza el mensaje de progreso con la parte en curso.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {object|null} loadingMessage - Mensaje de progreso a editar.
+   * @returns {(part: number, total: number) => void}
+   */
+  voiceProgressReporter(ctx, loadingMessage) {
+    return (part, total) => {
+      if (!loadingMessage) return;
+      ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, `🗣️ Generando audio (parte ${part} de ${total})...`).catch(()=>{});
+      ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{});
+    };
+  }
+
+  /**
+   * Envía un vídeo con la voz transformada como el mismo tipo de mensaje que lo originó.
+   * @param {string} videoFilePath - MP4 generado por AudioProcessor.remuxVideo.
+   * @param {string} kind - 'video_note' (nota de vídeo redonda), 'video' o 'document'.
+   */
+  async sendVideoResult(ctx, videoFilePath, kind) {
+    const source = { source: fs.createReadStream(videoFilePath), filename: 'javier_vv.mp4' };
+    if (kind === 'video_note') await ctx.replyWithVideoNote(source);
+    else if (kind === 'video') await ctx.replyWithVideo(source, { supports_streaming: true });
+    else await ctx.replyWithDocument(source);
+  }
+
+  /**
+   * Descarga un archivo de Telegram (voz, audio, documento...) a un archivo temporal.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {{file_id: string}} fileData - Objeto de archivo del mensaje de Telegram.
+   * @param {string} prefix - Prefijo del nombre del archivo temporal.
+   * @param {string} defaultExt - Extensión a usar si la URL de Telegram no trae una.
+   * @param {AbortSignal} [signal] - Señal para abortar la descarga (/cancel).
+   * @returns {Promise<string>} - Ruta al archivo temporal descargado.
+   */
+  async downloadTelegramFile(ctx, fileData, prefix, defaultExt, signal) {
+    const fileLink = await ctx.telegram.getFileLink(fileData.file_id); // Obtener URL de descarga
+    Logger.log(`downloadTelegramFile: Descargando ${prefix} desde ${fileLink.pathname}`);
+
+    // Descargar el archivo usando axios
+    const downloadResponse = await axios({
+      method: 'get',
+      url: fileLink.href, // Usar href para la URL completa
+      responseType: 'arraybuffer', // Descargar como datos binarios
+      signal
+    });
+
+    // Validar descarga
+    if (!downloadResponse.data || downloadResponse.data.length === 0) {
+      throw new Error("La descarga del archivo desde Telegram falló o el archivo está vacío.");
+    }
+
+    const fileExt = path.extname(fileLink.pathname) || defaultExt;
+    const tempFilePath = path.join(CONFIG.TMP_DIR, `${prefix}_${Date.now()}${fileExt}`);
+    fs.writeFileSync(tempFilePath, downloadResponse.data);
+    return tempFilePath;
+  }
+
+  /**
+   * Transcribe un mensaje de voz o archivo de audio y, opcionalmente, lo procesa con GPT
+   * como si el usuario lo hubiera escrito. Verifica cola y cuotas y encola la transcripción.
+   * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
+   * @param {object} voiceOrAudioData - Objeto 'voice' o 'audio' del mensaje de Telegram.
+   * @param {string} typeLabel - Etiqueta descriptiva ('mensaje de voz' o 'archivo de audio').
+   * @param {{chat: boolean}} options - `chat: true` envía la transcripción a GPT; `false` solo la devuelve (/transcribe).
+   */
+  async processVoiceTranscription(ctx, voiceOrAudioData, typeLabel, { chat }) {
+    const userId = ctx.from.id;
+    this.stateManager.clearPendingTranscription(userId);
+
+    if (!(await this.ensureQueueCapacity(ctx))) return;
+    const quota = this.quotas.check(userId, { requests: true });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
+      return;
+    }
+
+    this.enqueueJob(ctx, { type: 'stt', kinds: ['stt'], label: `Transcripción de ${typeLabel}` },
+      (statusMessage, signal) => this.runTranscriptionJob(ctx, voiceOrAudioData, typeLabel, { chat }, statusMessage, signal));
+  }
+
+  /**
+   * Ejecuta una transcripción ya sacada de la cola (ver processVoiceTranscription). Con `chat: true`,
+   * la respuesta de GPT se encola como un trabajo nuevo al terminar.
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como mensaje de progreso.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runTranscriptionJob(ctx, voiceOrAudioData, typeLabel, { chat }, statusMessage, signal) {
+    const userId = ctx.from.id;
+    let loadingMessage = null;
+    let tempInputFilePath = null;
+    let transcript = null;
+
+    // La transcripción no tiene cuota diaria propia; si va al chat, no gastarla cuando la respuesta ya no cabe
+    if (chat && !(await this.ensureQuotaAtStart(ctx, statusMessage, { gptTokens: this.estimateGPTTokens(userId, '') }))) return;
+
+    Logger.log(`processVoiceTranscription: Transcribiendo ${typeLabel} de ${userId} (chat: ${chat})`);
+
+    try {
+      loadingMessage = await this.showStatus(ctx, statusMessage, `👂 Escuchando tu ${typeLabel}...`);
+      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'typing').catch(()=>{});
+
+      tempInputFilePath = await this.downloadTelegramFile(ctx, voiceOrAudioData, 'stt_input', typeLabel === 'mensaje de voz' ? '.ogg' : '.mp3', signal);
+      transcript = await ApiService.transcribeAudio(tempInputFilePath, { userId, audioSeconds: voiceOrAudioData.duration || 0, signal });
+      Utils.throwIfCancelled(signal);
+
+      if (!transcript) {
+        const emptyMessage = '🤷 No he podido reconocer ninguna palabra en el audio.';
+        if (loadingMessage) {
+          await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, emptyMessage).catch(async () => await ctx.reply(emptyMessage).catch(()=>{}));
+        } else {
+          await ctx.reply(emptyMessage).catch(()=>{});
+        }
+        transcript = null;
+        return;
+      }
+
+      // Mostrar siempre el texto reconocido, para que el usuario pueda detectar errores de reconocimiento
+      const transcriptMessage = chat ? `🗣️ Entendí: «${transcript}»` : transcript;
+      await this.sendLongText(ctx, transcriptMessage, loadingMessage);
+      Logger.log(`processVoiceTranscription: Transcripción enviada a ${userId} (${transcript.length} caracteres)`);
+
+    } catch (error) {
+      if (signal.aborted) Logger.log(`processVoiceTranscription: Transcripción cancelada por usuario ${userId}`);
+      else Logger.error(`processVoiceTranscription: Error transcribiendo audio de ${userId}`, error);
+      transcript = null;
+      const userErrorMessage = signal.aborted ? '🛑 Transcripción cancelada.' : `❌ Error al transcribir el audio: ${error.message || 'Error desconocido'}`;
       if (loadingMessage) {
         await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => await ctx.reply(userErrorMessage).catch(()=>{}));
       } else {
         await ctx.reply(userErrorMessage).catch(()=>{});
       }
     } finally {
-      // Limpiar la marca de operación pendiente (SIEMPRE)
-      this.stateManager.clearPendingOperation(userId);
-      // Logger.log(`processGPTMessage: Operación GPT finalizada para ${userId}`); // Verboso
+      if (tempInputFilePath && fs.existsSync(tempInputFilePath)) {
+        try {
+          fs.unlinkSync(tempInputFilePath);
+        } catch (cleanupError) {
+          Logger.error(`processVoiceTranscription: Error eliminando archivo temporal: ${tempInputFilePath}`, cleanupError);
+        }
+      }
+    }
+
+    // La respuesta va en un trabajo propio (con su cuota y su hueco en el proveedor de chat)
+    if (chat && transcript) {
+      if (!ApiService.isChatAvailable()) {
+        await ctx.reply('⚠️ La función de chat con IA está desactivada, así que solo puedo mostrarte la transcripción.').catch(()=>{});
+        return;
+      }
+      await this.processGPTMessage(ctx, transcript);
     }
   }
 
   /**
-   * Procesa la transformación de voz (V2V / STS).
+   * Procesa la transformación de voz (V2V / STS): verifica cola y cuotas y la encola.
    * @param {import('telegraf').Context} ctx - Contexto de Telegraf.
-   * @param {object} voiceOrAudioData - Objeto 'voice' o 'audio' del mensaje de Telegram.
-   * @param {string} typeLabel - Etiqueta descriptiva ('mensaje de voz' o 'archivo de audio').
+   * @param {object} voiceOrAudioData - Objeto 'voice', 'audio', 'video_note', 'video' o 'document' del mensaje de Telegram.
+   * @param {string} typeLabel - Etiqueta descriptiva ('mensaje de voz', 'archivo de audio', 'nota de vídeo' o 'vídeo').
+   * @param {{options?: object, video?: {kind: string, remux: boolean}|null}} [request] - Opciones de voz de /vv
+   *   (prevalecen sobre el preset y la personalidad) y, para vídeos, el tipo de mensaje y si se devuelve el vídeo.
+   *   La espera de /vv ya se consumió al recibir el archivo (consumePendingVoiceTransformation).
    */
-  async processVoiceTransformation(ctx, voiceOrAudioData, typeLabel) {
+  async processVoiceTransformation(ctx, voiceOrAudioData, typeLabel, request = {}) {
     const userId = ctx.from.id;
 
-    // IMPORTANTE: Limpiar el estado V2V pendiente INMEDIATAMENTE
-    // para evitar que múltiples audios enviados rápidamente se procesen para la misma solicitud /v2v.
-    this.stateManager.clearPendingVoiceTransformation(userId);
+    // Rechazar antes de gastar cuota lo que ya se sabe que no cabe (duración y tamaño según Telegram)
+    const limitError = AudioProcessor.checkLimits({ seconds: voiceOrAudioData.duration, bytes: voiceOrAudioData.file_size });
+    if (limitError) {
+      Logger.warn(`processVoiceTransformation: ${typeLabel} de ${userId} rechazado: ${limitError}`);
+      await ctx.reply(`⚠️ No puedo transformar tu ${typeLabel}: ${limitError}`).catch(()=>{});
+      return;
+    }
 
-    // Verificar si hay OTRA operación larga ya en curso (GPT, TTS, u otro V2V iniciado antes)
-    if (this.stateManager.hasPendingOperation(userId)) {
-      Logger.warn(`processVoiceTransformation: Usuario ${userId} envió audio para V2V pero ya tenía otra operación pendiente.`);
-      await ctx.reply('⏳ Ya estoy procesando tu solicitud anterior. Por favor, espera antes de enviar el audio para transformar.').catch(()=>{});
+    // Verificar la cola y las cuotas (con la duración que indica Telegram)
+    if (!(await this.ensureQueueCapacity(ctx))) return;
+    const audioSeconds = voiceOrAudioData.duration || 0;
+    const quota = this.quotas.check(userId, { requests: true, stsSeconds: audioSeconds });
+    if (!quota.allowed) {
+      await ctx.reply(quota.message).catch(()=>{});
       return;
     }
 
-    // Marcar inicio de operación V2V
-    this.stateManager.setPendingOperation(userId, 'v2v_transforming');
+    this.enqueueJob(ctx, { type: 'sts', kinds: ['sts'], label: `Transformación de ${typeLabel} (V2V)` },
+      (statusMessage, signal) => this.runVoiceTransformationJob(ctx, voiceOrAudioData, typeLabel, request, statusMessage, signal));
+    this.stateManager.countBatchVoiceTransformation(userId); // Los audios rechazados no cuentan en el resumen de /done
+  }
+
+  /**
+   * Ejecuta una transformación V2V ya sacada de la cola: descarga el audio (o extrae el de un vídeo), lo prepara
+   * (AudioProcessor), lo transforma (por partes si es largo) y lo envía (o lo vuelve a montar en el vídeo).
+   * @param {{options?: object, video?: {kind: string, remux: boolean}|null}} request - Ver processVoiceTransformation.
+   * @param {object|null} statusMessage - Mensaje "En cola" a reutilizar como mensaje de progreso.
+   * @param {AbortSignal} signal - Señal que se aborta con /cancel.
+   */
+  async runVoiceTransformationJob(ctx, voiceOrAudioData, typeLabel, request, statusMessage, signal) {
+    const userId = ctx.from.id;
+    const audioSeconds = voiceOrAudioData.duration || 0;
+    const { options: overrideOptions = {}, video = null } = request;
     let loadingMessage = null;        // Para feedback visual
-    let tempInputFilePath = null;     // Ruta al audio descargado de Telegram
-    let transformedFilePath = null;   // Ruta al audio generado por ElevenLabs
+    let tempInputFilePath = null;     // Ruta al archivo descargado de Telegram
+    let extractedAudioPath = null;    // Ruta a la pista de audio extraída (solo vídeos)
+    let remuxedVideoPath = null;      // Ruta al vídeo con la voz transformada (solo `/vv video`)
+    let preparedInput = null;         // Audio validado y normalizado (ver AudioProcessor.prepareStsInput)
+    const transformedParts = [];      // Rutas a los audios generados por ElevenLabs (uno por parte)
+    let transformedFilePath = null;   // Ruta al audio final (las partes unidas)
+
+    if (!(await this.ensureQuotaAtStart(ctx, statusMessage, { stsSeconds: audioSeconds }))) return;
 
     Logger.log(`processVoiceTransformation: Iniciando V2V para ${userId} con ${typeLabel}`);
 
     try {
       // --- 1. Descargar Audio de Telegram ---
-      loadingMessage = await ctx.reply(`🎙️ Recibido tu ${typeLabel}. Descargando y preparando...`).catch(()=>{});
+      loadingMessage = await this.showStatus(ctx, statusMessage, `🎙️ Recibido tu ${typeLabel}. Descargando y preparando...`);
       if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'typing').catch(()=>{}); // Indica actividad
 
-      const fileId = voiceOrAudioData.file_id; // ID del archivo en Telegram
-      const fileLink = await ctx.telegram.getFileLink(fileId); // Obtener URL de descarga
-      Logger.log(`processVoiceTransformation: Link descarga (${typeLabel}) V2V: ${fileLink.href}`);
-
-      // Descargar el archivo usando axios
-      const downloadResponse = await axios({
-        method: 'get',
-        url: fileLink.href, // Usar href para la URL completa
-        responseType: 'arraybuffer' // Descargar como datos binarios
-      });
+      // Intentar conservar la extensión original; si no, usar default (.ogg para voice, .mp4 para vídeos, .mp3 para audio)
+      const defaultExtension = video ? '.mp4' : typeLabel === 'mensaje de voz' ? '.ogg' : '.mp3';
+      tempInputFilePath = await this.downloadTelegramFile(ctx, voiceOrAudioData, 'v2v_input', defaultExtension, signal);
+      Logger.log(`processVoiceTransformation: Archivo ${typeLabel} V2V guardado temporalmente en: ${tempInputFilePath}`);
 
-      // Validar descarga
-      if (!downloadResponse.data || downloadResponse.data.length === 0) {
-        throw new Error("La descarga del archivo de audio desde Telegram falló o el archivo está vacío.");
+      // De los vídeos solo se transforma su pista de audio
+      if (video) {
+        if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, `🎬 Extrayendo el audio de tu ${typeLabel}...`).catch(()=>{});
+        extractedAudioPath = await AudioProcessor.extractAudio(tempInputFilePath, { signal });
       }
 
-      // Guardar archivo descargado temporalmente
-      // Intentar obtener extensión original, si no, usar default (.ogg para voice, .mp3 para audio)
-      const fileExt = path.extname(fileLink.pathname) || (typeLabel === 'mensaje de voz' ? '.ogg' : '.mp3');
-      tempInputFilePath = path.join(CONFIG.TMP_DIR, `v2v_input_${Date.now()}${fileExt}`);
-      fs.writeFileSync(tempInputFilePath, downloadResponse.data);
-      Logger.log(`processVoiceTransformation: Archivo ${typeLabel} V2V guardado temporalmente en: ${tempInputFilePath}`);
-
-      // --- 2. Transformar Audio con ElevenLabs ---
-      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '⚙️ Transformando audio a la voz de Javier...').catch(()=>{});
-      if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{}); // Indica grabación
+      // --- 2. Validar y Normalizar el Audio (formato real, límites, conversión, silencios, partes) ---
+      preparedInput = await AudioProcessor.prepareStsInput(extractedAudioPath || tempInputFilePath, {
+        knownSeconds: audioSeconds || null,
+        trimSilence: video?.remux ? false : CONFIG.V2V.TRIM_SILENCE, // Recortar desincronizaría el vídeo
+        signal
+      });
+      const inputSeconds = preparedInput.seconds ?? audioSeconds;
+      const totalParts = preparedInput.files.length;
+
+      // --- 3. Transformar Audio con ElevenLabs ---
+      const personaName = this.stateManager.getPersona(userId).name;
+      const voiceOptions = this.getVoiceOptions(userId, overrideOptions);
+      let transformedSeconds = 0; // Segundos ya transformados (y cobrados por el proveedor)
+      let recordedSeconds = 0;    // Segundos ya registrados en las cuotas
+      for (const [index, partPath] of preparedInput.files.entries()) {
+        const progress = totalParts > 1 ? ` (parte ${index + 1} de ${totalParts})` : '';
+        if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, `⚙️ Transformando audio a la voz de ${personaName}${progress}...`).catch(()=>{});
+        if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'record_voice').catch(()=>{}); // Indica grabación
+
+        // Llamar al servicio STS (Speech-to-Speech); cada parte dura SEGMENT_SECONDS salvo la última
+        const partSeconds = totalParts > 1 ? Math.min(CONFIG.V2V.SEGMENT_SECONDS, inputSeconds - index * CONFIG.V2V.SEGMENT_SECONDS) : inputSeconds;
+        transformedParts.push(await ApiService.transformVoice(partPath, voiceOptions, { userId, audioSeconds: partSeconds, signal }));
+
+        // Cada parte se cobra al terminar, aunque falle una posterior (redondeando el acumulado, no cada parte)
+        transformedSeconds += partSeconds;
+        const dueSeconds = Math.ceil(transformedSeconds) - recordedSeconds;
+        this.quotas.record(userId, { stsSeconds: dueSeconds });
+        recordedSeconds += dueSeconds;
+      }
+      Utils.throwIfCancelled(signal);
 
-      // Llamar al servicio STS (Speech-to-Speech)
-      transformedFilePath = await ApiService.transformVoice(tempInputFilePath);
+      if (totalParts > 1) {
+        const joined = AudioProcessor.joinAudio(transformedParts.map(partPath => ({ data: fs.readFileSync(partPath), extension: path.extname(partPath) })));
+        transformedFilePath = AudioProcessor.tempPath('sts_joined', joined.extension);
+        fs.writeFileSync(transformedFilePath, joined.data);
+      } else {
+        transformedFilePath = transformedParts[0];
+      }
 
-      // --- 3. Enviar Audio Transformado ---
-      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, '📤 Enviando mensaje de voz transformado...').catch(()=>{});
+      // --- 4. Enviar Audio Transformado ---
+      const sendingText = video?.remux ? `🎬 Montando la voz nueva en tu ${typeLabel} y enviándolo...` : '📤 Enviando mensaje de voz transformado...';
+      if (loadingMessage) await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, sendingText).catch(()=>{});
       if (loadingMessage) await ctx.telegram.sendChatAction(ctx.chat.id, 'upload_voice').catch(()=>{}); // Indica subida
 
       // Verificar si el archivo transformado existe antes de intentar enviarlo
@@ -1385,17 +7003,37 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
       }
       Logger.log(`processVoiceTransformation: Intentando enviar archivo de voz transformado: ${transformedFilePath}`);
 
-      // Enviar como mensaje de voz usando un stream
-      await ctx.replyWithAudio({ source: fs.createReadStream(transformedFilePath) });
-      Logger.log(`processVoiceTransformation: Mensaje de voz transformado (V2V) enviado con éxito a ${userId}`);
+      // Con `/vv video`, devolver el vídeo con la voz nueva; si no se puede montar, se envía solo el audio
+      if (video?.remux) {
+        try {
+          remuxedVideoPath = await AudioProcessor.remuxVideo(tempInputFilePath, transformedFilePath, { signal });
+        } catch (error) {
+          if (signal.aborted) throw error;
+          Logger.warn(`processVoiceTransformation: No se pudo montar el vídeo con la voz transformada para ${userId}: ${error.message}`);
+          await ctx.reply(`⚠️ No he podido montar la voz nueva en tu ${typeLabel}; te envío solo el audio.`).catch(()=>{});
+        }
+      }
+
+      if (remuxedVideoPath) {
+        await this.sendVideoResult(ctx, remuxedVideoPath, video.kind);
+        Logger.log(`processVoiceTransformation: ${typeLabel} con la voz transformada (V2V) enviado con éxito a ${userId}`);
+      } else {
+        // Enviar en el formato de entrega del usuario
+        await this.sendAudioResult(ctx, transformedFilePath, { baseName: 'javier_vv', signal });
+        Logger.log(`processVoiceTransformation: Mensaje de voz transformado (V2V) enviado con éxito a ${userId}`);
+      }
 
       // Eliminar el mensaje de "cargando"
       if (loadingMessage) await ctx.deleteMessage(loadingMessage.message_id).catch(()=>{});
 
     } catch (error) {
       // --- Manejo de Errores en V2V ---
-      Logger.error(`processVoiceTransformation: Error durante V2V para usuario ${userId}`, error);
-      const userErrorMessage = `❌ Error al transformar el audio: ${error.message || 'Error desconocido'}`;
+      if (signal.aborted) Logger.log(`processVoiceTransformation: V2V cancelada por usuario ${userId}`);
+      else if (error.rejected) Logger.warn(`processVoiceTransformation: ${typeLabel} de ${userId} rechazado: ${error.message}`);
+      else Logger.error(`processVoiceTransformation: Error durante V2V para usuario ${userId}`, error);
+      const userErrorMessage = signal.aborted ? '🛑 Transformación de voz cancelada.'
+        : error.rejected ? `⚠️ No puedo transformar tu ${typeLabel}: ${error.message}`
+        : `❌ Error al transformar el audio: ${error.message || 'Error desconocido'}`;
       // Informar al usuario del error
       if (loadingMessage) {
         await ctx.telegram.editMessageText(ctx.chat.id, loadingMessage.message_id, undefined, userErrorMessage).catch(async () => await ctx.reply(userErrorMessage).catch(()=>{}));
@@ -1413,11 +7051,10 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
           fs.unlinkSync(transformedFilePath);
           // Logger.log(`processVoiceTransformation: Archivo temporal V2V output eliminado: ${transformedFilePath}`);
         }
+        AudioProcessor.cleanup([...(preparedInput?.tempFiles || []), ...transformedParts, extractedAudioPath, remuxedVideoPath].filter(Boolean));
       } catch (cleanupError) {
         Logger.error(`processVoiceTransformation: Error durante la limpieza de archivos temporales V2V`, cleanupError);
       }
-      // Limpiar marca de operación pendiente
-      this.stateManager.clearPendingOperation(userId);
       Logger.log(`processVoiceTransformation: Operación V2V finalizada para usuario ${userId}`);
     }
   }
@@ -1465,15 +7102,27 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
     try {
       Logger.log("JavierBot.start: Iniciando el bot...");
 
-      // 1. Verificar prerrequisitos (variables, APIs)
+      // 1. Servidor HTTP (health checks y métricas; el liveness responde ya durante las verificaciones)
+      if (CONFIG.HTTP.ENABLED || CONFIG.BOT.MODE === 'webhook') {
+        await this.startHttpServer();
+      }
+
+      // 2. Verificar prerrequisitos (variables, APIs)
       await this.verifyPrerequisites();
 
-      // 2. Lanzar el bot (conectar a Telegram y empezar a escuchar updates)
-      await this.bot.launch();
+      // 3. Lanzar el bot (conectar a Telegram y empezar a escuchar updates)
+      if (CONFIG.BOT.MODE === 'webhook') {
+        await this.startWebhook();
+      } else {
+        await this.bot.launch(); // Long polling (también elimina un webhook registrado previamente)
+      }
+      this.ready = true;
+      this.scheduleReadinessChecks();
+      this.scheduleVoiceWaitExpiry();
 
       // Mensaje de éxito en la consola
       Logger.log("===================================================");
-      Logger.log(`✅ Bot @${this.bot.botInfo.username} iniciado y escuchando!`);
+      Logger.log(`✅ Bot @${this.bot.botInfo.username} iniciado y escuchando (modo ${CONFIG.BOT.MODE})!`);
       Logger.log(`   ID del Bot: ${this.bot.botInfo.id}`);
       Logger.log("===================================================");
 
@@ -1484,12 +7133,144 @@ Desarrollado por <a href="https://artefactofilms.com/">Artefacto [Jorge Caballer
       process.exit(1); // Salir en caso de error de inicio
     }
   }
+
+  /**
+   * Arranca el servidor HTTP integrado en CONFIG.HTTP.PORT con los health checks
+   * (`/health/live`, `/health/ready`) y las métricas de Prometheus (`/metrics`).
+   */
+  async startHttpServer() {
+    this.httpServer = new HttpServer();
+    this.httpServer.route('GET', '/health/live', (req, res) => {
+      HttpServer.send(res, 200, JSON.stringify({ status: 'ok' }), 'application/json');
+    });
+    this.httpServer.route('GET', '/health/ready', (req, res) => {
+      const verification = ApiService.lastVerification;
+      const ready = this.ready && verification?.ok === true;
+      HttpServer.send(res, ready ? 200 : 503, JSON.stringify({
+        status: ready ? 'ready' : 'not_ready',
+        started: this.ready,
+        verification
+      }), 'application/json');
+    });
+    this.httpServer.route('GET', '/metrics', (req, res) => {
+      HttpServer.send(res, 200, Metrics.render(), 'text/plain; version=0.0.4; charset=utf-8');
+    });
+    await this.httpServer.start();
+  }
+
+  /** Repite periódicamente ApiService.verifyApis() para que /health/ready refleje el estado actual de las APIs. */
+  scheduleReadinessChecks() {
+    const interval = CONFIG.HTTP.READINESS_RECHECK_INTERVAL;
+    if (!this.httpServer || interval <= 0) return;
+    this.readinessTimer = setInterval(() => {
+      ApiService.verifyApis().catch(() => {
+        Logger.warn("JavierBot: Una verificación periódica de APIs falló; /health/ready responderá 503.");
+      });
+    }, interval * 1000);
+    this.readinessTimer.unref(); // No mantener vivo el proceso solo por las verificaciones
+  }
+
+  /**
+   * Arranca el modo webhook: ruta del webhook en el servidor HTTP integrado y, si hay
+   * WEBHOOK_DOMAIN, registro del webhook en Telegram con el secret token.
+   */
+  async startWebhook() {
+    this.bot.botInfo ??= await this.bot.telegram.getMe(); // Telegraf lo necesita para procesar updates
+    this.webhookSecret = CONFIG.WEBHOOK.SECRET_TOKEN || crypto.randomBytes(32).toString('hex');
+
+    if (!this.httpServer) await this.startHttpServer();
+    this.httpServer.route('POST', CONFIG.WEBHOOK.PATH, (req, res) => this.handleWebhookRequest(req, res));
+
+    if (!CONFIG.WEBHOOK.DOMAIN) {
+      Logger.warn(`JavierBot.startWebhook: Sin WEBHOOK_DOMAIN; no se registra el webhook. Envía updates con POST a ${CONFIG.WEBHOOK.PATH} (cabecera X-Telegram-Bot-Api-Secret-Token).`);
+      return;
+    }
+    const webhookUrl = `${CONFIG.WEBHOOK.DOMAIN}${CONFIG.WEBHOOK.PATH}`;
+    await this.bot.telegram.setWebhook(webhookUrl, { secret_token: this.webhookSecret });
+    this.webhookRegistered = true;
+    Logger.log(`JavierBot.startWebhook: Webhook registrado en Telegram: ${webhookUrl}`);
+  }
+
+  /**
+   * Recibe un update de Telegram por el webhook. Verifica el secret token, responde 200
+   * enseguida y procesa el update en segundo plano (las respuestas lentas de GPT o ElevenLabs
+   * superarían el timeout de Telegram, que reenviaría el update).
+   */
+  async handleWebhookRequest(req, res) {
+    if (!Utils.safeEqual(this.webhookSecret, req.headers['x-telegram-bot-api-secret-token'])) {
+      Logger.warn(`JavierBot.handleWebhookRequest: Petición rechazada (secret token inválido) desde ${req.socket.remoteAddress}`);
+      HttpServer.send(res, 401, 'Unauthorized');
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await HttpServer.readBody(req));
+    } catch (error) {
+      if (error.statusCode) throw error; // 413: lo responde HttpServer
+      HttpServer.send(res, 400, 'Invalid JSON');
+      return;
+    }
+    if (!update || typeof update.update_id !== 'number') {
+      HttpServer.send(res, 400, 'Invalid update');
+      return;
+    }
+
+    HttpServer.send(res, 200, 'OK');
+    // Los errores de los handlers los gestiona bot.catch (setupErrorHandler); esto es solo una salvaguarda
+    this.bot.handleUpdate(update).catch(error => {
+      Logger.error(`JavierBot.handleWebhookRequest: Error procesando el update ${update.update_id}`, error);
+    });
+  }
+
+  /**
+   * Detiene el servidor HTTP y Telegraf (en modo webhook, elimina el webhook si se registró), espera
+   * a las operaciones en cola (como mucho CONFIG.QUEUE.SHUTDOWN_TIMEOUT) y guarda el estado pendiente.
+   * Llamar al cerrar el proceso.
+   * @param {string} [reason] - Motivo (ej. la señal recibida), solo para los logs.
+   */
+  async stop(reason = 'stop') {
+    Logger.log(`JavierBot.stop: Deteniendo el bot (${reason})...`);
+    this.ready = false;
+    if (this.readinessTimer) clearInterval(this.readinessTimer);
+    if (this.voiceWaitTimer) clearInterval(this.voiceWaitTimer);
+    if (this.httpServer) await this.httpServer.stop();
+    if (CONFIG.BOT.MODE === 'webhook') {
+      if (this.webhookRegistered && CONFIG.WEBHOOK.DELETE_ON_STOP) {
+        try {
+          await this.bot.telegram.deleteWebhook();
+          Logger.log("JavierBot.stop: Webhook eliminado de Telegram.");
+        } catch (error) {
+          Logger.warn(`JavierBot.stop: No se pudo eliminar el webhook: ${error.message}`);
+        }
+      }
+    } else {
+      try {
+        this.bot.stop(reason);
+      } catch (error) {
+        // Telegraf lanza si el bot no llegó a arrancar; no es relevante durante el cierre
+        Logger.warn(`JavierBot.stop: Telegraf no se pudo detener limpiamente: ${error.message}`);
+      }
+    }
+    // Dar tiempo a que terminen las operaciones en curso (ya no llegan updates nuevos)
+    if (this.jobs.jobs.length > 0) {
+      Logger.log(`JavierBot.stop: Esperando a ${this.jobs.runningCount} operaciones en curso y ${this.jobs.waitingCount} en cola...`);
+      if (!(await this.jobs.waitForIdle(CONFIG.QUEUE.SHUTDOWN_TIMEOUT))) {
+        Logger.warn(`JavierBot.stop: Se cierra con ${this.jobs.jobs.length} operaciones sin terminar.`);
+      }
+    }
+    this.stateManager.close(); // Guardar estado y cerrar el almacenamiento
+  }
+
 }
 
 // -----------------------------------------------------------------------------
-// -- 9. Punto de Entrada Principal y Manejo de Cierre                        --
+// -- 22. Punto de Entrada Principal y Manejo de Cierre                       --
 // -----------------------------------------------------------------------------
 
+/** @type {JavierBot|null} Instancia activa del bot (para el cierre limpio). */
+let botInstance = null;
+
 /**
  * Función principal asíncrona que inicializa y arranca el bot.
  */
@@ -1525,7 +7306,7 @@ async function main() {
 
   // Crear e iniciar la instancia del bot
   try {
-    const botInstance = new JavierBot();
+    botInstance = new JavierBot();
     await botInstance.start(); // El método start maneja la verificación y el lanzamiento
   } catch (error) {
     // Aunque start() debería manejar la salida en error, este catch es una salvaguarda.
@@ -1536,12 +7317,12 @@ async function main() {
 
 
 // --- Manejo de Señales del Sistema para Cierre Limpio ---
-const handleShutdown = (signal) => {
+const handleShutdown = async (signal) => {
   Logger.log(`\n👋 Recibida señal ${signal}. Cerrando el Bot de Javier Soto...`);
-  // En aplicaciones más complejas, aquí se cerrarían conexiones a DB, etc.
-  // Telegraf debería detenerse automáticamente con process.exit.
-  // Podríamos llamar a bot.stop() explícitamente si fuera necesario:
-  // botInstance.bot.stop(signal); // Necesitaría acceso a la instancia
+  // Detener Telegraf (o el webhook) y guardar el estado pendiente antes de salir
+  if (botInstance) {
+    await botInstance.stop(signal).catch(error => Logger.error('handleShutdown: Error deteniendo el bot', error));
+  }
   process.exit(0); // Salir limpiamente
 };
 
@@ -1553,6 +7334,8 @@ process.on('uncaughtException', (error, origin) => {
   Logger.error(`!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!`);
   Logger.error(`!!        >>> ERROR NO CAPTURADO (${origin}) <<<        !!`);
   Logger.error(`!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!`, error);
+  // Intentar guardar el estado antes de salir (la escritura es atómica)
+  if (botInstance) botInstance.stateManager.close();
   // Salir inmediatamente para evitar estado inconsistente
   process.exit(1);
 });
@@ -1561,9 +7344,20 @@ process.on('unhandledRejection', (reason, promise) => {
   Logger.error(`!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!`);
   Logger.error(`!! >>> PROMESA RECHAZADA NO MANEJADA <<<                  !!`);
   Logger.error(`!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!`, reason);
+  // Intentar guardar el estado antes de salir
+  if (botInstance) botInstance.stateManager.close();
   // Salir inmediatamente
   process.exit(1);
 });
 
 // --- Iniciar la aplicación ---
-main();
+// Solo arrancar si se ejecuta directamente (`node bot.js`); al importarlo desde tests se exportan las clases
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG, Logger, Utils, Metrics, ApiService, StateManager, QuotaManager, JavierBot, PersonaRegistry, HttpServer,
+  StateStorage, MemoryStateStorage, JsonFileStateStorage, SqliteStateStorage, UsageLedger, JobQueue, TtsCache, AudioProcessor,
+  ScriptParser
+};